@@ -1,19 +1,29 @@
+import fs from "fs";
 import Device from "./src/device.js";
 import Driver from "./src/driver.js";
+import FileDevice from "./src/fileDevice.js";
 
 import {
   BLOCK_SIZE,
   BLOCK_COUNT,
   INODE_STRAIGHT_LINKS_COUNT,
-  DENTRY_SIZE,
   MAX_SYMLINK_DEPTH,
 } from "./src/settings.js";
 
-const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+// usage: node index.js [image path]
+const imagePath = process.argv[2];
+const imageExists = imagePath !== undefined && fs.existsSync(imagePath);
+const device = imagePath
+  ? new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT)
+  : new Device(BLOCK_SIZE, BLOCK_COUNT);
 const driver = new Driver(device);
 
 const n = 10;
-driver.mkfs(n);
+if (imageExists) {
+  driver.mount();
+} else {
+  driver.mkfs(n);
+}
 
 function execute(f, index) {
   console.log(`Command #${index}: `, f.toString());
@@ -31,18 +41,22 @@ const commands = [
   () => console.log(driver.pwd()),
   () => driver.mkdir("/a"),
   () => driver.mkdir("/a/b"),
-  () => driver.mkdir("/a/c"),
-  () => driver.mkdir("/a/c/d"),
-  () => driver.mkdir("/a/c/d/e"),
-  () => driver.symlink("/a/c/d/l3/d", "/a/b/s2"),
-  () => driver.symlink("/a/c", "/a/c/d/l3"),
+  () => driver.mkdir("/a/c/d/e", { recursive: true }),
+  () => driver.symlink("/a/b/s2", "/a/c/d/l3/d"),
+  () => driver.symlink("/a/c/d/l3", "/a/c"),
   () => console.log("Directory '/a':\n", driver.readDirectory("/a")),
   () => console.log("Directory '/a/b':\n", driver.readDirectory("/a/b")),
   () => console.log("Directory '/a/c/d':\n", driver.readDirectory("/a/c/d")),
   () => console.log(driver.cd("/a/b/s2/e")),
   () => console.log(driver.pwd()),
+  () => console.log(driver.realpath("/a/b/s2")),
 ];
 
 commands.forEach((command, index) => {
   execute(command, index + 1);
 });
+
+driver.unmount();
+if (imagePath) {
+  device.close();
+}
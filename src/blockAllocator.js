@@ -0,0 +1,140 @@
+/**
+ * @classdesc In-memory summary of block bitmap. Keeps free blocks count
+ * of every bitmap block (group) and next-fit cursor, so allocation
+ * does not rescan whole bitmap
+ *
+ * @exports BlockAllocator
+ */
+class BlockAllocator {
+  /**
+   * Free blocks allocator
+   * @constructor
+   * @description Summary is built from bitmap by `rebuild` and then kept
+   * up to date by `markUsed` and `markFree`
+   *
+   * @param {int} blockCount File system blocks count
+   * @param {int} groupSize Count of blocks described by one bitmap block
+   * @param {function(int): Uint8Array} readBitmapBlock Read bitmap block of group
+   */
+  constructor(blockCount, groupSize, readBitmapBlock) {
+    this.blockCount = blockCount;
+    this.groupSize = groupSize;
+    this.readBitmapBlock = readBitmapBlock;
+    this.groupFreeCounts = null;
+    this.freeCount = 0;
+    this.cursor = 0;
+  }
+
+  /**
+   * Count free blocks of all groups from bitmap
+   */
+  rebuild() {
+    const groupCount = Math.ceil(this.blockCount / this.groupSize);
+    this.groupFreeCounts = [];
+    this.freeCount = 0;
+    for (let group = 0; group < groupCount; group++) {
+      const bitmap = this.readBitmapBlock(group);
+      const groupStart = group * this.groupSize;
+      const groupEnd = Math.min(groupStart + this.groupSize, this.blockCount);
+      let freeCount = 0;
+      for (let bitIndex = 0; bitIndex < groupEnd - groupStart; bitIndex++) {
+        if (!(bitmap[bitIndex >> 3] & (1 << bitIndex % 8))) {
+          freeCount++;
+        }
+      }
+      this.groupFreeCounts.push(freeCount);
+      this.freeCount += freeCount;
+    }
+  }
+
+  /**
+   * Drop summary, it is rebuilt on next search.
+   * Used when bitmap changes are discarded
+   */
+  invalidate() {
+    this.groupFreeCounts = null;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress Block that became unfree in bitmap
+   */
+  markUsed(blockAddress) {
+    this._changeFreeCount(blockAddress, -1);
+  }
+
+  /**
+   *
+   * @param {int} blockAddress Block that became free in bitmap
+   */
+  markFree(blockAddress) {
+    this._changeFreeCount(blockAddress, 1);
+  }
+
+  /**
+   * Find free blocks with next-fit strategy. Search starts from `goal`,
+   * so blocks appended to file form contiguous run when it is possible.
+   * Found blocks are not marked as used
+   *
+   * @param {int} count Count of needed blocks
+   * @param {int} [goal] Preferred first block address, by default cursor
+   * @param {function(int): boolean} [isReserved] Free blocks that cannot be allocated now
+   * @returns {int[]} Free block addresses, less then `count` if there are not enough free blocks
+   */
+  find(count, goal = this.cursor, isReserved = () => false) {
+    if (!this.groupFreeCounts) {
+      this.rebuild();
+    }
+    const found = [];
+    if (count == 0) return found;
+
+    const start = goal >= 0 && goal < this.blockCount ? goal : this.cursor;
+    const groupCount = this.groupFreeCounts.length;
+    const startGroup = Math.floor(start / this.groupSize);
+    // start group is visited twice: from start to end and from begin to start
+    for (let step = 0; step <= groupCount && found.length < count; step++) {
+      const group = (startGroup + step) % groupCount;
+      if (this.groupFreeCounts[group] == 0) continue;
+
+      const groupStart = group * this.groupSize;
+      const first = step == 0 ? start : groupStart;
+      const end =
+        step == groupCount
+          ? start
+          : Math.min(groupStart + this.groupSize, this.blockCount);
+      const bitmap = this.readBitmapBlock(group);
+      for (
+        let blockAddress = first;
+        blockAddress < end && found.length < count;
+        blockAddress++
+      ) {
+        const bitIndex = blockAddress - groupStart;
+        const byte = bitmap[bitIndex >> 3];
+        if (byte == 0xff) {
+          blockAddress += 7 - (bitIndex % 8);
+        } else if (!(byte & (1 << bitIndex % 8)) && !isReserved(blockAddress)) {
+          found.push(blockAddress);
+        }
+      }
+    }
+
+    if (found.length > 0) {
+      this.cursor = (found[found.length - 1] + 1) % this.blockCount;
+    }
+    return found;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {int} delta
+   */
+  _changeFreeCount(blockAddress, delta) {
+    if (!this.groupFreeCounts) return;
+
+    this.groupFreeCounts[Math.floor(blockAddress / this.groupSize)] += delta;
+    this.freeCount += delta;
+  }
+}
+
+export default BlockAllocator;
@@ -0,0 +1,136 @@
+import { DEFAULT_CACHE_BLOCKS } from "./settings.js";
+
+/**
+ * @classdesc Write-back LRU cache of device blocks.
+ * Cache has the same interface as block device
+ *
+ * @exports BlockCache
+ */
+class BlockCache {
+  /**
+   * Block cache
+   * @constructor
+   * @description Written blocks are kept in memory as dirty and reach device
+   * on eviction or flush. Capacity 0 disables cache
+   *
+   * @param {Device} device Cached block device
+   * @param {int} [capacity] Max count of cached blocks
+   */
+  constructor(device, capacity = DEFAULT_CACHE_BLOCKS) {
+    this.device = device;
+    this.blockSize = device.blockSize;
+    this.blockCount = device.blockCount;
+    this.capacity = capacity;
+    this.entries = new Map(); // from least to most recently used
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   *
+   * @return {Uint8Array}
+   */
+  readBlock(blockAddress) {
+    if (this.capacity == 0) {
+      return this.device.readBlock(blockAddress);
+    }
+
+    const entry = this._touch(blockAddress);
+    if (entry) {
+      this.hits++;
+      return entry.block;
+    }
+
+    this.misses++;
+    const block = this.device.readBlock(blockAddress).slice();
+    this._put(blockAddress, block, false);
+    return block;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
+   */
+  writeBlock(blockAddress, block) {
+    if (this.capacity == 0) {
+      return this.device.writeBlock(blockAddress, block);
+    }
+
+    this._put(blockAddress, block.slice(), true);
+  }
+
+  /**
+   * Write all dirty blocks in address order and flush device
+   */
+  flush() {
+    const dirtyAddresses = [...this.entries.keys()]
+      .filter((blockAddress) => this.entries.get(blockAddress).dirty)
+      .sort((a, b) => a - b);
+    for (const blockAddress of dirtyAddresses) {
+      const entry = this.entries.get(blockAddress);
+      this.device.writeBlock(blockAddress, entry.block);
+      entry.dirty = false;
+    }
+
+    if (this.device.flush) {
+      this.device.flush();
+    }
+  }
+
+  /**
+   * @returns {int} Count of blocks that are not written to device
+   */
+  getDirtyCount() {
+    let count = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.dirty) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Mark block as most recently used
+   *
+   * @param {int} blockAddress
+   * @returns {Object|undefined} Cache entry
+   */
+  _touch(blockAddress) {
+    const entry = this.entries.get(blockAddress);
+    if (entry) {
+      this.entries.delete(blockAddress);
+      this.entries.set(blockAddress, entry);
+    }
+    return entry;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
+   * @param {boolean} dirty
+   */
+  _put(blockAddress, block, dirty) {
+    this.entries.delete(blockAddress);
+    this.entries.set(blockAddress, { block, dirty });
+
+    while (this.entries.size > this.capacity) {
+      this._evict();
+    }
+  }
+
+  /**
+   * Remove least recently used block, dirty block is written to device
+   */
+  _evict() {
+    const [blockAddress, entry] = this.entries.entries().next().value;
+    this.entries.delete(blockAddress);
+    if (entry.dirty) {
+      this.device.writeBlock(blockAddress, entry.block);
+    }
+  }
+}
+
+export default BlockCache;
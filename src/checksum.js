@@ -0,0 +1,30 @@
+const CRC32_POLYNOMIAL = 0xedb88320;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let byte = 0; byte < 256; byte++) {
+    let crc = byte;
+    for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
+      crc = crc & 1 ? (crc >>> 1) ^ CRC32_POLYNOMIAL : crc >>> 1;
+    }
+    table[byte] = crc;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum used to detect corrupted on-disk structures
+ *
+ * @param {Uint8Array} bytes
+ * @param {int} [previousChecksum] Checksum of previous bytes to continue calculation
+ * @returns {int} Unsigned 32-bit checksum
+ */
+const crc32 = (bytes, previousChecksum = 0) => {
+  let crc = (previousChecksum ^ 0xffffffff) >>> 0;
+  for (const byte of bytes) {
+    crc = (crc >>> 8) ^ CRC32_TABLE[(crc ^ byte) & 0xff];
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+export { crc32 };
@@ -1,5 +1,4 @@
-const ADDRESSES_IN_BLOCK = 10;
 const NAN_BLOCK_ADDRESS = 0;
 const ZERO_BLOCK_ADDRESS = -1;
 
-export { NAN_BLOCK_ADDRESS, ZERO_BLOCK_ADDRESS, ADDRESSES_IN_BLOCK };
+export { NAN_BLOCK_ADDRESS, ZERO_BLOCK_ADDRESS };
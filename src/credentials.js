@@ -0,0 +1,40 @@
+import { DEFAULT_UMASK } from "./settings.js";
+
+/**
+ * @classdesc Credentials of process, they are checked against
+ * owner and mode of files
+ *
+ * @exports Credentials
+ */
+class Credentials {
+  /**
+   * Process credentials
+   * @constructor
+   * @param {int} [uid] User id, 0 is superuser that passes all checks
+   * @param {int[]} [gids] Group ids, first one is given to created files
+   * @param {int} [umask] Permission bits that are cleared in mode of created files
+   */
+  constructor(uid = 0, gids = [0], umask = DEFAULT_UMASK) {
+    this.uid = uid;
+    this.gids = gids;
+    this.umask = umask;
+  }
+
+  /**
+   * @returns {boolean} Credentials of superuser
+   */
+  isSuperuser() {
+    return this.uid == 0;
+  }
+
+  /**
+   *
+   * @param {int} gid Group id
+   * @returns {boolean} User is member of group
+   */
+  inGroup(gid) {
+    return this.gids.includes(gid);
+  }
+}
+
+export default Credentials;
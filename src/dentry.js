@@ -10,10 +10,12 @@ class Dentry {
    * @constructor
    * @param {string} fileName File name
    * @param {int} ino Unique inode number
+   * @param {FileType} type Type of linked file, kept in dentry to list directory without inode reads
    */
-  constructor(fileName, ino) {
+  constructor(fileName, ino, type) {
     this.fileName = fileName;
     this.ino = ino;
+    this.type = type;
   }
 }
 
@@ -1,5 +1,3 @@
-import { BLOCK_SIZE } from "./settings";
-
 /**
  * @classdesc Block I/O device
  *
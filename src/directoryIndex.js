@@ -0,0 +1,89 @@
+import { crc32 } from "./checksum.js";
+
+/**
+ * Hash of file name that selects range of indexed directory
+ *
+ * @param {string} fileName
+ * @returns {int} Unsigned 32-bit hash
+ */
+const dentryHash = (fileName) => crc32(new TextEncoder().encode(fileName));
+
+/**
+ * @classdesc First block of indexed directory. Ranges split hashes
+ * of file names between directory blocks, range ends where next one starts.
+ * Full root moves its ranges to index node and index gets one more level
+ *
+ * @exports IndexRoot
+ */
+class IndexRoot {
+  /**
+   * Index root
+   * @constructor
+   * @param {int} freeBlock First directory block of free blocks chain, 0 if there are no free blocks
+   * @param {int} depth Count of index node levels between root and dentry blocks
+   * @param {IndexRange[]} ranges Ranges sorted by first hash, first one starts from 0
+   */
+  constructor(freeBlock, depth, ranges) {
+    this.freeBlock = freeBlock;
+    this.depth = depth;
+    this.ranges = ranges;
+  }
+}
+
+/**
+ * @classdesc Block of indexed directory between root and dentry blocks.
+ * It splits range of parent node, full node is split into halves
+ *
+ * @exports IndexNode
+ */
+class IndexNode {
+  /**
+   * Index node
+   * @constructor
+   * @param {IndexRange[]} ranges Ranges sorted by first hash
+   */
+  constructor(ranges) {
+    this.ranges = ranges;
+  }
+}
+
+/**
+ * @classdesc Range of name hashes that are kept in one chain of
+ * dentry blocks. Chain is longer than one block only when range
+ * cannot be split
+ *
+ * @exports IndexRange
+ */
+class IndexRange {
+  /**
+   * Index range
+   * @constructor
+   * @param {int} hash First hash of range
+   * @param {int} block Index node of next level or directory block that starts chain of range
+   */
+  constructor(hash, block) {
+    this.hash = hash;
+    this.block = block;
+  }
+}
+
+/**
+ * @classdesc Block of indexed directory with dentry records
+ *
+ * @exports DentryBlock
+ */
+class DentryBlock {
+  /**
+   * Dentry block
+   * @constructor
+   * @param {int} next Next directory block of chain, 0 for last block
+   * @param {Dentry[]} dentries Dentries in order of records
+   */
+  constructor(next, dentries) {
+    this.next = next;
+    this.dentries = dentries;
+  }
+}
+
+export default IndexRoot;
+export { DentryBlock, IndexNode, IndexRange, dentryHash };
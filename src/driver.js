@@ -1,43 +1,101 @@
 "use strict";
 
-import {
-  NAN_BLOCK_ADDRESS,
-  ZERO_BLOCK_ADDRESS,
-  ADDRESSES_IN_BLOCK,
-} from "./constants.js";
+import { NAN_BLOCK_ADDRESS, ZERO_BLOCK_ADDRESS } from "./constants.js";
 import Device from "./device.js";
-import INode, { FileType } from "./inode.js";
+import BlockAllocator from "./blockAllocator.js";
+import BlockCache from "./blockCache.js";
+import INode, { Access, FileMode, FileType, INodeFlag } from "./inode.js";
+import Extent, { ExtentNode } from "./extent.js";
+import ExtentTree, { insertExtent, removeExtentRange } from "./extentTree.js";
 import Dentry from "./dentry.js";
+import IndexRoot, {
+  DentryBlock,
+  IndexNode,
+  IndexRange,
+  dentryHash,
+} from "./directoryIndex.js";
+import OpenFile, { FallocateMode, OpenFlag, SeekWhence } from "./openFile.js";
+import Process from "./process.js";
+import Credentials from "./credentials.js";
+import Stats from "./stats.js";
+import Journal, { Transaction } from "./journal.js";
+import Superblock, {
+  FsState,
+  SUPERBLOCK_MAGIC,
+  FORMAT_VERSION,
+  MIN_FORMAT_VERSION,
+} from "./superblock.js";
 import {
+  DescriptorNotFound,
   FileAlreadyExist,
+  FileTooLarge,
   InvalidArgument,
-  InvalidPath,
+  InvalidImage,
+  NotEnoughMemory,
   OutOfBounds,
+  PermissionDenied,
+  SymlinkLoop,
+  FsError,
+  BadDescriptor,
+  FileNotFound,
+  NotDirectory,
+  IsDirectory,
+  NameTooLong,
+  NoDataFound,
+  DirectoryNotEmpty,
+  TooManyLinks,
+  NotPermitted,
 } from "./exceptions.js";
 import {
+  getDentrySize,
   deserializeDentries,
+  deserializeLegacyDentries,
   serializeDentry,
   deserializeAddresses,
   serializeDentries,
-  serializeInt32,
+  serializeIndexRoot,
+  deserializeIndexRoot,
+  serializeIndexNode,
+  deserializeIndexNode,
+  serializeDentryBlock,
+  deserializeDentryBlock,
   serializeInode,
-  deserializeInt32,
   deserializeInode,
   serializeAddress,
   serializeAddresses,
+  serializeSuperblock,
+  deserializeSuperblock,
+  verifySuperblockChecksum,
 } from "./serializer.js";
-import { v4 as uuidv4 } from "uuid";
 import {
   ADDRESS_SIZE,
-  BLOCK_COUNT,
-  BLOCK_SIZE,
-  DENTRY_SIZE,
-  INODE_SIZE,
+  ATIME_UPDATE_INTERVAL,
+  BLOCK_SIZES,
+  DEFAULT_BYTES_PER_INODE,
+  DEFAULT_CACHE_BLOCKS,
+  DEFAULT_INODE_SIZE,
+  DEFAULT_MAX_OPEN_FILES,
+  DENTRY_BLOCK_HEADER_SIZE,
+  DIR_INDEX_THRESHOLD,
+  INDEX_NODE_HEADER_SIZE,
+  INDEX_RANGE_SIZE,
+  INDEX_ROOT_HEADER_SIZE,
+  INODE_EXTENDED_SIZE,
+  INODE_SIZES,
   INODE_STRAIGHT_LINKS_COUNT,
-  N_SIZE,
+  LEGACY_DENTRY_SIZE,
+  MAX_DENTRY_SIZE,
   MAX_SYMLINK_DEPTH,
+  MAX_FILENAME_LENGTH,
+  MAX_LINK_COUNT,
+  MIN_JOURNAL_BLOCKS,
+  MAX_DEFAULT_JOURNAL_BLOCKS,
+  BLOCKS_PER_JOURNAL_BLOCK,
+  SUPERBLOCK_SIZE,
 } from "./settings.js";
 
+const INODE_TIMES = ["atime", "mtime", "ctime", "birthtime"];
+
 /**
  * @classdesc File system driver for block device
  *
@@ -49,43 +107,142 @@ class Driver {
    * @constructor
    *
    * @param {Device} device Block device
+   * @param {Object} [options]
+   * @param {int} [options.cacheBlocks] Block cache capacity in device blocks, 0 disables cache
+   * @param {int} [options.maxOpenFiles] Max count of descriptors in process
+   * @param {function(): int} [options.clock] Current time in milliseconds, used for inode times
    */
-  constructor(device) {
+  constructor(device, options = {}) {
+    const {
+      cacheBlocks = DEFAULT_CACHE_BLOCKS,
+      maxOpenFiles = DEFAULT_MAX_OPEN_FILES,
+      clock = Date.now,
+      maxSymlinkDepth = MAX_SYMLINK_DEPTH,
+    } = options;
     this.device = device;
-    this.openFiles = {};
+    this.cache = new BlockCache(device, cacheBlocks);
+    this.superblock = null;
+    this.addressesInBlock = 0;
+    this.wasClean = true;
+    this.journal = null;
+    this.allocator = null;
+    this.extentTree = null;
+    this.transaction = null;
+    this.replayedTransactions = 0;
+    this.maxOpenFiles = maxOpenFiles;
+    this.clock = clock;
+    this.maxSymlinkDepth = maxSymlinkDepth;
+    this.processes = new Set(); // processes made by driver and their forks
+    this.process = new Process(maxOpenFiles, new Credentials(), this.processes);
+    this.openINodes = new Map(); // ino to count of opened files
     this.cwdIno = 0;
   }
 
   /**
-   * @param {number} n Max count of file descriptors
+   * Make file system on device and mount it
    *
-   * @throws {InvalidArgument} Argument n must be more then 1
+   * @param {Object|number} [options] Geometry options or max count of file descriptors
+   * @param {int} [options.blockSize] Block size, one of `BLOCK_SIZES`. By default device block size
+   * @param {int} [options.inodeSize] Inode size, one of `INODE_SIZES`
+   * @param {int} [options.inodeCount] Max count of file descriptors
+   * @param {int} [options.bytesPerInode] Used to calculate inodes count if it is not set
+   * @param {int} [options.journalBlocks] Journal size in blocks, 0 to make file system without journal
+   *
+   * @throws {InvalidArgument} Block size must be supported and multiple of device block size
+   * @throws {InvalidArgument} Inode size must be supported and fit in block
+   * @throws {InvalidArgument} Inodes count must be more then 1
+   * @throws {InvalidArgument} Journal must have at least `MIN_JOURNAL_BLOCKS` blocks
+   * @throws {InvalidArgument} Inodes table and journal must fit on device
    */
-  mkfs(n) {
-    // 1. clean bitmap
-    // 2. set n
-    // 3. create n unused file descriptors
+  mkfs(options = {}) {
+    // 1. calculate layout: superblock, bitmap, inodes table, journal
+    // 2. clean metadata blocks and mark them unfree
+    // 3. write superblock and empty journal
     // 4. add root descriptor (directory)
-    const fsMetadata = new Uint8Array(
-      Math.ceil(BLOCK_COUNT / 8) + 4 + n * INODE_SIZE
+    if (typeof options == "number") {
+      options = { inodeCount: options };
+    }
+    const {
+      blockSize = this.device.blockSize,
+      inodeSize = DEFAULT_INODE_SIZE,
+      bytesPerInode = DEFAULT_BYTES_PER_INODE,
+    } = options;
+
+    if (
+      (blockSize != this.device.blockSize &&
+        !BLOCK_SIZES.includes(blockSize)) ||
+      blockSize % this.device.blockSize != 0
+    ) {
+      throw new InvalidArgument(`Unsupported block size ${blockSize}`);
+    }
+    if (!INODE_SIZES.includes(inodeSize) || inodeSize > blockSize) {
+      throw new InvalidArgument(`Unsupported inode size ${inodeSize}`);
+    }
+
+    const blockCount = Math.floor(
+      (this.device.blockCount * this.device.blockSize) / blockSize
     );
-    const unfreeBlocks = Math.ceil(fsMetadata.length / BLOCK_SIZE);
-
-    for (let blockAddress = 0; blockAddress < unfreeBlocks; blockAddress++) {
-      const block = new Uint8Array(BLOCK_SIZE);
-      fsMetadata.copyWithin(
-        block,
-        blockAddress * BLOCK_SIZE,
-        (blockAddress + 1) * BLOCK_SIZE
+    const inodeCount =
+      options.inodeCount ??
+      Math.floor((blockCount * blockSize) / bytesPerInode);
+    if (!(inodeCount >= 1)) {
+      throw new InvalidArgument("Inodes count must be more then 1");
+    }
+    const journalBlocks =
+      options.journalBlocks ??
+      Math.min(
+        Math.max(
+          Math.floor(blockCount / BLOCKS_PER_JOURNAL_BLOCK),
+          MIN_JOURNAL_BLOCKS
+        ),
+        MAX_DEFAULT_JOURNAL_BLOCKS
+      );
+    if (journalBlocks != 0 && !(journalBlocks >= MIN_JOURNAL_BLOCKS)) {
+      throw new InvalidArgument(
+        `Journal must have at least ${MIN_JOURNAL_BLOCKS} blocks`
       );
-      this.device.writeBlock(blockAddress, block);
     }
 
-    for (let blockIndex = 0; blockIndex < unfreeBlocks; blockIndex++) {
-      this._setBlockUnfree(blockIndex);
+    const bitmapStart = 1;
+    const bitmapBlocks = Math.ceil(blockCount / 8 / blockSize);
+    const inodeTableStart = bitmapStart + bitmapBlocks;
+    const inodeTableBlocks = Math.ceil((inodeCount * inodeSize) / blockSize);
+    const journalStart = inodeTableStart + inodeTableBlocks;
+    const dataStart = journalStart + journalBlocks;
+    if (dataStart >= blockCount) {
+      throw new InvalidArgument(
+        "Inodes table and journal do not fit on device"
+      );
     }
 
-    this._setN(n);
+    this._setSuperblock(
+      new Superblock(
+        SUPERBLOCK_MAGIC,
+        FORMAT_VERSION,
+        FsState.DIRTY,
+        blockSize,
+        blockCount,
+        inodeSize,
+        inodeCount,
+        bitmapStart,
+        inodeTableStart,
+        journalStart,
+        journalBlocks,
+        dataStart
+      )
+    );
+
+    for (let blockAddress = 0; blockAddress < dataStart; blockAddress++) {
+      this._clearBlock(blockAddress);
+    }
+    for (let blockAddress = 0; blockAddress < dataStart; blockAddress++) {
+      this._setBlockUnfree(blockAddress);
+    }
+    this.allocator.rebuild();
+    this._writeSuperblock();
+    if (this.journal) {
+      this.journal.format();
+    }
 
     const root = new INode(
       0,
@@ -96,10 +253,77 @@ class Driver {
       NAN_BLOCK_ADDRESS,
       NAN_BLOCK_ADDRESS
     );
+    this._touch(root, INODE_TIMES);
+    root.mode = 0o755;
 
     this._updateDescriptor(root);
     this._addLink(root, root, ".");
     this._addLink(root, root, "..");
+    this._resetOpenFiles();
+    this._flushDevice();
+  }
+
+  /**
+   * Mount existen file system from device.
+   * Committed journal transactions are replayed, incomplete are discarded.
+   * Files of orphan list are removed. Image of older format is upgraded
+   *
+   * @throws {InvalidImage} Device must contain valid superblock
+   */
+  mount() {
+    const superblock = this._readSuperblock();
+    this._setSuperblock(superblock);
+    this.replayedTransactions = this._recoverJournal();
+    this.allocator.rebuild();
+    if (superblock.version < FORMAT_VERSION) {
+      this._transaction(() => this._upgradeFormat());
+    }
+    this._resetOpenFiles();
+    // orphans left after crash have no opened descriptors now
+    this._transaction(() => this._reclaimOrphans());
+    this.wasClean = superblock.state == FsState.CLEAN;
+    this.superblock.state = FsState.DIRTY;
+    this._writeSuperblock();
+    this.sync();
+  }
+
+  /**
+   * Close all descriptors, write all changes, mark file system
+   * as clean and flush device
+   */
+  unmount() {
+    // all descriptors are closed with file system, orphans are
+    // reclaimed only when no process refers to them
+    this._closeAllFiles();
+    this._transaction(() => this._reclaimOrphans());
+    this.sync();
+    this.superblock.state = FsState.CLEAN;
+    this._writeSuperblock();
+    this._flushDevice();
+  }
+
+  /**
+   * Write committed transactions to home addresses and
+   * all cached changes to device
+   */
+  sync() {
+    if (this.journal && this.journal.pending.blocks.size > 0) {
+      this.journal.checkpoint();
+    }
+    this._flushDevice();
+  }
+
+  /**
+   * Write changes of opened file to device. File metadata shares journal
+   * with other files, so it works as `sync`
+   *
+   * @param {int} numericInode Numeric file descriptor
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened
+   */
+  fsync(numericInode) {
+    this._getOpenFile(numericInode);
+    this.sync();
   }
 
   /**
@@ -109,9 +333,11 @@ class Driver {
    * @param {string} filePath2 New file name that must be link to file descriptor
    *
    * @throws {InvalidPath} File by `filePath1` must exist
-   * @throws {InvalidPath} File by `filePath1` must regular
-   * @throws {InvalidPath} Directory by `filePath2` must exist
+   * @throws {IsDirectory} File by `filePath1` must not be directory
+   * @throws {InvalidArgument} File by `filePath1` must regular
+   * @throws {NotDirectory} Directory by `filePath2` must exist
    * @throws {FileAlreadyExist} File by `filePath2` must not exist
+   * @throws {TooManyLinks} File must not exceed max links count
    */
   link(filePath1, filePath2) {
     // 1. get `file` as inode by `filePath1`
@@ -119,14 +345,20 @@ class Driver {
     // 2. get `filename` and `dirPath` by `filePath2`
     // 3. get `dir` as inode by `dirPath`
     // 4. add to `dir` new dentry that link (`file`,`filename`)
-    const file = this.lookUp(filePath1);
-    if (file.type != FileType.REGULAR) {
-      throw new InvalidPath("File must be regular");
-    }
-    const filename = this._getFileName(filePath2);
-    const dirPath = this._getDirPath(filePath2);
-    const dir = this.lookUp(dirPath);
-    this._addLink(dir, file, filename);
+    return this._transaction(() => {
+      const file = this.lookUp(filePath1);
+      if (file.type == FileType.DIRECTORY) {
+        throw new IsDirectory("Cannot link directory", filePath1);
+      }
+      if (file.type != FileType.REGULAR) {
+        throw new InvalidArgument("File must be regular", filePath1);
+      }
+      const filename = this._getNewFileName(filePath2);
+      const dirPath = this._getDirPath(filePath2);
+      const dir = this.lookUp(dirPath);
+      this._checkAccess(dir, Access.WRITE | Access.EXECUTE);
+      this._addLink(dir, file, filename);
+    }, filePath2);
   }
 
   /**
@@ -134,6 +366,7 @@ class Driver {
    *
    * @param {string} filePath Path to regular file
    * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {IsDirectory} File by `filePath` must not be directory
    */
   unlink(filePath) {
     // 1. get `file` as inode by `filePath`
@@ -142,44 +375,166 @@ class Driver {
     // 3. get `dir` as inode by `dirPath`
     //    - `dir` must be directory file
     // 4. remove dentry with `filename` from `dir`
-    const file = this.lookUp(filePath);
-    if (file.type == FileType.DIRECTORY) {
-      throw new InvalidPath("Cannot unlink directory");
-    }
-    const filename = this._getFileName(filePath);
-    const dirPath = this._getDirPath(filePath);
-    const dir = this.lookUp(dirPath);
-    this._unlink(dir, filename);
+    return this._transaction(() => {
+      const file = this.lookUp(filePath);
+      if (file.type == FileType.DIRECTORY) {
+        throw new IsDirectory("Cannot unlink directory", filePath);
+      }
+      const filename = this._getFileName(filePath);
+      const dirPath = this._getDirPath(filePath);
+      const dir = this.lookUp(dirPath);
+      this._checkRemoveAccess(dir, file);
+      this._unlink(dir, filename);
+    }, filePath);
+  }
+
+  /**
+   * Atomically move file to new path. Existing target is replaced if it is
+   * not directory or if both files are directories and target is empty.
+   * Moved directory gets new parent in its `..` dentry
+   *
+   * @param {string} oldPath Path to existing file, symlink is not followed
+   * @param {string} newPath New path of file
+   *
+   * @throws {InvalidPath} File by `oldPath` and directory by `newPath` must exist
+   * @throws {IsDirectory} Not directory must not replace directory
+   * @throws {NotDirectory} Directory must not replace not directory
+   * @throws {DirectoryNotEmpty} Replaced directory must be empty
+   * @throws {InvalidArgument} Directory must not be moved into own subtree
+   * @throws {PermissionDenied} Both directories must be writable
+   */
+  rename(oldPath, newPath) {
+    return this._transaction(() => {
+      const oldName = this._getFileName(oldPath);
+      const newName = this._getFileName(newPath);
+      if ([oldName, newName].some((name) => name == "." || name == "..")) {
+        throw new InvalidArgument("Cannot rename dot dentries", oldPath);
+      }
+      const file = this.lookUp(oldPath);
+      if (file.ino == 0) {
+        throw new InvalidArgument("Cannot rename root directory", oldPath);
+      }
+      this._getNewFileName(newPath, file.type == FileType.DIRECTORY);
+      const oldDir = this.lookUp(this._getDirPath(oldPath));
+      const newDir = this.lookUp(this._getDirPath(newPath));
+      if (newDir.type != FileType.DIRECTORY) {
+        throw new NotDirectory("Directory not found");
+      }
+      this._checkRemoveAccess(oldDir, file);
+      this._checkAccess(newDir, Access.WRITE | Access.EXECUTE);
+
+      const isDirectory = file.type == FileType.DIRECTORY;
+      const moveDirectory = isDirectory && oldDir.ino != newDir.ino;
+      if (moveDirectory) {
+        this._checkAccess(file, Access.WRITE);
+        this._checkNotInSubtree(file, newDir);
+      }
+
+      const target = this._findDentry(newDir, newName);
+      if (target) {
+        if (target.ino == file.ino) return;
+        this._removeRenameTarget(newDir, target, file);
+      }
+
+      this._addLink(
+        this.getDescriptor(newDir.ino),
+        this.getDescriptor(file.ino),
+        newName
+      );
+      this._unlink(this.getDescriptor(oldDir.ino), oldName);
+      if (moveDirectory) {
+        const movedDir = this.getDescriptor(file.ino);
+        this._unlink(movedDir, "..");
+        this._addLink(
+          this.getDescriptor(file.ino),
+          this.getDescriptor(newDir.ino),
+          ".."
+        );
+      }
+    }, newPath);
   }
 
   /**
    * Create file by path
    *
    * @param {string} filePath Path to new file
+   * @param {Object} [options]
+   * @param {boolean} [options.extents] Map file blocks by extent tree instead of indirect blocks
+   * @param {int} [options.mode] Permission bits, umask of process is applied
+   * @throws {FileAlreadyExist} File by `filePath` must not exist
+   * @throws {InvalidPath} Direcotry by `filePath` must exist
+   * @throws {NameTooLong} File name must fit in dentry
+   * @throws {NotDirectory} `filePath` must not end with slash
+   * @throws {InvalidArgument} Extents need inode size bigger then 64 bytes
+   * @throws {PermissionDenied} Directory must be writable
+   */
+  create(filePath, options = {}) {
+    const { extents = false, mode = 0o666 } = options;
+    if (extents && this.superblock.inodeSize < INODE_EXTENDED_SIZE) {
+      throw new InvalidArgument(
+        `Extents are not supported with inode size ${this.superblock.inodeSize}`,
+        filePath
+      );
+    }
+
+    return this._transaction(() => {
+      this._create(filePath, mode, extents);
+    }, filePath);
+  }
+
+  /**
+   *
+   * @param {string} filePath Path where file must be created
+   * @param {int} mode Permission bits before umask
+   * @param {boolean} [extents] Map file blocks by extent tree
+   * @returns {INode} Created file
+   *
    * @throws {FileAlreadyExist} File by `filePath` must not exist
    * @throws {InvalidPath} Direcotry by `filePath` must exist
+   * @throws {PermissionDenied} Directory must be writable
    */
-  create(filePath) {
+  _create(filePath, mode, extents = false) {
     // 1. get `dirPath` and `filename` from `filePath`
     // 2. get `dir` as inode by `dirPath`
-    //    - `dir` must be directory file
-    // 3. find unused descriptor
-    // 4. set it as regular file
-    // 5. add to `dir` new dentry that link (`file`,`filename`)
-    const filename = this._getFileName(filePath);
+    // 3. create regular file in `dir`
+    const filename = this._getNewFileName(filePath);
     const dirPath = this._getDirPath(filePath);
     const dir = this.lookUp(dirPath);
+    return this._createFile(dir, filename, mode, extents);
+  }
+
+  /**
+   *
+   * @param {INode} dir Directory of new file
+   * @param {string} filename File name
+   * @param {int} mode Permission bits before umask
+   * @param {boolean} [extents] Map file blocks by extent tree
+   * @returns {INode} Created file
+   *
+   * @throws {FileAlreadyExist} File with `filename` must not exist in directory
+   * @throws {NotDirectory} `dir` must be directory
+   * @throws {PermissionDenied} Directory must be writable
+   */
+  _createFile(dir, filename, mode, extents = false) {
+    // 1. find unused descriptor
+    // 2. set it as regular file
+    // 3. add to `dir` new dentry that link (`file`,`filename`)
     if (dir.type != FileType.DIRECTORY) {
-      throw new InvalidPath("Directory not found");
+      throw new NotDirectory("Directory not found");
     }
+    this._checkAccess(dir, Access.WRITE | Access.EXECUTE);
     const file = this._getUnusedDescriptor();
     file.type = FileType.REGULAR;
+    this._setOwner(file, dir, mode);
     file.refs = 0;
     file.size = 0;
     file.singleIndirect = 0;
     file.straightLinks = [];
+    file.flags = extents ? INodeFlag.EXTENTS : 0;
+    file.extentRoot = extents ? new ExtentNode(0, []) : null;
     this._updateDescriptor(file);
     this._addLink(dir, file, filename);
+    return file;
   }
 
   /**
@@ -191,15 +546,16 @@ class Driver {
    * @throws {DescriptorNotFound} If `inodeId` more them max descriptor count (n)
    */
   getDescriptor(ino) {
-    const startAddress = Math.ceil(BLOCK_COUNT / 8) + 4;
-    const inodeAddress = startAddress + ino * INODE_SIZE;
-    const inodeBlockAddress = Math.ceil(inodeAddress / BLOCK_SIZE);
-    const inodeAddressInBlock = inodeAddress % BLOCK_SIZE;
+    if (ino < 0 || ino >= this.superblock.inodeCount) {
+      throw new DescriptorNotFound(`Descriptor ${ino} not found`);
+    }
+    const [inodeBlockAddress, inodeAddressInBlock] =
+      this._getINodeLocation(ino);
 
-    const block = this.device.readBlock(inodeBlockAddress);
+    const block = this._readBlock(inodeBlockAddress);
     const inodeBytes = block.subarray(
       inodeAddressInBlock,
-      inodeAddressInBlock + INODE_SIZE
+      inodeAddressInBlock + this.superblock.inodeSize
     );
     const inode = deserializeInode(inodeBytes);
     inode.ino = ino;
@@ -214,49 +570,46 @@ class Driver {
    * @returns {INode} File descriptor
    *
    * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {SymlinkLoop} Count of followed symlinks must not exceed limit
+   * @throws {PermissionDenied} Directories in path must be searchable
    */
-  lookUp(
-    filePath,
-    resolveSymlink = false,
-    symlinkDepth = null,
-    baseDirectory = null
-  ) {
-    if (symlinkDepth === null) {
-      symlinkDepth = { depth: 0 };
-    }
-    if (baseDirectory === null) {
-      baseDirectory = this.getDescriptor(this.cwdIno);
-    }
-
-    if (filePath == "/") return this.getDescriptor(0);
-    if (filePath == "") return baseDirectory;
-
-    const filename = this._getFileName(filePath);
-    const dirPath = this._getDirPath(filePath);
-    const dir =
-      dirPath == ""
-        ? baseDirectory
-        : this.lookUp(dirPath, true, symlinkDepth, baseDirectory);
-    const dentries = this._readDirectory(dir);
-    for (let dentry of dentries) {
-      if (dentry.fileName == filename) {
-        const file = this.getDescriptor(dentry.ino);
-        if (file.type != FileType.SYMLINK || !resolveSymlink) {
-          return file;
-        }
-        let symlink = file;
-        if (symlinkDepth.depth < MAX_SYMLINK_DEPTH) {
-          const linkPathBytes = this._read(symlink, 0, symlink.size);
-          const linkPath = new TextDecoder().decode(linkPathBytes);
-          symlinkDepth.depth++;
-          return this.lookUp(linkPath, true, symlinkDepth, dir);
-        }
+  lookUp(filePath, resolveSymlink = false) {
+    return this._resolvePath(filePath, resolveSymlink).file;
+  }
 
-        throw new Error("Symlink max depth overlapce");
-      }
+  /**
+   * Read path that symlink refers to
+   *
+   * @param {string} filePath Path to symlink
+   * @returns {string} Symlink content
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {InvalidArgument} File by `filePath` must be symlink
+   */
+  readlink(filePath) {
+    const symlink = this.lookUp(filePath);
+    if (symlink.type != FileType.SYMLINK) {
+      throw new InvalidArgument("File is not symlink", filePath);
     }
+    return this._readLink(symlink);
+  }
 
-    throw new InvalidPath("File not found");
+  /**
+   * Canonical absolute path of file without symlinks, `.` and `..`
+   *
+   * @param {string} filePath Path to any file
+   * @returns {string} Absolute path
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {SymlinkLoop} Count of followed symlinks must not exceed limit
+   */
+  realpath(filePath) {
+    const { dir, file, fileName } = this._resolvePath(filePath, true);
+    if (file.type == FileType.DIRECTORY) {
+      return this._getDirectoryPath(file);
+    }
+    const dirPath = this._getDirectoryPath(dir);
+    return dirPath == "/" ? `/${fileName}` : `${dirPath}/${fileName}`;
   }
 
   /**
@@ -266,867 +619,3431 @@ class Driver {
    * @returns {Dentry[]} Directory denties
    *
    * @throws {InvalidPath} Directory by `dirPath` must exist
+   * @throws {NotDirectory} File by `dirPath` must be directory
    */
   readDirectory(dirPath) {
     const dir = this.lookUp(dirPath);
     if (dir.type != FileType.DIRECTORY) {
-      throw new InvalidPath("Directory not found");
+      throw new NotDirectory("Directory not found", dirPath);
     }
+    this._checkAccess(dir, Access.READ, dirPath);
     return this._readDirectory(dir);
   }
 
   /**
-   * Open file by file path and return numeric file descriptor
+   * File metadata, symlinks are followed
+   *
+   * @param {string} filePath Path to file
+   * @returns {Stats} File metadata
    *
-   * @param {string} filePath Path to regular file
-   * @returns {string} Numeric file descriptor
    * @throws {InvalidPath} File by `filePath` must exist
    */
-  open(filePath) {
-    const file = this.lookUp(filePath);
-    if (file.type != FileType.REGULAR) {
-      throw new InvalidPath("File not found");
-    }
-
-    const numericInode = uuidv4();
-    this.openFiles[numericInode] = file.ino;
-    return numericInode;
+  stat(filePath) {
+    return this._getStats(this.lookUp(filePath, true));
   }
 
   /**
-   * Close file by numeric file descriptor
+   * File metadata, symlink itself is described if path leads to it
    *
-   * @param {string} numericinode Numeric file descriptor
-   * @throws {InvalidArgument} File by `numericInode` must be opened
+   * @param {string} filePath Path to file
+   * @returns {Stats} File metadata
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
    */
-  close(numericInode) {
-    delete this.openFiles[numericInode];
+  lstat(filePath) {
+    return this._getStats(this.lookUp(filePath));
   }
 
   /**
-   * Read data from opened file
-   *
-   * @param {string} numericinode Numeric file descriptor
-   * @param {int} offset Offset from file start
-   * @param {int} size Size of read data
+   * Metadata of opened file
    *
-   * @returns {Uint8Array} File bytes
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {Stats} File metadata
    *
    * @throws {InvalidArgument} File by `numericInode` must be opened
-   * @throws {OutOfBounds} Bytes what need to be read must exist
    */
-  read(numericInode, offset, size) {
-    const ino = this.openFiles[numericInode];
-    if (!ino) {
-      throw new InvalidArgument(`File by ${numericInode} must be opened`);
-    }
-
-    const file = this.getDescriptor(ino);
-    return this._read(file, offset, size);
+  fstat(numericInode) {
+    const openFile = this._getOpenFile(numericInode);
+    return this._getStats(this.getDescriptor(openFile.ino));
   }
 
   /**
-   * Write buffer data to open file
+   * Open file by file path and return numeric file descriptor.
+   * Descriptor position is set to file start
    *
-   * @param {string} numericinode Numeric file descriptor
-   * @param {int} offset Offset from file start
-   * @param {int} buffer Buffer with data what must be write to file
+   * @param {string} filePath Path to regular file
+   * @param {int} [flags] Bits of `OpenFlag`, by default file is opened for reading and writing
+   * @param {int} [mode] Permission bits of created file, umask of process is applied
+   * @returns {int} Numeric file descriptor, the lowest unused one
    *
-   * @throws {InvalidArgument} File by `numericInode` must be opened
-   * @throws {OutOfBounds} Connot write out of file size
+   * @throws {InvalidPath} File by `filePath` must exist without `O_CREAT`
+   * @throws {IsDirectory} File by `filePath` must not be directory
+   * @throws {InvalidArgument} File by `filePath` must be regular
+   * @throws {FileAlreadyExist} File by `filePath` must not exist with `O_CREAT | O_EXCL`
+   * @throws {InvalidArgument} Access mode must be one of `O_RDONLY`, `O_WRONLY`, `O_RDWR`
+   * @throws {InvalidArgument} `O_TRUNC` needs write access
+   * @throws {TooManyOpenFiles} Process must have unused descriptor
+   * @throws {PermissionDenied} File must allow requested access
    */
-  write(numericInode, offset, buffer) {
-    const ino = this.openFiles[numericInode];
-    if (!ino) {
-      throw new InvalidArgument(`File by ${numericInode} must be opened`);
+  open(filePath, flags = OpenFlag.O_RDWR, mode = 0o666) {
+    const openFile = new OpenFile(null, flags);
+    if ((flags & OpenFlag.O_ACCMODE) == OpenFlag.O_ACCMODE) {
+      throw new InvalidArgument(
+        `Invalid access mode in flags ${flags}`,
+        filePath
+      );
     }
+    if (flags & OpenFlag.O_TRUNC && !openFile.writable) {
+      throw new InvalidArgument(
+        "File must be opened for writing to truncate",
+        filePath
+      );
+    }
+
+    return this._transaction(() => {
+      let file = null;
+      try {
+        file = this.lookUp(filePath);
+      } catch (e) {
+        if (!(e instanceof FileNotFound) || !(flags & OpenFlag.O_CREAT)) {
+          throw e;
+        }
+      }
+
+      if (file === null) {
+        file = this._create(filePath, mode);
+      } else if (flags & OpenFlag.O_CREAT && flags & OpenFlag.O_EXCL) {
+        throw new FileAlreadyExist("File already exists", filePath);
+      } else {
+        this._checkAccess(
+          file,
+          (openFile.readable ? Access.READ : 0) |
+            (openFile.writable ? Access.WRITE : 0)
+        );
+      }
+      this._checkRegular(file);
+      if (flags & OpenFlag.O_TRUNC) {
+        this._truncate(file, 0);
+      }
 
-    const file = this.getDescriptor(ino);
-    return this._write(file, offset, buffer);
+      openFile.ino = file.ino;
+      const numericInode = this.process.allocateDescriptor(openFile);
+      this.openINodes.set(file.ino, (this.openINodes.get(file.ino) ?? 0) + 1);
+      return numericInode;
+    }, filePath);
   }
 
   /**
-   * Change regular file size (increase or decrease)
-   *
-   * @param {string} filePath Path to regular file
-   * @param {int} size New file descriptor size
+   * Close file by numeric file descriptor. File without links
+   * is removed when its last descriptor is closed
    *
-   * @throws {InvalidPath} File by `filePath` must exist
-   * @throws {NotEnoughMemory} If not found free space on device
+   * @param {int} numericInode Numeric file descriptor
+   * @throws {InvalidArgument} File by `numericInode` must be opened
    */
-  truncate(filePath, size) {
-    const file = this.lookUp(filePath);
-    if (file.type != FileType.REGULAR) {
-      throw new InvalidPath("File must be regular");
-    }
-
-    this._truncate(file, size);
+  close(numericInode) {
+    this._getOpenFile(numericInode);
+    this._closeOpenFile(this.process.releaseDescriptor(numericInode));
   }
 
   /**
-   * Create directory
+   * Duplicate descriptor to the lowest unused one. Both descriptors
+   * share opened file and its position
    *
-   * @param {string} dirPath Path where dir must be created
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {int} New numeric file descriptor
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened
+   * @throws {TooManyOpenFiles} Process must have unused descriptor
    */
-  mkdir(dirPath) {
-    let newDir = null;
-
-    try {
-      const dirName = this._getFileName(dirPath);
-      const parentDirPath = this._getDirPath(dirPath);
-
-      const parentDir = this.lookUp(parentDirPath);
-      if (parentDir.type != FileType.DIRECTORY) {
-        throw new InvalidPath("Directory not found");
-      }
-      newDir = this._getUnusedDescriptor();
-      newDir.type = FileType.DIRECTORY;
-      newDir.refs = 0;
-      newDir.size = 0;
-      newDir.singleIndirect = 0;
-      newDir.straightLinks = [];
-      this._updateDescriptor(newDir);
-      this._addLink(parentDir, newDir, dirName);
-      this._addLink(newDir, newDir, ".");
-      this._addLink(newDir, parentDir, "..");
-    } catch (e) {
-      if (e instanceof FileAlreadyExist) {
-        newDir.refs = 0;
-        this._removeOrUpdate(newDir);
-      }
-      throw e;
-    }
+  dup(numericInode) {
+    const openFile = this._getOpenFile(numericInode);
+    return this.process.allocateDescriptor(openFile);
   }
 
   /**
-   * Remove directory
+   * Duplicate descriptor to `newNumericInode`. If `newNumericInode`
+   * is opened, it is closed before
    *
-   * @param {string} dirPath Path to dir
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} newNumericInode Target numeric file descriptor
+   * @returns {int} `newNumericInode`
    *
-   * @throws {InvalidPath} Directory by `dirPath` must exist
+   * @throws {InvalidArgument} File by `numericInode` must be opened
+   * @throws {InvalidArgument} `newNumericInode` must be in bounds of descriptor table
    */
-  rmdir(dirPath) {
-    const dirName = this._getFileName(dirPath);
-    const parentDirPath = this._getDirPath(dirPath);
-    let dir = this.lookUp(dirPath);
-
-    if (dir.type != FileType.DIRECTORY) {
-      throw new InvalidPath("Directory not found");
+  dup2(numericInode, newNumericInode) {
+    const openFile = this._getOpenFile(numericInode);
+    if (numericInode !== newNumericInode) {
+      this._closeOpenFile(this.process.setOpenFile(newNumericInode, openFile));
     }
-    if (dir.refs > 2) {
-      throw new Error("Dir is not empty");
-    }
-
-    this._unlink(dir, ".");
-    dir = this.lookUp(dirPath);
-    this._unlink(dir, "..");
-    const parentDir = this.lookUp(parentDirPath);
-    this._unlink(parentDir, dirName);
+    return newNumericInode;
   }
 
   /**
-   * Create symlink
+   * Make process with empty descriptor table
    *
-   * @param {string} filePath Path to file
-   * @param {string} linkPath Symlick path
+   * @param {Credentials} [credentials] Credentials of process, superuser by default
+   * @returns {Process} New process
    */
-  symlink(filePath, linkPath) {
-    let symlink;
-
-    try {
-      const linkPathBytes = new TextEncoder().encode(linkPath);
-      const fileName = this._getFileName(filePath);
-      const dirPath = this._getDirPath(filePath);
-
-      const dir = this.lookUp(dirPath);
-      if (dir.type != FileType.DIRECTORY) {
-        throw new InvalidPath("Directory not found");
-      }
-
-      symlink = this._getUnusedDescriptor();
-      symlink.type = FileType.SYMLINK;
-      symlink.refs = 0;
-      symlink.size = 0;
-      symlink.singleIndirect = 0;
-      symlink.straightLinks = [];
-      this._updateDescriptor(symlink);
-      this._addLink(dir, symlink, fileName);
-      this._truncate(symlink, linkPath.length);
-      symlink = this.getDescriptor(symlink.ino);
-      this._write(symlink, 0, linkPathBytes);
-    } catch (e) {
-      if (e instanceof FileAlreadyExist) {
-        this._removeOrUpdate(symlink);
-      }
-
-      throw e;
-    }
+  createProcess(credentials = new Credentials()) {
+    return new Process(this.maxOpenFiles, credentials, this.processes);
   }
 
   /**
+   * Run next calls in context of `process`: they use
+   * its descriptor table
    *
-   * @param {string} dirPath
+   * @param {Process} process Process made by `createProcess` or `Process.fork`
    */
-  cd(dirPath) {
-    const dir = this.lookUp(dirPath);
-    this.cwdIno = dir.ino;
+  setProcess(process) {
+    this.processes.add(process);
+    this.process = process;
   }
 
   /**
-   * @return {string} Process work directory
+   * Read data from descriptor position and move position after read bytes.
+   * Less bytes are read if file ends earlier
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} size Max size of read data
+   *
+   * @returns {Uint8Array} File bytes
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened for reading
    */
-  pwd() {
-    if (this.cwdIno == 0) {
-      return "/";
-    }
-
-    let dir = this.getDescriptor(this.cwdIno);
-    let dentries = this._readDirectory(dir);
-    let path = "";
-    while (
-      dentries.find((d) => d.fileName == ".").ino !=
-      dentries.find((d) => d.fileName == "..").ino
-    ) {
-      console.log(dentries);
-      const parentDirIno = dentries.find((d) => d.fileName == "..").ino;
-      const parentDir = this.getDescriptor(parentDirIno);
-      const parentDentries = this._readDirectory(parentDir);
-      const currentDirName = parentDentries.find(
-        (d) => d.ino == dir.ino
-      ).fileName;
-      path = "/" + currentDirName + path;
-      dir = parentDir;
-      dentries = this._readDirectory(dir);
-    }
+  read(numericInode, size) {
+    return this._transaction(() => {
+      const openFile = this._getReadableFile(numericInode);
+      const file = this.getDescriptor(openFile.ino);
+      const readSize = Math.max(
+        0,
+        Math.min(size, file.size - openFile.position)
+      );
 
-    return path;
+      const data = this._readAndTouch(file, openFile.position, readSize);
+      openFile.position += readSize;
+      return data;
+    });
   }
 
   /**
+   * Write buffer data at descriptor position and move position after
+   * written bytes. In append mode data is written to file end.
+   * File grows if data is written past its end
    *
-   * @param {int} n
+   * @param {int} numericInode Numeric file descriptor
+   * @param {Uint8Array} buffer Buffer with data what must be write to file
+   * @returns {int} Count of written bytes
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened for writing
+   * @throws {NotEnoughMemory} If not found free space on device
+   * @throws {FileTooLarge} File must not grow over max file size
    */
-  _setN(n) {
-    const nAddress = Math.ceil(BLOCK_COUNT / 8);
-    const nBlockAddress = Math.floor(nAddress / BLOCK_SIZE);
-    const nAddressInBlock = nAddress % BLOCK_SIZE;
-    const nBytes = serializeInt32(n);
-
-    const block = this.device.readBlock(nBlockAddress);
-    block.set(nBytes, nAddressInBlock);
-    this.device.writeBlock(nBlockAddress, block);
-  }
-
-  _getN() {
-    const nAddress = Math.ceil(BLOCK_COUNT / 8);
-    const nBlockAddress = Math.floor(nAddress / BLOCK_SIZE);
-    const nAddressInBlock = nAddress % BLOCK_SIZE;
+  write(numericInode, buffer) {
+    return this._transaction(() => {
+      const openFile = this._getWritableFile(numericInode);
+      const file = this.getDescriptor(openFile.ino);
+      if (openFile.append) {
+        openFile.position = file.size;
+      }
 
-    const block = this.device.readBlock(nBlockAddress);
-    const nBytes = block.subarray(nAddressInBlock, nAddressInBlock + N_SIZE);
-    const n = deserializeInt32(nBytes);
-    return n;
+      this._write(file, openFile.position, buffer);
+      openFile.position += buffer.length;
+      return buffer.length;
+    });
   }
 
   /**
+   * Read data from opened file by offset, descriptor position is not changed
    *
-   * @param {INode} dir
-   * @param {string} filename
-   */
-  _unlink(dir, filename) {
-    const dentries = this._readDirectory(dir);
-    const removeDentry = dentries.find((d) => d.fileName == filename);
-    const newDentries = dentries.filter((d) => d.fileName != filename);
-    const newDentriesData = serializeDentries(newDentries);
-    this._write(dir, 0, newDentriesData);
-    this._truncate(dir, dir.size - DENTRY_SIZE); // Can be optimize
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} offset Offset from file start
+   * @param {int} size Size of read data
+   *
+   * @returns {Uint8Array} File bytes
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened for reading
+   * @throws {OutOfBounds} Bytes what need to be read must exist
+   */
+  pread(numericInode, offset, size) {
+    return this._transaction(() => {
+      const openFile = this._getReadableFile(numericInode);
+      const file = this.getDescriptor(openFile.ino);
+      return this._readAndTouch(file, offset, size);
+    });
+  }
+
+  /**
+   * Write buffer data to opened file by offset, descriptor position
+   * is not changed. File grows if data is written past its end
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} offset Offset from file start
+   * @param {Uint8Array} buffer Buffer with data what must be write to file
+   * @returns {int} Count of written bytes
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened for writing
+   * @throws {NotEnoughMemory} If not found free space on device
+   * @throws {FileTooLarge} File must not grow over max file size
+   */
+  pwrite(numericInode, offset, buffer) {
+    return this._transaction(() => {
+      const openFile = this._getWritableFile(numericInode);
+      const file = this.getDescriptor(openFile.ino);
+      this._write(file, offset, buffer);
+      return buffer.length;
+    });
+  }
+
+  /**
+   * Manipulate blocks of opened file in range. Allocated range
+   * is written later without allocation of new blocks. Punched range
+   * becomes holes, partial blocks at range edges are zeroed
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} offset Offset of range from file start
+   * @param {int} length Length of range
+   * @param {FallocateMode} [mode] What to do with range
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened for writing
+   * @throws {InvalidArgument} Offset must not be negative, length must be positive
+   * @throws {InvalidArgument} Mode must be one of `FallocateMode`
+   * @throws {NotEnoughMemory} If not found free space on device
+   * @throws {FileTooLarge} File must not grow over max file size
+   */
+  fallocate(numericInode, offset, length, mode = FallocateMode.ALLOCATE) {
+    return this._transaction(() => {
+      const openFile = this._getWritableFile(numericInode);
+      const file = this.getDescriptor(openFile.ino);
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new InvalidArgument(`Invalid offset ${offset}`);
+      }
+      if (!Number.isInteger(length) || length <= 0) {
+        throw new InvalidArgument(`Invalid length ${length}`);
+      }
+
+      const { blockSize } = this.superblock;
+      const end = offset + length;
+      switch (mode) {
+        case FallocateMode.ALLOCATE:
+        case FallocateMode.ZERO_RANGE:
+          if (file.size < end) {
+            this._truncate(file, end);
+          }
+          this._allocateRange(
+            file,
+            Math.floor(offset / blockSize),
+            this._getBlocksCount(end)
+          );
+          if (mode == FallocateMode.ZERO_RANGE) {
+            this._zeroRange(file, offset, end);
+          }
+          break;
+        case FallocateMode.PUNCH_HOLE:
+          if (offset < file.size) {
+            this._punchHole(file, offset, Math.min(end, file.size));
+          }
+          break;
+        default:
+          throw new InvalidArgument(`Unknown mode ${mode}`);
+      }
+
+      this._touch(file, ["mtime", "ctime"]);
+      this._updateDescriptor(file);
+    });
+  }
+
+  /**
+   * Move descriptor position. Position may be set past file end,
+   * file grows on next write. `SEEK_DATA` and `SEEK_HOLE` move to
+   * next data or hole from `offset`, holes are found by blocks
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @param {int} offset Offset from point set by `whence`
+   * @param {SeekWhence} [whence] Reference point of offset
+   * @returns {int} New position from file start
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened
+   * @throws {InvalidArgument} Whence must be one of `SeekWhence`
+   * @throws {InvalidArgument} Position must not be negative
+   * @throws {NoDataFound} For `SEEK_DATA` and `SEEK_HOLE` offset must be
+   * before file end, for `SEEK_DATA` data must exist after offset
+   */
+  lseek(numericInode, offset, whence = SeekWhence.SEEK_SET) {
+    const openFile = this._getOpenFile(numericInode);
+    if (whence == SeekWhence.SEEK_DATA || whence == SeekWhence.SEEK_HOLE) {
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new InvalidArgument(`Invalid position ${offset}`);
+      }
+      openFile.position = this._seekBlocks(
+        this.getDescriptor(openFile.ino),
+        offset,
+        whence == SeekWhence.SEEK_DATA
+      );
+      return openFile.position;
+    }
+
+    let base;
+    switch (whence) {
+      case SeekWhence.SEEK_SET:
+        base = 0;
+        break;
+      case SeekWhence.SEEK_CUR:
+        base = openFile.position;
+        break;
+      case SeekWhence.SEEK_END:
+        base = this.getDescriptor(openFile.ino).size;
+        break;
+      default:
+        throw new InvalidArgument(`Unknown whence ${whence}`);
+    }
+
+    const position = base + offset;
+    if (!Number.isInteger(position) || position < 0) {
+      throw new InvalidArgument(`Invalid position ${position}`);
+    }
+    openFile.position = position;
+    return position;
+  }
+
+  /**
+   * Current descriptor position
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {int} Position from file start
+   *
+   * @throws {InvalidArgument} File by `numericInode` must be opened
+   */
+  tell(numericInode) {
+    return this._getOpenFile(numericInode).position;
+  }
+
+  /**
+   * Change regular file size (increase or decrease)
+   *
+   * @param {string} filePath Path to regular file
+   * @param {int} size New file descriptor size
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {IsDirectory} File by `filePath` must not be directory
+   * @throws {NotEnoughMemory} If not found free space on device
+   * @throws {FileTooLarge} Size must not exceed max file size
+   */
+  truncate(filePath, size) {
+    return this._transaction(() => {
+      const file = this.lookUp(filePath);
+      this._checkRegular(file);
+      this._checkAccess(file, Access.WRITE);
+
+      this._truncate(file, size);
+    }, filePath);
+  }
+
+  /**
+   * Set access and modification times of file, symlinks are followed.
+   * Change time is set to current time
+   *
+   * @param {string} filePath Path to file
+   * @param {int} atime Access time in milliseconds since epoch
+   * @param {int} mtime Modification time in milliseconds since epoch
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {InvalidArgument} Times must be not negative integers
+   * @throws {NotPermitted} File must be owned by process user
+   */
+  utimes(filePath, atime, mtime) {
+    for (const time of [atime, mtime]) {
+      if (!Number.isSafeInteger(time) || time < 0) {
+        throw new InvalidArgument(`Invalid time ${time}`, filePath);
+      }
+    }
+
+    return this._transaction(() => {
+      const file = this.lookUp(filePath, true);
+      this._checkOwner(file);
+      file.atime = atime;
+      file.mtime = mtime;
+      this._touch(file, ["ctime"]);
+      this._updateDescriptor(file);
+    }, filePath);
+  }
+
+  /**
+   * Change permission bits of file, symlinks are followed.
+   * Setgid bit is cleared if owner is not member of file group
+   *
+   * @param {string} filePath Path to file
+   * @param {int} mode Bits of `FileMode`
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {InvalidArgument} Mode needs inode size bigger then 64 bytes
+   * @throws {NotPermitted} File must be owned by process user
+   */
+  chmod(filePath, mode) {
+    return this._transaction(() => {
+      this._checkOwnerSupported();
+      const file = this.lookUp(filePath, true);
+      this._checkOwner(file);
+      const credentials = this.process.credentials;
+      file.mode = mode & FileMode.ALL;
+      if (!credentials.isSuperuser() && !credentials.inGroup(file.gid)) {
+        file.mode &= ~FileMode.SETGID;
+      }
+      this._touch(file, ["ctime"]);
+      this._updateDescriptor(file);
+    }, filePath);
+  }
+
+  /**
+   * Change owner of file, symlinks are followed. Only superuser
+   * changes user, owner may change group to one of own groups
+   *
+   * @param {string} filePath Path to file
+   * @param {int} uid New user id, -1 keeps user
+   * @param {int} gid New group id, -1 keeps group
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {InvalidArgument} Owner needs inode size bigger then 64 bytes
+   * @throws {NotPermitted} Process user must be allowed to change owner
+   */
+  chown(filePath, uid, gid) {
+    return this._transaction(() => {
+      this._checkOwnerSupported();
+      const file = this.lookUp(filePath, true);
+      const credentials = this.process.credentials;
+      if (!credentials.isSuperuser()) {
+        this._checkOwner(file);
+        if (uid != -1 && uid != file.uid) {
+          throw new NotPermitted("Only superuser may change file user");
+        }
+        if (gid != -1 && !credentials.inGroup(gid)) {
+          throw new NotPermitted(`User is not member of group ${gid}`);
+        }
+        if (file.type != FileType.DIRECTORY) {
+          file.mode &= ~FileMode.SETGID;
+        }
+      }
+
+      if (uid != -1) file.uid = uid;
+      if (gid != -1) file.gid = gid;
+      this._touch(file, ["ctime"]);
+      this._updateDescriptor(file);
+    }, filePath);
+  }
+
+  /**
+   * Create directory
+   *
+   * @param {string} dirPath Path where dir must be created
+   * @param {Object} [options]
+   * @param {int} [options.mode] Permission bits, umask of process is applied
+   * @param {boolean} [options.recursive] Create missing parent directories,
+   * existing directory by `dirPath` is not an error
+   *
+   * @throws {FileAlreadyExist} File by `dirPath` must not exist
+   * @throws {InvalidPath} Parent directory must exist
+   * @throws {NotDirectory} Files in `dirPath` must be directories
+   * @throws {PermissionDenied} Parent directory must be writable
+   */
+  mkdir(dirPath, options = {}) {
+    const { mode = 0o777, recursive = false } = options;
+    return this._transaction(() => {
+      if (!recursive) {
+        const dirName = this._getNewFileName(dirPath, true);
+        const parentDir = this.lookUp(this._getDirPath(dirPath));
+        this._mkdir(parentDir, dirName, mode);
+        return;
+      }
+
+      if (dirPath == "") {
+        throw new FileNotFound("Path is empty", dirPath);
+      }
+      const absolute = dirPath.startsWith("/");
+      const names = dirPath.split("/").filter((name) => name != "");
+      for (let i = 1; i <= names.length; i++) {
+        const path = (absolute ? "/" : "") + names.slice(0, i).join("/");
+        let dir = null;
+        try {
+          dir = this.lookUp(path, true);
+        } catch (e) {
+          if (!(e instanceof FileNotFound)) throw e;
+        }
+
+        if (dir === null) {
+          const parentDir = this.lookUp(this._getDirPath(path));
+          this._mkdir(parentDir, names[i - 1], mode);
+        } else if (dir.type != FileType.DIRECTORY) {
+          throw new NotDirectory("File is not directory", path);
+        }
+      }
+    }, dirPath);
+  }
+
+  /**
+   *
+   * @param {INode} parentDir Parent directory
+   * @param {string} dirName Name of new directory
+   * @param {int} mode Permission bits before umask
+   * @returns {INode} Created directory
+   *
+   * @throws {FileAlreadyExist} File with `dirName` must not exist in parent directory
+   * @throws {NotDirectory} `parentDir` must be directory
+   * @throws {PermissionDenied} Parent directory must be writable
+   */
+  _mkdir(parentDir, dirName, mode) {
+    let newDir = null;
+
+    try {
+      if (parentDir.type != FileType.DIRECTORY) {
+        throw new NotDirectory("Directory not found");
+      }
+      this._checkAccess(parentDir, Access.WRITE | Access.EXECUTE);
+      newDir = this._getUnusedDescriptor();
+      newDir.type = FileType.DIRECTORY;
+      this._setOwner(newDir, parentDir, mode);
+      newDir.refs = 0;
+      newDir.size = 0;
+      newDir.singleIndirect = 0;
+      newDir.straightLinks = [];
+      this._updateDescriptor(newDir);
+      this._addLink(parentDir, newDir, dirName);
+      this._addLink(newDir, newDir, ".");
+      this._addLink(newDir, parentDir, "..");
+      return this.getDescriptor(newDir.ino);
+    } catch (e) {
+      if (e instanceof FileAlreadyExist) {
+        newDir.refs = 0;
+        this._removeOrUpdate(newDir);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Remove directory
+   *
+   * @param {string} dirPath Path to dir
+   *
+   * @throws {InvalidPath} Directory by `dirPath` must exist
+   * @throws {NotDirectory} File by `dirPath` must be directory
+   * @throws {DirectoryNotEmpty} Directory must contain only dot dentries
+   * @throws {InvalidArgument} Current directory must not be removed
+   */
+  rmdir(dirPath) {
+    return this._transaction(() => {
+      const dirName = this._getFileName(dirPath);
+      const parentDirPath = this._getDirPath(dirPath);
+      let dir = this.lookUp(dirPath);
+
+      if (dir.type != FileType.DIRECTORY) {
+        throw new NotDirectory("Directory not found");
+      }
+      this._checkNotCwdParent(dir);
+      this._checkRemoveAccess(this.lookUp(parentDirPath), dir);
+      if (this._readDirectory(dir).length > 2) {
+        throw new DirectoryNotEmpty("Directory is not empty");
+      }
+
+      this._unlink(dir, ".");
+      dir = this.lookUp(dirPath);
+      this._unlink(dir, "..");
+      const parentDir = this.lookUp(parentDirPath);
+      this._unlink(parentDir, dirName);
+    }, dirPath);
+  }
+
+  /**
+   * Create symlink
+   *
+   * @param {string} filePath Path to file
+   * @param {string} linkPath Symlick path
+   */
+  symlink(filePath, linkPath) {
+    return this._transaction(() => {
+      const fileName = this._getNewFileName(filePath);
+      const dirPath = this._getDirPath(filePath);
+      const dir = this.lookUp(dirPath);
+      this._symlink(dir, fileName, linkPath);
+    }, filePath);
+  }
+
+  /**
+   *
+   * @param {INode} dir Directory of new symlink
+   * @param {string} fileName Symlink name
+   * @param {string} linkPath Path that symlink refers to
+   *
+   * @throws {FileAlreadyExist} File with `fileName` must not exist in directory
+   * @throws {NotDirectory} `dir` must be directory
+   * @throws {PermissionDenied} Directory must be writable
+   */
+  _symlink(dir, fileName, linkPath) {
+    let symlink;
+
+    try {
+      const linkPathBytes = new TextEncoder().encode(linkPath);
+      if (dir.type != FileType.DIRECTORY) {
+        throw new NotDirectory("Directory not found");
+      }
+      this._checkAccess(dir, Access.WRITE | Access.EXECUTE);
+
+      symlink = this._getUnusedDescriptor();
+      symlink.type = FileType.SYMLINK;
+      this._setOwner(symlink, dir, FileMode.PERMISSIONS);
+      symlink.refs = 0;
+      symlink.size = 0;
+      symlink.singleIndirect = 0;
+      symlink.straightLinks = [];
+      this._updateDescriptor(symlink);
+      this._addLink(dir, symlink, fileName);
+      this._truncate(symlink, linkPath.length);
+      symlink = this.getDescriptor(symlink.ino);
+      this._write(symlink, 0, linkPathBytes);
+    } catch (e) {
+      if (e instanceof FileAlreadyExist) {
+        this._removeOrUpdate(symlink);
+      }
+
+      throw e;
+    }
+  }
+
+  /**
+   * Remove file, directory is removed with its subtree in recursive mode.
+   * Symlinks are removed, not followed
+   *
+   * @param {string} filePath Path to file
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive] Remove directories and their content
+   *
+   * @throws {InvalidPath} File by `filePath` must exist
+   * @throws {IsDirectory} Directory is removed only in recursive mode
+   * @throws {InvalidArgument} Root, dot dentries, current directory and its
+   * parents must not be removed
+   * @throws {PermissionDenied} Directories of removed files must be writable
+   */
+  rm(filePath, options = {}) {
+    const { recursive = false } = options;
+    return this._transaction(() => {
+      const fileName = this._getFileName(filePath);
+      if (fileName == "." || fileName == "..") {
+        throw new InvalidArgument("Cannot remove dot dentries");
+      }
+      const file = this.lookUp(filePath);
+      if (file.ino == 0) {
+        throw new InvalidArgument("Cannot remove root directory");
+      }
+      if (file.type == FileType.DIRECTORY && !recursive) {
+        throw new IsDirectory("Directory is removed only in recursive mode");
+      }
+      if (file.type == FileType.DIRECTORY) {
+        this._checkNotCwdParent(file);
+      }
+      const dir = this.lookUp(this._getDirPath(filePath));
+      this._removeTree(dir, fileName);
+    }, filePath);
+  }
+
+  /**
+   * Copy file, directory is copied with its subtree in recursive mode.
+   * Symlinks are copied as links, files that are hard linked inside
+   * of copied tree stay hard linked in copy
+   *
+   * @param {string} srcPath Path to copied file
+   * @param {string} destPath Path of copy
+   * @param {Object} [options]
+   * @param {boolean} [options.recursive] Copy directories and their content
+   *
+   * @throws {InvalidPath} File by `srcPath` and directory by `destPath` must exist
+   * @throws {IsDirectory} Directory is copied only in recursive mode
+   * @throws {InvalidArgument} Directory must not be copied into own subtree
+   * @throws {FileAlreadyExist} File by `destPath` must not exist
+   * @throws {PermissionDenied} Copied files must be readable
+   */
+  cp(srcPath, destPath, options = {}) {
+    const { recursive = false } = options;
+    return this._transaction(() => {
+      const src = this.lookUp(srcPath);
+      if (src.type == FileType.DIRECTORY && !recursive) {
+        throw new IsDirectory(
+          "Directory is copied only in recursive mode",
+          srcPath
+        );
+      }
+      const dir = this.lookUp(this._getDirPath(destPath));
+      if (dir.type != FileType.DIRECTORY) {
+        throw new NotDirectory("Directory not found");
+      }
+      if (src.type == FileType.DIRECTORY) {
+        this._checkNotInSubtree(src, dir);
+      }
+      const isDirectory = src.type == FileType.DIRECTORY;
+      const fileName = this._getNewFileName(destPath, isDirectory);
+      this._copyTree(src, dir, fileName, new Map());
+    }, destPath);
+  }
+
+  /**
+   *
+   * @param {string} dirPath
+   */
+  cd(dirPath) {
+    const dir = this.lookUp(dirPath, true);
+    if (dir.type != FileType.DIRECTORY) {
+      throw new NotDirectory("Directory not found", dirPath);
+    }
+    this._checkAccess(dir, Access.EXECUTE, dirPath);
+    this.cwdIno = dir.ino;
+  }
+
+  /**
+   * @return {string} Process work directory
+   */
+  pwd() {
+    return this._getDirectoryPath(this.getDescriptor(this.cwdIno));
+  }
+
+  /**
+   * Read and validate superblock without mounting file system
+   *
+   * @returns {Superblock}
+   *
+   * @throws {InvalidImage} Device must contain valid superblock
+   */
+  _readSuperblock() {
+    const superblockBytes = this.cache.readBlock(0).slice(0, SUPERBLOCK_SIZE);
+    const superblock = deserializeSuperblock(superblockBytes);
+
+    if (superblock.magic != SUPERBLOCK_MAGIC) {
+      throw new InvalidImage("Device does not contain file system");
+    }
+    if (!verifySuperblockChecksum(superblockBytes)) {
+      throw new InvalidImage("Superblock checksum mismatch");
+    }
+    if (
+      superblock.version < MIN_FORMAT_VERSION ||
+      superblock.version > FORMAT_VERSION
+    ) {
+      throw new InvalidImage(
+        `Unsupported format version ${superblock.version}`
+      );
+    }
+    if (superblock.state === null) {
+      throw new InvalidImage("Unknown file system state");
+    }
+    const { blockSize, blockCount, inodeSize, inodeCount } = superblock;
+    const deviceBlockSize = this.device.blockSize;
+    if (
+      (blockSize != deviceBlockSize && !BLOCK_SIZES.includes(blockSize)) ||
+      blockSize % deviceBlockSize != 0 ||
+      blockCount * blockSize > this.device.blockCount * deviceBlockSize
+    ) {
+      throw new InvalidImage("File system geometry does not match device");
+    }
+    if (
+      !INODE_SIZES.includes(inodeSize) ||
+      inodeSize > blockSize ||
+      inodeCount < 1 ||
+      superblock.bitmapStart < 1 ||
+      superblock.inodeTableStart <
+        superblock.bitmapStart + Math.ceil(blockCount / 8 / blockSize) ||
+      superblock.journalStart <
+        superblock.inodeTableStart +
+          Math.ceil((inodeCount * inodeSize) / blockSize) ||
+      (superblock.journalBlocks != 0 &&
+        superblock.journalBlocks < MIN_JOURNAL_BLOCKS) ||
+      superblock.dataStart <
+        superblock.journalStart + superblock.journalBlocks ||
+      superblock.dataStart >= blockCount
+    ) {
+      throw new InvalidImage("Superblock contains invalid layout");
+    }
+
+    return superblock;
+  }
+
+  /**
+   *
+   * @param {Superblock} superblock
+   */
+  _setSuperblock(superblock) {
+    this.superblock = superblock;
+    this.addressesInBlock = superblock.blockSize / ADDRESS_SIZE;
+    this.allocator = new BlockAllocator(
+      superblock.blockCount,
+      superblock.blockSize * 8,
+      (group) => this._readBlock(superblock.bitmapStart + group)
+    );
+    this.extentTree = new ExtentTree(
+      {
+        readBlock: (blockAddress) => this._readBlock(blockAddress),
+        writeBlock: (blockAddress, block) =>
+          this._writeBlock(blockAddress, block),
+        allocateBlock: () => this._allocateBlock(),
+        freeBlock: (blockAddress) => this._setBlockFree(blockAddress),
+      },
+      superblock.blockSize
+    );
+    this.journal =
+      superblock.journalBlocks == 0
+        ? null
+        : new Journal(
+            {
+              readBlock: (blockAddress) => this._readDeviceBlock(blockAddress),
+              writeBlock: (blockAddress, block) =>
+                this._writeDeviceBlock(blockAddress, block),
+              flush: () => this._flushDevice(),
+            },
+            superblock.journalStart,
+            superblock.journalBlocks,
+            superblock.blockSize
+          );
+  }
+
+  /**
+   * Write committed journal transactions to home addresses
+   *
+   * @returns {int} Count of replayed transactions
+   */
+  _recoverJournal() {
+    if (!this.journal) return 0;
+
+    const transactions = this.journal.recover();
+    for (const transaction of transactions) {
+      this.journal.addPending(transaction);
+    }
+    this.journal.checkpoint();
+    // transactions may change orphan list head in superblock
+    this.superblock.orphanHead = this._readSuperblock().orphanHead;
+    return transactions.length;
+  }
+
+  /**
+   * Run high-level operation as one transaction. Nested operations join
+   * outer transaction. If operation throws, its metadata changes are discarded
+   *
+   * @param {function} operation
+   * @param {string|null} [path] Path that is set to thrown errors without path
+   * @returns {*} Operation result
+   */
+  _transaction(operation, path = null) {
+    if (this.transaction) {
+      return operation();
+    }
+
+    this.transaction = new Transaction();
+    const { orphanHead } = this.superblock;
+    let result;
+    try {
+      result = operation();
+    } catch (e) {
+      if (e instanceof FsError && e.path === null) {
+        e.path = path;
+      }
+      this.transaction = null;
+      this.superblock.orphanHead = orphanHead;
+      // bitmap changes are discarded with transaction
+      this.allocator.invalidate();
+      throw e;
+    }
+
+    const transaction = this.transaction;
+    this.transaction = null;
+    this._commitTransaction(transaction);
+    return result;
+  }
+
+  /**
+   * Write transaction to journal. Journaled blocks reach home addresses
+   * on checkpoint, that is done on sync or when journal is full
+   *
+   * @param {Transaction} transaction
+   */
+  _commitTransaction(transaction) {
+    if (transaction.blocks.size == 0) return;
+
+    if (this.journal && this.journal.canHold(transaction)) {
+      if (!this.journal.hasSpaceFor(transaction)) {
+        this.journal.checkpoint();
+      }
+      this.journal.commit(transaction);
+      return;
+    }
+
+    // without journal, or transaction is bigger than journal
+    if (this.journal) {
+      this.journal.checkpoint();
+    }
+    for (const [blockAddress, block] of transaction.blocks) {
+      this._writeDeviceBlock(blockAddress, block);
+    }
+  }
+
+  _writeSuperblock() {
+    const block = this._readBlock(0);
+    block.set(serializeSuperblock(this.superblock), 0);
+    this._writeBlock(0, block);
+  }
+
+  /**
+   *
+   * @param {int} ino
+   * @returns {int[]} Block address and offset in block of inode
+   */
+  _getINodeLocation(ino) {
+    const { inodeTableStart, inodeSize, blockSize } = this.superblock;
+    const inodeAddress = ino * inodeSize;
+    return [
+      inodeTableStart + Math.floor(inodeAddress / blockSize),
+      inodeAddress % blockSize,
+    ];
+  }
+
+  /**
+   *
+   * @param {INode} dir
+   * @param {string} filename
+   */
+  _unlink(dir, filename) {
+    const removeDentry = this._removeDentry(dir, filename);
+
+    const file = this.getDescriptor(removeDentry.ino);
+    file.refs--;
+    this._touch(file, ["ctime"]);
+    this._removeOrUpdate(file);
+  }
+
+  /**
+   * Remove file that is replaced by `rename`
+   *
+   * @param {INode} dir Directory of target
+   * @param {Dentry} targetDentry Dentry of replaced file
+   * @param {INode} file Moved file
+   *
+   * @throws {IsDirectory} Not directory must not replace directory
+   * @throws {NotDirectory} Directory must not replace not directory
+   * @throws {DirectoryNotEmpty} Replaced directory must be empty
+   * @throws {PermissionDenied} Target must be allowed to remove
+   */
+  _removeRenameTarget(dir, targetDentry, file) {
+    const target = this.getDescriptor(targetDentry.ino);
+    const targetIsDirectory = target.type == FileType.DIRECTORY;
+    if (targetIsDirectory && file.type != FileType.DIRECTORY) {
+      throw new IsDirectory("Cannot replace directory by not directory");
+    }
+    if (!targetIsDirectory && file.type == FileType.DIRECTORY) {
+      throw new NotDirectory("Cannot replace not directory by directory");
+    }
+    if (targetIsDirectory && this._readDirectory(target).length > 2) {
+      throw new DirectoryNotEmpty("Replaced directory is not empty");
+    }
+    this._checkRemoveAccess(dir, target);
+
+    if (targetIsDirectory) {
+      this._unlink(target, ".");
+      this._unlink(this.getDescriptor(target.ino), "..");
+    }
+    this._unlink(this.getDescriptor(dir.ino), targetDentry.fileName);
+  }
+
+  /**
+   *
+   * @param {INode} movedDir Moved directory
+   * @param {INode} dir New parent of moved directory
+   *
+   * @throws {InvalidArgument} `dir` must not be inside of `movedDir`
+   */
+  _checkNotInSubtree(movedDir, dir) {
+    if (this._isInSubtree(movedDir, dir)) {
+      throw new InvalidArgument("Directory cannot be placed in own subtree");
+    }
+  }
+
+  /**
+   * Walk up from `dir` by `..` dentries to root
+   *
+   * @param {INode} rootDir Root of subtree
+   * @param {INode} dir Checked directory
+   * @returns {boolean} `dir` is `rootDir` or is inside of it
+   */
+  _isInSubtree(rootDir, dir) {
+    while (dir.ino != 0) {
+      if (dir.ino == rootDir.ino) return true;
+      const parent = this._findDentry(dir, "..");
+      dir = this.getDescriptor(parent.ino);
+    }
+    return rootDir.ino == 0;
+  }
+
+  /**
+   *
+   * @param {INode} dir Removed directory
+   *
+   * @throws {InvalidArgument} Current directory must not be inside of `dir`
+   */
+  _checkNotCwdParent(dir) {
+    if (this._isInSubtree(dir, this.getDescriptor(this.cwdIno))) {
+      throw new InvalidArgument("Cannot remove current directory");
+    }
+  }
+
+  /**
+   * Remove dentry from directory, directory of dentry is removed
+   * with its subtree
+   *
+   * @param {INode} dir
+   * @param {string} filename
+   *
+   * @throws {PermissionDenied} Removed directories must be readable and writable
+   */
+  _removeTree(dir, filename) {
+    const dentry = this._findDentry(dir, filename);
+    const file = this.getDescriptor(dentry.ino);
+    this._checkRemoveAccess(dir, file);
+
+    if (file.type == FileType.DIRECTORY) {
+      this._checkAccess(file, Access.READ);
+      for (const child of this._readDirectory(file)) {
+        if (child.fileName == "." || child.fileName == "..") continue;
+        this._removeTree(this.getDescriptor(file.ino), child.fileName);
+      }
+      this._unlink(this.getDescriptor(file.ino), ".");
+      this._unlink(this.getDescriptor(file.ino), "..");
+    }
+    this._unlink(this.getDescriptor(dir.ino), filename);
+  }
+
+  /**
+   * Copy file to directory, directory is copied with its subtree
+   *
+   * @param {INode} src Copied file
+   * @param {INode} dir Directory of copy
+   * @param {string} filename Name of copy
+   * @param {Map<int, int>} copies Inode numbers of copies by copied inode numbers
+   *
+   * @throws {FileAlreadyExist} File with `filename` must not exist in directory
+   * @throws {PermissionDenied} Copied files must be readable
+   */
+  _copyTree(src, dir, filename, copies) {
+    if (src.type != FileType.SYMLINK) {
+      this._checkAccess(src, Access.READ);
+    }
+
+    if (src.type == FileType.REGULAR && copies.has(src.ino)) {
+      const copy = this.getDescriptor(copies.get(src.ino));
+      this._addLink(dir, copy, filename);
+    } else if (src.type == FileType.REGULAR) {
+      const copy = this._createFile(
+        dir,
+        filename,
+        src.mode,
+        this._hasExtents(src)
+      );
+      copies.set(src.ino, copy.ino);
+      this._copyData(src, this.getDescriptor(copy.ino));
+    } else if (src.type == FileType.SYMLINK) {
+      this._symlink(dir, filename, this._readLink(src));
+    } else {
+      const copy = this._mkdir(dir, filename, src.mode);
+      for (const child of this._readDirectory(src)) {
+        if (child.fileName == "." || child.fileName == "..") continue;
+        this._copyTree(
+          this.getDescriptor(child.ino),
+          this.getDescriptor(copy.ino),
+          child.fileName,
+          copies
+        );
+      }
+    }
+  }
+
+  /**
+   * Copy file data, holes of source stay holes in copy
+   *
+   * @param {INode} src Regular file
+   * @param {INode} copy Empty regular file
+   */
+  _copyData(src, copy) {
+    const { blockSize } = this.superblock;
+    this._truncate(copy, src.size);
+    for (const { blockIndex, blockAddress, length } of this._getBlockRanges(
+      src
+    )) {
+      if (!this._isAllocatedBlockAddress(blockAddress)) continue;
+
+      const offset = blockIndex * blockSize;
+      const size = Math.min(length * blockSize, src.size - offset);
+      this._write(copy, offset, this._read(src, offset, size));
+    }
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   */
+  _removeOrUpdate(inode) {
+    if (inode.refs == 0) {
+      if (this.openINodes.has(inode.ino)) {
+        this._addOrphan(inode);
+        return;
+      }
+      this._freeINode(inode);
+    }
+
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   * Free inode blocks and mark it unused
+   *
+   * @param {INode} inode
+   */
+  _freeINode(inode) {
+    this._truncate(inode, 0);
+    inode.type = FileType.UNUSED;
+    inode.size = 0;
+    inode.singleIndirect = NAN_BLOCK_ADDRESS;
+    inode.doubleIndirect = NAN_BLOCK_ADDRESS;
+    inode.tripleIndirect = NAN_BLOCK_ADDRESS;
+    inode.flags = 0;
+    inode.extentRoot = null;
+    inode.nextOrphan = 0;
+    inode.straightLinks = [];
+    for (
+      let linkIndex = 0;
+      linkIndex < INODE_STRAIGHT_LINKS_COUNT;
+      linkIndex++
+    ) {
+      inode.straightLinks.push(NAN_BLOCK_ADDRESS);
+    }
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   * Push inode without links to orphan list. The list is kept in image,
+   * so orphans left after crash are removed on mount
+   *
+   * @param {INode} inode Orphan inode
+   */
+  _addOrphan(inode) {
+    inode.nextOrphan = this.superblock.orphanHead;
+    this._updateDescriptor(inode);
+    this.superblock.orphanHead = inode.ino;
+    this._writeSuperblock();
+  }
+
+  /**
+   *
+   * @param {INode} inode Orphan inode
+   */
+  _removeOrphan(inode) {
+    if (this.superblock.orphanHead == inode.ino) {
+      this.superblock.orphanHead = inode.nextOrphan;
+      this._writeSuperblock();
+    } else {
+      let previous = this.getDescriptor(this.superblock.orphanHead);
+      while (previous.nextOrphan != inode.ino) {
+        previous = this.getDescriptor(previous.nextOrphan);
+      }
+      previous.nextOrphan = inode.nextOrphan;
+      this._updateDescriptor(previous);
+    }
+    inode.nextOrphan = 0;
+  }
+
+  /**
+   * Inodes of orphan list. List ends on inode that is not orphan,
+   * so damaged list cannot lead to linked files
+   *
+   * @returns {INode[]} Orphan inodes
+   */
+  _getOrphans() {
+    const { inodeCount } = this.superblock;
+    const orphans = [];
+    let ino = this.superblock.orphanHead;
+    while (ino > 0 && ino < inodeCount && orphans.length < inodeCount) {
+      const inode = this.getDescriptor(ino);
+      if (!inode.isOrphan()) break;
+
+      orphans.push(inode);
+      ino = inode.nextOrphan;
+    }
+    return orphans;
+  }
+
+  /**
+   * Remove all inodes of orphan list
+   */
+  _reclaimOrphans() {
+    for (const inode of this._getOrphans()) {
+      this._freeINode(inode);
+    }
+
+    if (this.superblock.orphanHead != 0) {
+      this.superblock.orphanHead = 0;
+      this._writeSuperblock();
+    }
+  }
+
+  /**
+   * Remove file without links if it is not opened anymore
+   *
+   * @param {OpenFile|null} openFile Opened file that has no descriptors
+   */
+  _closeOpenFile(openFile) {
+    if (!openFile) return;
+
+    const count = this.openINodes.get(openFile.ino) - 1;
+    if (count > 0) {
+      this.openINodes.set(openFile.ino, count);
+      return;
+    }
+
+    this.openINodes.delete(openFile.ino);
+    this._transaction(() => {
+      const inode = this.getDescriptor(openFile.ino);
+      if (inode.isOrphan()) {
+        this._removeOrphan(inode);
+        this._freeINode(inode);
+      }
+    });
+  }
+
+  /**
+   * Close descriptors of all processes, files without links
+   * are removed with their last descriptor
+   */
+  _closeAllFiles() {
+    for (const process of this.processes) {
+      for (const openFile of process.closeAll()) {
+        this._closeOpenFile(openFile);
+      }
+    }
+  }
+
+  /**
+   * Drop descriptors of all processes, their credentials are kept.
+   * Opened files of previous file system are not closed on new one
+   */
+  _resetOpenFiles() {
+    for (const process of this.processes) {
+      process.closeAll();
+    }
+    this.openINodes = new Map();
+  }
+
+  /**
+   *
+   * @param {INode} dir
+   * @returns
+   */
+  _readDirectory(dir) {
+    if (!this._isIndexed(dir)) {
+      const dirData = this._read(dir, 0, dir.size);
+      const dentries = deserializeDentries(dirData);
+      return dentries;
+    }
+
+    const root = this._readIndexRoot(dir);
+    let ranges = root.ranges;
+    for (let level = 0; level < root.depth; level++) {
+      ranges = ranges.flatMap(
+        (range) => this._readIndexNode(dir, range.block).ranges
+      );
+    }
+    const dentries = [];
+    for (const range of ranges) {
+      let blockIndex = range.block;
+      while (blockIndex != 0) {
+        const dentryBlock = this._readDentryBlock(dir, blockIndex);
+        dentries.push(...dentryBlock.dentries);
+        blockIndex = dentryBlock.next;
+      }
+    }
+    // dot dentries go first as in linear directory
+    const dotOrder = (dentry) => [".", ".."].indexOf(dentry.fileName) >>> 0;
+    return dentries.sort((a, b) => dotOrder(a) - dotOrder(b));
+  }
+
+  /**
+   * Find dentry by name, indexed directory reads only range of name
+   *
+   * @param {INode} dir
+   * @param {string} fileName
+   * @returns {Dentry|null}
+   */
+  _findDentry(dir, fileName) {
+    if (!this._isIndexed(dir)) {
+      const dentries = this._readDirectory(dir);
+      return dentries.find((d) => d.fileName == fileName) ?? null;
+    }
+
+    const path = this._findIndexPath(dir, this._readIndexRoot(dir), fileName);
+    const { node, rangeIndex } = path[path.length - 1];
+    let blockIndex = node.ranges[rangeIndex].block;
+    while (blockIndex != 0) {
+      const dentryBlock = this._readDentryBlock(dir, blockIndex);
+      const dentry = dentryBlock.dentries.find((d) => d.fileName == fileName);
+      if (dentry) return dentry;
+      blockIndex = dentryBlock.next;
+    }
+    return null;
+  }
+
+  /**
+   * Add dentry to directory without checks. Linear directory is indexed
+   * when count of its dentries reaches `DIR_INDEX_THRESHOLD`
+   *
+   * @param {INode} dir
+   * @param {Dentry} dentry
+   */
+  _insertDentry(dir, dentry) {
+    if (!this._isIndexed(dir)) {
+      if (this._canIndex()) {
+        const dentries = this._readDirectory(dir);
+        if (dentries.length + 1 >= DIR_INDEX_THRESHOLD) {
+          this._writeDirectory(dir, [...dentries, dentry]);
+          return;
+        }
+      }
+      const record = serializeDentry(dentry);
+      this._truncate(dir, dir.size + record.length);
+      this._write(dir, dir.size - record.length, record);
+      return;
+    }
+
+    const root = this._readIndexRoot(dir);
+    const path = this._findIndexPath(dir, root, dentry.fileName);
+    const level = path[path.length - 1];
+    const range = level.node.ranges[level.rangeIndex];
+    const dentrySize = getDentrySize(dentry.fileName);
+    let blockIndex = range.block;
+    while (blockIndex != 0) {
+      const dentryBlock = this._readDentryBlock(dir, blockIndex);
+      if (this._getDentryBlockFreeSpace(dentryBlock) >= dentrySize) {
+        dentryBlock.dentries.push(dentry);
+        this._writeDentryBlock(dir, blockIndex, dentryBlock);
+        return;
+      }
+      blockIndex = dentryBlock.next;
+    }
+
+    // full block is split by hashes, so range keeps one block
+    const head = this._readDentryBlock(dir, range.block);
+    const splitHash = this._getSplitHash([...head.dentries, dentry]);
+    if (head.next == 0 && splitHash !== null) {
+      const isMoved = (d) => dentryHash(d.fileName) >= splitHash;
+      blockIndex = this._allocateDirectoryBlock(dir, root);
+      this._writeDentryBlock(
+        dir,
+        blockIndex,
+        new DentryBlock(0, head.dentries.filter(isMoved))
+      );
+      head.dentries = head.dentries.filter((d) => !isMoved(d));
+      this._writeDentryBlock(dir, range.block, head);
+      this._insertIndexRange(
+        dir,
+        root,
+        path,
+        new IndexRange(splitHash, blockIndex)
+      );
+      this._insertDentry(dir, dentry);
+      return;
+    }
+
+    // all hashes of range are equal, new block becomes head of its chain
+    blockIndex = this._allocateDirectoryBlock(dir, root);
+    this._writeDentryBlock(
+      dir,
+      blockIndex,
+      new DentryBlock(range.block, [dentry])
+    );
+    range.block = blockIndex;
+    this._writeIndexLevel(dir, root, level);
+  }
+
+  /**
+   * Put range after found range of last path level. Full index node
+   * is split into halves and its upper half is put to parent level,
+   * full root moves its ranges to new node, so index gets one more level.
+   * Changed nodes and root are written
+   *
+   * @param {INode} dir Indexed directory
+   * @param {IndexRoot} root
+   * @param {Object[]} path Levels from root, see `_findIndexPath`
+   * @param {IndexRange} range
+   */
+  _insertIndexRange(dir, root, path, range) {
+    const level = path[path.length - 1];
+    const { ranges } = level.node;
+    ranges.splice(level.rangeIndex + 1, 0, range);
+    if (ranges.length <= this._getIndexRangesCapacity(level.blockIndex == 0)) {
+      this._writeIndexLevel(dir, root, level);
+      return;
+    }
+
+    // node has one range more than root, so all root ranges fit in it
+    const nodeBlock = this._allocateDirectoryBlock(dir, root);
+    if (level.blockIndex == 0) {
+      this._writeIndexNode(dir, nodeBlock, new IndexNode(ranges));
+      root.ranges = [new IndexRange(0, nodeBlock)];
+      root.depth++;
+      this._writeIndexRoot(dir, root);
+      return;
+    }
+
+    const upperRanges = ranges.splice(Math.floor(ranges.length / 2));
+    this._writeIndexNode(dir, nodeBlock, new IndexNode(upperRanges));
+    this._writeIndexNode(dir, level.blockIndex, level.node);
+    this._insertIndexRange(
+      dir,
+      root,
+      path.slice(0, -1),
+      new IndexRange(upperRanges[0].hash, nodeBlock)
+    );
+  }
+
+  /**
+   * Write node of path level and root, root keeps free blocks chain
+   * that may be changed with level
+   *
+   * @param {INode} dir Indexed directory
+   * @param {IndexRoot} root
+   * @param {Object} level Level of `_findIndexPath`
+   */
+  _writeIndexLevel(dir, root, level) {
+    if (level.blockIndex != 0) {
+      this._writeIndexNode(dir, level.blockIndex, level.node);
+    }
+    this._writeIndexRoot(dir, root);
+  }
+
+  /**
+   * Hash that splits dentries near the middle, dentries
+   * with the same hash stay together
+   *
+   * @param {Dentry[]} dentries
+   * @returns {int|null} First hash of upper part, null if all hashes are equal
+   */
+  _getSplitHash(dentries) {
+    const hashes = dentries
+      .map((dentry) => dentryHash(dentry.fileName))
+      .sort((a, b) => a - b);
+    const middleHash = hashes[Math.floor(hashes.length / 2)];
+    if (middleHash > hashes[0]) {
+      return middleHash;
+    }
+    return hashes.find((hash) => hash > hashes[0]) ?? null;
+  }
+
+  /**
+   * Take block from free chain of indexed directory or append new block.
+   * Root is changed, but not written
+   *
+   * @param {INode} dir Indexed directory
+   * @param {IndexRoot} root
+   * @returns {int} Directory block index
+   */
+  _allocateDirectoryBlock(dir, root) {
+    if (root.freeBlock != 0) {
+      const blockIndex = root.freeBlock;
+      root.freeBlock = this._readDentryBlock(dir, blockIndex).next;
+      return blockIndex;
+    }
+    const blockIndex = dir.size / this.superblock.blockSize;
+    this._truncate(dir, dir.size + this.superblock.blockSize);
+    return blockIndex;
+  }
+
+  /**
+   * Walk index from root to range of dentry blocks with hash of name
+   *
+   * @param {INode} dir Indexed directory
+   * @param {IndexRoot} root
+   * @param {string} fileName
+   * @returns {Object[]} Levels from root, each one keeps `node`, its
+   * `blockIndex` (0 for root) and `rangeIndex` of found range
+   */
+  _findIndexPath(dir, root, fileName) {
+    const hash = dentryHash(fileName);
+    const path = [];
+    let node = root;
+    let blockIndex = 0;
+    for (;;) {
+      const rangeIndex = this._findIndexRange(node.ranges, hash);
+      path.push({ node, blockIndex, rangeIndex });
+      if (path.length > root.depth) return path;
+      blockIndex = node.ranges[rangeIndex].block;
+      node = this._readIndexNode(dir, blockIndex);
+    }
+  }
+
+  /**
+   *
+   * @param {IndexRange[]} ranges
+   * @param {int} hash Name hash
+   * @returns {int} Index of range that contains hash
+   */
+  _findIndexRange(ranges, hash) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (ranges[middle].hash <= hash) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Remove dentry from directory. Emptied block of indexed directory
+   * leaves its chain and is reused by next inserts, range without
+   * blocks is merged to neighbour range. Index node keeps at least one range
+   *
+   * @param {INode} dir
+   * @param {string} fileName
+   * @returns {Dentry|undefined} Removed dentry, undefined if name is not found
+   */
+  _removeDentry(dir, fileName) {
+    if (!this._isIndexed(dir)) {
+      const dentries = this._readDirectory(dir);
+      const removeDentry = dentries.find((d) => d.fileName == fileName);
+      const newDentries = dentries.filter((d) => d.fileName != fileName);
+      const dirData = serializeDentries(newDentries);
+      this._write(dir, 0, dirData);
+      this._truncate(dir, dirData.length);
+      return removeDentry;
+    }
+
+    const root = this._readIndexRoot(dir);
+    const path = this._findIndexPath(dir, root, fileName);
+    const level = path[path.length - 1];
+    const { ranges } = level.node;
+    const range = ranges[level.rangeIndex];
+    let previousIndex = 0;
+    let blockIndex = range.block;
+    while (blockIndex != 0) {
+      const dentryBlock = this._readDentryBlock(dir, blockIndex);
+      const slot = dentryBlock.dentries.findIndex(
+        (d) => d.fileName == fileName
+      );
+      if (slot == -1) {
+        previousIndex = blockIndex;
+        blockIndex = dentryBlock.next;
+        continue;
+      }
+
+      const [removeDentry] = dentryBlock.dentries.splice(slot, 1);
+      const isLastBlock =
+        previousIndex == 0 && dentryBlock.next == 0 && ranges.length == 1;
+      if (dentryBlock.dentries.length == 0 && !isLastBlock) {
+        if (previousIndex != 0) {
+          const previous = this._readDentryBlock(dir, previousIndex);
+          previous.next = dentryBlock.next;
+          this._writeDentryBlock(dir, previousIndex, previous);
+        } else if (dentryBlock.next != 0) {
+          range.block = dentryBlock.next;
+        } else {
+          ranges.splice(level.rangeIndex, 1);
+          if (level.rangeIndex == 0) ranges[0].hash = range.hash;
+        }
+        dentryBlock.next = root.freeBlock;
+        root.freeBlock = blockIndex;
+        this._writeIndexLevel(dir, root, level);
+      }
+      this._writeDentryBlock(dir, blockIndex, dentryBlock);
+      return removeDentry;
+    }
+    return undefined;
+  }
+
+  /**
+   * Replace all dentries of directory. Directory is indexed
+   * if count of dentries reaches `DIR_INDEX_THRESHOLD`
+   *
+   * @param {INode} dir
+   * @param {Dentry[]} dentries
+   */
+  _writeDirectory(dir, dentries) {
+    if (this._canIndex() && dentries.length >= DIR_INDEX_THRESHOLD) {
+      this._truncate(dir, 0);
+      dir.flags |= INodeFlag.INDEXED;
+      this._truncate(dir, this.superblock.blockSize * 2);
+      this._writeIndexRoot(dir, new IndexRoot(0, 0, [new IndexRange(0, 1)]));
+      this._writeDentryBlock(dir, 1, new DentryBlock(0, []));
+      dentries.forEach((dentry) => this._insertDentry(dir, dentry));
+      return;
+    }
+
+    dir.flags &= ~INodeFlag.INDEXED;
+    const dirData = serializeDentries(dentries);
+    if (dirData.length > dir.size) {
+      this._truncate(dir, dirData.length);
+    }
+    this._write(dir, 0, dirData);
+    if (dirData.length < dir.size) {
+      this._truncate(dir, dirData.length);
+    }
+  }
+
+  /**
+   *
+   * @param {INode} dir
+   * @returns {boolean} Dentries of directory are split between blocks by hashes
+   */
+  _isIndexed(dir) {
+    return (dir.flags & INodeFlag.INDEXED) != 0;
+  }
+
+  /**
+   * @returns {boolean} Inode keeps flags and block fits dentry
+   * with longest name, so directories may be indexed
+   */
+  _canIndex() {
+    return (
+      this.superblock.inodeSize >= INODE_EXTENDED_SIZE &&
+      this.superblock.blockSize - DENTRY_BLOCK_HEADER_SIZE >= MAX_DENTRY_SIZE
+    );
+  }
+
+  /**
+   * @param {boolean} isRoot Root has bigger header than index node
+   * @returns {int} Max count of ranges in index root or node
+   */
+  _getIndexRangesCapacity(isRoot) {
+    const headerSize = isRoot ? INDEX_ROOT_HEADER_SIZE : INDEX_NODE_HEADER_SIZE;
+    return Math.floor(
+      (this.superblock.blockSize - headerSize) / INDEX_RANGE_SIZE
+    );
+  }
+
+  /**
+   *
+   * @param {DentryBlock} dentryBlock
+   * @returns {int} Count of bytes that are not used by dentry records
+   */
+  _getDentryBlockFreeSpace(dentryBlock) {
+    return dentryBlock.dentries.reduce(
+      (freeSpace, dentry) => freeSpace - getDentrySize(dentry.fileName),
+      this.superblock.blockSize - DENTRY_BLOCK_HEADER_SIZE
+    );
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @returns {IndexRoot}
+   */
+  _readIndexRoot(dir) {
+    return deserializeIndexRoot(this._read(dir, 0, this.superblock.blockSize));
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @param {IndexRoot} root
+   */
+  _writeIndexRoot(dir, root) {
+    this._write(dir, 0, serializeIndexRoot(root, this.superblock.blockSize));
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @param {int} blockIndex Directory block index
+   * @returns {IndexNode}
+   */
+  _readIndexNode(dir, blockIndex) {
+    const { blockSize } = this.superblock;
+    return deserializeIndexNode(
+      this._read(dir, blockIndex * blockSize, blockSize)
+    );
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @param {int} blockIndex Directory block index
+   * @param {IndexNode} node
+   */
+  _writeIndexNode(dir, blockIndex, node) {
+    const { blockSize } = this.superblock;
+    this._write(
+      dir,
+      blockIndex * blockSize,
+      serializeIndexNode(node, blockSize)
+    );
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @param {int} blockIndex Directory block index
+   * @returns {DentryBlock}
+   */
+  _readDentryBlock(dir, blockIndex) {
+    const { blockSize } = this.superblock;
+    return deserializeDentryBlock(
+      this._read(dir, blockIndex * blockSize, blockSize)
+    );
+  }
+
+  /**
+   *
+   * @param {INode} dir Indexed directory
+   * @param {int} blockIndex Directory block index
+   * @param {DentryBlock} dentryBlock
+   */
+  _writeDentryBlock(dir, blockIndex, dentryBlock) {
+    const { blockSize } = this.superblock;
+    this._write(
+      dir,
+      blockIndex * blockSize,
+      serializeDentryBlock(dentryBlock, blockSize)
+    );
+  }
+
+  /**
+   * Walk path by components from root or work directory. Empty
+   * components and trailing slashes are skipped, but trailing slash
+   * requires directory. Symlink target replaces symlink component,
+   * absolute target is walked from root
+   *
+   * @param {string} filePath Path to any file
+   * @param {boolean} resolveSymlink Follow symlink in last component
+   * @returns {{dir: INode, file: INode, fileName: string}} Found file,
+   * its directory and dentry name in it
+   *
+   * @throws {FileNotFound} File by `filePath` must exist
+   * @throws {NotDirectory} Not last files in path must be directories
+   * @throws {SymlinkLoop} Count of followed symlinks must not exceed limit
+   * @throws {NameTooLong} Path components must fit in dentry
+   * @throws {PermissionDenied} Directories in path must be searchable
+   */
+  _resolvePath(filePath, resolveSymlink) {
+    if (filePath == "") {
+      throw new FileNotFound("Empty path", filePath);
+    }
+
+    const splitPath = (path) => path.split("/").filter((name) => name != "");
+    const names = splitPath(filePath);
+    if (filePath.endsWith("/")) {
+      names.push(".");
+    }
+    let dir = this.getDescriptor(filePath.startsWith("/") ? 0 : this.cwdIno);
+    let file = dir;
+    let fileName = ".";
+    let symlinkDepth = 0;
+
+    while (names.length > 0) {
+      if (file.type != FileType.DIRECTORY) {
+        throw new NotDirectory(`File ${fileName} is not directory`, filePath);
+      }
+      dir = file;
+      fileName = names.shift();
+      this._checkAccess(dir, Access.EXECUTE, filePath);
+      this._checkNameLength(fileName, filePath);
+      const dentry = this._findDentry(dir, fileName);
+      if (!dentry) {
+        throw new FileNotFound("File not found", filePath);
+      }
+      file = this.getDescriptor(dentry.ino);
+
+      if (
+        file.type == FileType.SYMLINK &&
+        (names.length > 0 || resolveSymlink)
+      ) {
+        if (++symlinkDepth > this.maxSymlinkDepth) {
+          throw new SymlinkLoop("Too many symlinks in path", filePath);
+        }
+        const linkPath = this._readLink(file);
+        names.unshift(...splitPath(linkPath));
+        file = linkPath.startsWith("/") ? this.getDescriptor(0) : dir;
+        fileName = ".";
+      }
+    }
+
+    return { dir, file, fileName };
+  }
+
+  /**
+   *
+   * @param {INode} symlink
+   * @returns {string} Path that symlink refers to
+   */
+  _readLink(symlink) {
+    const linkPathBytes = this._read(symlink, 0, symlink.size);
+    return new TextDecoder().decode(linkPathBytes);
+  }
+
+  /**
+   * Build absolute path of directory by walking up with `..` dentries
+   *
+   * @param {INode} dir
+   * @returns {string} Absolute path
+   */
+  _getDirectoryPath(dir) {
+    const names = [];
+    while (dir.ino != 0) {
+      const parentDentry = this._findDentry(dir, "..");
+      const parentDir = this.getDescriptor(parentDentry.ino);
+      const dentry = this._readDirectory(parentDir).find(
+        (d) => d.ino == dir.ino && d.fileName != "." && d.fileName != ".."
+      );
+      names.unshift(dentry.fileName);
+      dir = parentDir;
+    }
+    return "/" + names.join("/");
+  }
+
+  /**
+   * Change file size (any type of file)
+   *
+   * @param {INode} inode File descriptor
+   * @param {int} size New file size
+   *
+   * @throws {NotEnoughMemory} If not found free space on device
+   * @throws {FileTooLarge} Size must not exceed max file size
+   */
+  _truncate(inode, size) {
+    const maxSize = this._getMaxFileSize(inode);
+    if (size > maxSize) {
+      throw new FileTooLarge(`File size must not exceed ${maxSize} bytes`);
+    }
+
+    this._touch(inode, ["mtime", "ctime"]);
+    if (inode.size < size) {
+      this._increaseINode(inode, size);
+    } else {
+      this._descreaseINode(inode, size);
+    }
+  }
+
+  /**
+   * New blocks are not mapped, they are read as zeros
+   * and allocated on first write
+   *
+   * @param {INode} inode
+   * @param {int} size
+   */
+  _increaseINode(inode, size) {
+    inode.size = size;
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @returns {int} Max file size in bytes
+   */
+  _getMaxFileSize(inode) {
+    const { blockSize, inodeSize } = this.superblock;
+    const maxBlocks = this._hasExtents(inode)
+      ? 2 ** 32 // logical block is 32 bits
+      : this._getIndirectLevels().reduce(
+          (blockCount, { depth }) =>
+            blockCount + this.addressesInBlock ** depth,
+          INODE_STRAIGHT_LINKS_COUNT
+        );
+    const maxSize =
+      inodeSize >= INODE_EXTENDED_SIZE ? Number.MAX_SAFE_INTEGER : 2 ** 32 - 1;
+    return Math.min(maxBlocks * blockSize, maxSize);
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} size
+   */
+  _descreaseINode(inode, size) {
+    const blockExists = this._getBlocksCount(inode.size);
+    const needBlocks = this._getBlocksCount(size);
+    this._removeLastBlocksFromINode(inode, blockExists - needBlocks);
+
+    const lastBlockByteCount = size % this.superblock.blockSize;
+    if (needBlocks > 0 && lastBlockByteCount != 0) {
+      const lastBlockAddress = this._getBlockAddress(inode, needBlocks - 1);
+      if (this._isAllocatedBlockAddress(lastBlockAddress)) {
+        const lastBlock = this._readBlock(lastBlockAddress);
+        lastBlock.fill(0, lastBlockByteCount);
+        if (inode.type == FileType.REGULAR) {
+          this._writeDataBlock(lastBlockAddress, lastBlock);
+        } else {
+          this._writeBlock(lastBlockAddress, lastBlock);
+        }
+      }
+    }
+
+    inode.size = size;
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} removeBlocksCount
+   */
+  _removeLastBlocksFromINode(inode, removeBlocksCount) {
+    const blockExists = this._getBlocksCount(inode.size);
+    const blockLeft = blockExists - removeBlocksCount;
+
+    if (this._hasExtents(inode)) {
+      const { extents, nodeAddresses } = this.extentTree.read(inode.extentRoot);
+      const [keptExtents, removedExtents] = removeExtentRange(
+        extents,
+        blockLeft,
+        Infinity
+      );
+      for (const extent of removedExtents) {
+        for (let index = 0; index < extent.length; index++) {
+          this._setBlockFree(extent.physicalBlock + index);
+        }
+      }
+      inode.extentRoot = this.extentTree.write(keptExtents, nodeAddresses);
+      return this._updateDescriptor(inode);
+    }
+
+    for (const blockAddress of this._getBlocks(inode, blockLeft, blockExists)) {
+      if (this._isAllocatedBlockAddress(blockAddress)) {
+        this._setBlockFree(blockAddress);
+      }
+    }
+
+    for (
+      let linkIndex = blockLeft;
+      linkIndex < INODE_STRAIGHT_LINKS_COUNT;
+      linkIndex++
+    ) {
+      inode.straightLinks[linkIndex] = NAN_BLOCK_ADDRESS;
+    }
+    for (const { field, start, depth } of this._getIndirectLevels()) {
+      const indirectAddress = inode[field];
+      if (indirectAddress == NAN_BLOCK_ADDRESS) continue;
+
+      const keepBlocks = Math.max(0, blockLeft - start);
+      if (keepBlocks == 0) {
+        this._freeIndirectBlock(indirectAddress, depth);
+        inode[field] = NAN_BLOCK_ADDRESS;
+      } else if (keepBlocks < this.addressesInBlock ** depth) {
+        this._cutIndirectBlock(indirectAddress, depth, keepBlocks);
+      }
+    }
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   * Remove addresses after `keepBlocks` from indirect block and free
+   * indirect blocks that become empty. Data blocks are not freed
+   *
+   * @param {int} indirectAddress
+   * @param {int} depth Indirection depth, 1 for single indirect block
+   * @param {int} keepBlocks Count of data blocks that must stay
+   */
+  _cutIndirectBlock(indirectAddress, depth, keepBlocks) {
+    const span = this.addressesInBlock ** (depth - 1);
+    const addresses = this._readAddresses(indirectAddress);
+
+    addresses.forEach((address, slot) => {
+      const childKeepBlocks = Math.min(
+        Math.max(keepBlocks - slot * span, 0),
+        span
+      );
+      if (childKeepBlocks == span || address == NAN_BLOCK_ADDRESS) return;
+
+      if (depth == 1) {
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+      } else if (childKeepBlocks == 0) {
+        this._freeIndirectBlock(address, depth - 1);
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+      } else {
+        this._cutIndirectBlock(address, depth - 1, childKeepBlocks);
+      }
+    });
+
+    this._writeAddresses(indirectAddress, addresses);
+  }
+
+  /**
+   * Free indirect block and all nested indirect blocks. Data blocks are not freed
+   *
+   * @param {int} indirectAddress
+   * @param {int} depth Indirection depth, 1 for single indirect block
+   */
+  _freeIndirectBlock(indirectAddress, depth) {
+    if (depth > 1) {
+      for (const address of this._readAddresses(indirectAddress)) {
+        if (address != NAN_BLOCK_ADDRESS) {
+          this._freeIndirectBlock(address, depth - 1);
+        }
+      }
+    }
+    this._setBlockFree(indirectAddress);
+  }
+
+  /**
+   * Map zeroed blocks to holes of range, blocks are allocated before
+   * any of them is mapped
+   *
+   * @param {INode} inode
+   * @param {int} startBlockIndex
+   * @param {int} endBlockIndex Exclusive, must not exceed blocks of file
+   *
+   * @throws {NotEnoughMemory} If not found free space on device
+   */
+  _allocateRange(inode, startBlockIndex, endBlockIndex) {
+    const blockAddresses = [
+      ...this._getBlocks(inode, startBlockIndex, endBlockIndex),
+    ];
+    const newBlockAddresses = this._allocateBlocks(
+      blockAddresses.filter(
+        (blockAddress) => !this._isAllocatedBlockAddress(blockAddress)
+      ).length,
+      this._getGoalBlockAddress(inode, startBlockIndex)
+    );
+
+    const mappedAddresses = new Map();
+    blockAddresses.forEach((blockAddress, index) => {
+      if (this._isAllocatedBlockAddress(blockAddress)) return;
+
+      blockAddress = newBlockAddresses.shift();
+      this._writeDataBlock(
+        blockAddress,
+        new Uint8Array(this.superblock.blockSize)
+      );
+      mappedAddresses.set(startBlockIndex + index, blockAddress);
+    });
+    this._setBlockAddresses(inode, mappedAddresses);
+  }
+
+  /**
+   * Fill range of allocated blocks with zeros, holes are skipped
+   *
+   * @param {INode} inode
+   * @param {int} offset
+   * @param {int} end Exclusive, must not exceed file size
+   */
+  _zeroRange(inode, offset, end) {
+    const { blockSize } = this.superblock;
+    for (const { blockIndex, blockAddress, length } of this._getBlockRanges(
+      inode,
+      Math.floor(offset / blockSize),
+      this._getBlocksCount(end)
+    )) {
+      if (!this._isAllocatedBlockAddress(blockAddress)) continue;
+
+      for (let index = 0; index < length; index++) {
+        const blockStart = (blockIndex + index) * blockSize;
+        const block = this._readBlock(blockAddress + index);
+        block.fill(
+          0,
+          Math.max(offset - blockStart, 0),
+          Math.min(end - blockStart, blockSize)
+        );
+        this._writeDataBlock(blockAddress + index, block);
+      }
+    }
+  }
+
+  /**
+   * Free blocks that are inside of range and zero partial blocks
+   * at its edges. Last block of file is freed if range reaches file end
+   *
+   * @param {INode} inode
+   * @param {int} offset
+   * @param {int} end Exclusive, must not exceed file size
+   */
+  _punchHole(inode, offset, end) {
+    const { blockSize } = this.superblock;
+    const startBlockIndex = this._getBlocksCount(offset);
+    const endBlockIndex =
+      end == inode.size
+        ? this._getBlocksCount(end)
+        : Math.floor(end / blockSize);
+    if (startBlockIndex < endBlockIndex) {
+      this._freeRange(inode, startBlockIndex, endBlockIndex);
+    }
+    // freed blocks are holes now, only edges are zeroed
+    this._zeroRange(inode, offset, end);
+  }
+
+  /**
+   * Free data blocks of range and unmap them, indirect blocks
+   * that become empty are freed too
+   *
+   * @param {INode} inode
+   * @param {int} startBlockIndex
+   * @param {int} endBlockIndex Exclusive
+   */
+  _freeRange(inode, startBlockIndex, endBlockIndex) {
+    if (this._hasExtents(inode)) {
+      const { extents, nodeAddresses } = this.extentTree.read(inode.extentRoot);
+      const [keptExtents, removedExtents] = removeExtentRange(
+        extents,
+        startBlockIndex,
+        endBlockIndex
+      );
+      for (const extent of removedExtents) {
+        for (let index = 0; index < extent.length; index++) {
+          this._setBlockFree(extent.physicalBlock + index);
+        }
+      }
+      inode.extentRoot = this.extentTree.write(keptExtents, nodeAddresses);
+      return this._updateDescriptor(inode);
+    }
+
+    for (
+      let linkIndex = startBlockIndex;
+      linkIndex < Math.min(endBlockIndex, INODE_STRAIGHT_LINKS_COUNT);
+      linkIndex++
+    ) {
+      const blockAddress = inode.straightLinks[linkIndex];
+      if (this._isAllocatedBlockAddress(blockAddress)) {
+        this._setBlockFree(blockAddress);
+      }
+      inode.straightLinks[linkIndex] = NAN_BLOCK_ADDRESS;
+    }
+    for (const { field, start, depth } of this._getIndirectLevels()) {
+      const end = Math.min(
+        endBlockIndex,
+        start + this.addressesInBlock ** depth
+      );
+      if (
+        inode[field] == NAN_BLOCK_ADDRESS ||
+        Math.max(startBlockIndex, start) >= end
+      ) {
+        continue;
+      }
+
+      const isEmpty = this._freeIndirectRange(
+        inode[field],
+        depth,
+        Math.max(startBlockIndex - start, 0),
+        end - start
+      );
+      if (isEmpty) {
+        inode[field] = NAN_BLOCK_ADDRESS;
+      }
+    }
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   * Free data blocks of range that are addressed by indirect block,
+   * holes of range are unmapped. Indirect block is freed if it has
+   * no allocated addresses left
+   *
+   * @param {int} indirectAddress
+   * @param {int} depth Indirection depth, 1 for single indirect block
+   * @param {int} startIndex Index of first block addressed by indirect block
+   * @param {int} endIndex Exclusive
+   * @returns {boolean} True if indirect block was freed
+   */
+  _freeIndirectRange(indirectAddress, depth, startIndex, endIndex) {
+    const span = this.addressesInBlock ** (depth - 1);
+    const addresses = this._readAddresses(indirectAddress);
+
+    for (
+      let slot = Math.floor(startIndex / span);
+      slot * span < endIndex;
+      slot++
+    ) {
+      const address = addresses[slot];
+      if (!this._isAllocatedBlockAddress(address)) {
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+        continue;
+      }
+
+      if (depth == 1) {
+        this._setBlockFree(address);
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+      } else if (
+        this._freeIndirectRange(
+          address,
+          depth - 1,
+          Math.max(startIndex - slot * span, 0),
+          Math.min(endIndex - slot * span, span)
+        )
+      ) {
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+      }
+    }
+
+    if (!addresses.some((address) => this._isAllocatedBlockAddress(address))) {
+      this._setBlockFree(indirectAddress);
+      return true;
+    }
+    this._writeAddresses(indirectAddress, addresses);
+    return false;
+  }
+
+  /**
+   * Find free blocks and mark them unfree. Blocks are not cleared
+   *
+   * @param {int} count Count of needed blocks
+   * @param {int} [goal] Preferred first block address
+   * @returns {int[]} Block addresses
+   *
+   * @throws {NotEnoughMemory} If device has not enough free blocks
+   */
+  _allocateBlocks(count, goal) {
+    // block can be reused only after transaction that frees it is written
+    const isReserved = (blockAddress) =>
+      this.transaction?.freedBlocks.has(blockAddress) ||
+      this.journal?.pending.freedBlocks.has(blockAddress);
+
+    let blockAddresses = this.allocator.find(count, goal, isReserved);
+    if (
+      blockAddresses.length < count &&
+      this.journal &&
+      this.journal.pending.freedBlocks.size > 0
+    ) {
+      this.journal.checkpoint();
+      blockAddresses = this.allocator.find(count, goal, isReserved);
+    }
+    if (blockAddresses.length < count) {
+      throw new NotEnoughMemory(`Not enough free blocks for ${count} blocks`);
+    }
+
+    blockAddresses.forEach((blockAddress) =>
+      this._setBlockUnfree(blockAddress)
+    );
+    return blockAddresses;
+  }
+
+  /**
+   * Find free block, mark it unfree and clear it
+   *
+   * @returns {int} Block address
+   *
+   * @throws {NotEnoughMemory} If device is full
+   */
+  _allocateBlock() {
+    const [blockAddress] = this._allocateBlocks(1);
+    this._clearBlock(blockAddress);
+    return blockAddress;
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} blockIndex
+   * @returns {int|undefined} Address that follows block of file before `blockIndex`
+   */
+  _getGoalBlockAddress(inode, blockIndex) {
+    if (blockIndex == 0) return undefined;
+
+    const blockAddress = this._getBlockAddress(inode, blockIndex - 1);
+    return this._isAllocatedBlockAddress(blockAddress)
+      ? blockAddress + 1
+      : undefined;
+  }
+
+  /**
+   * Length is checked in UTF-8 bytes, as name is stored in dentry
+   *
+   * @param {string} fileName
+   * @param {string|null} [path] Path with file name for error
+   *
+   * @throws {NameTooLong} File name must fit in dentry
+   */
+  _checkNameLength(fileName, path = null) {
+    if (new TextEncoder().encode(fileName).length > MAX_FILENAME_LENGTH) {
+      throw new NameTooLong(
+        `File name must not exceed ${MAX_FILENAME_LENGTH} bytes`,
+        path
+      );
+    }
+  }
+
+  /**
+   * Add new dentry to directory
+   *
+   * @param {INode} dir Directory file descriptor
+   * @param {INode} file File descriptor
+   * @param {string} filename File name
+   *
+   * @throws {FileAlreadyExist} File with `fileName` must not exist in directory
+   * @throws {NameTooLong} File name must fit in dentry
+   * @throws {TooManyLinks} File must not exceed max links count
+   */
+  _addLink(dir, file, filename) {
+    this._checkNameLength(filename);
+    if (file.refs >= MAX_LINK_COUNT) {
+      throw new TooManyLinks(`Inode ${file.ino} has max count of links`);
+    }
+    if (this._findDentry(dir, filename)) {
+      throw new FileAlreadyExist(`File ${filename} already exists`);
+    }
+    this._insertDentry(dir, new Dentry(filename, file.ino, file.type));
+    if (file.ino == dir.ino) {
+      file = dir;
+    }
+    file.refs++;
+    this._touch(file, ["ctime"]);
+    this._updateDescriptor(file);
+  }
+
+  /**
+   * Ranges of inode blocks that are addressed through indirect blocks.
+   * Triple indirect address is kept only in extended inode
+   *
+   * @returns {{field: string, start: int, depth: int}[]}
+   */
+  _getIndirectLevels() {
+    const singleIndirectStart = INODE_STRAIGHT_LINKS_COUNT;
+    const doubleIndirectStart = singleIndirectStart + this.addressesInBlock;
+    const tripleIndirectStart =
+      doubleIndirectStart + this.addressesInBlock ** 2;
+    const levels = [
+      { field: "singleIndirect", start: singleIndirectStart, depth: 1 },
+      { field: "doubleIndirect", start: doubleIndirectStart, depth: 2 },
+    ];
+    if (this.superblock.inodeSize >= INODE_EXTENDED_SIZE) {
+      levels.push({
+        field: "tripleIndirect",
+        start: tripleIndirectStart,
+        depth: 3,
+      });
+    }
+    return levels;
+  }
 
-    const file = this.getDescriptor(removeDentry.ino);
-    file.refs--;
-    this._removeOrUpdate(file);
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} blockIndex
+   * @returns {int} Block address, `NAN_BLOCK_ADDRESS` if block is not mapped.
+   * Repaired indirect block may keep `ZERO_BLOCK_ADDRESS`, so callers check
+   * address by `_isAllocatedBlockAddress`
+   */
+  _getBlockAddress(inode, blockIndex) {
+    if (this._hasExtents(inode)) {
+      const extent = this.extentTree.find(inode.extentRoot, blockIndex);
+      return extent
+        ? extent.physicalBlock + blockIndex - extent.logicalBlock
+        : NAN_BLOCK_ADDRESS;
+    }
+    if (blockIndex < INODE_STRAIGHT_LINKS_COUNT) {
+      return inode.straightLinks[blockIndex] ?? NAN_BLOCK_ADDRESS;
+    }
+
+    const { field, start, depth } = this._getIndirectLevel(blockIndex);
+    let address = inode[field];
+    let index = blockIndex - start;
+    for (let level = depth; level > 0; level--) {
+      if (address == NAN_BLOCK_ADDRESS) return NAN_BLOCK_ADDRESS;
+
+      const span = this.addressesInBlock ** (level - 1);
+      address = this._readAddresses(address)[Math.floor(index / span)];
+      index %= span;
+    }
+    return address;
   }
 
   /**
+   * Map inode block to block address, allocate indirect blocks
+   * or extent tree nodes if needed
    *
    * @param {INode} inode
+   * @param {int} blockIndex
+   * @param {int} blockAddress
    */
-  _removeOrUpdate(inode) {
-    if (inode.refs == 0) {
-      this._truncate(inode, 0);
-      inode.type = FileType.UNUSED;
-      inode.size = 0;
-      inode.singleIndirect = NAN_BLOCK_ADDRESS;
-      inode.doubleIndirect = NAN_BLOCK_ADDRESS;
-      inode.straightLinks = [];
-      for (
-        let linkIndex = 0;
-        linkIndex < INODE_STRAIGHT_LINKS_COUNT;
-        linkIndex++
+  _setBlockAddress(inode, blockIndex, blockAddress) {
+    if (this._hasExtents(inode)) {
+      return this._setBlockAddresses(
+        inode,
+        new Map([[blockIndex, blockAddress]])
+      );
+    }
+    if (blockIndex < INODE_STRAIGHT_LINKS_COUNT) {
+      inode.straightLinks[blockIndex] = blockAddress;
+      return this._updateDescriptor(inode);
+    }
+
+    const { field, start, depth } = this._getIndirectLevel(blockIndex);
+    if (inode[field] == NAN_BLOCK_ADDRESS) {
+      inode[field] = this._allocateBlock();
+      this._updateDescriptor(inode);
+    }
+
+    let indirectAddress = inode[field];
+    let index = blockIndex - start;
+    for (let level = depth; level > 1; level--) {
+      const span = this.addressesInBlock ** (level - 1);
+      const slot = Math.floor(index / span);
+      index %= span;
+
+      const addresses = this._readAddresses(indirectAddress);
+      if (addresses[slot] == NAN_BLOCK_ADDRESS) {
+        addresses[slot] = this._allocateBlock();
+        this._writeAddresses(indirectAddress, addresses);
+      }
+      indirectAddress = addresses[slot];
+    }
+
+    const addresses = this._readAddresses(indirectAddress);
+    addresses[index] = blockAddress;
+    this._writeAddresses(indirectAddress, addresses);
+  }
+
+  /**
+   * Map inode blocks to block addresses. Extent tree is read and written
+   * once, blocks that are contiguous in file and on device are
+   * mapped as one extent
+   *
+   * @param {INode} inode
+   * @param {Map<int, int>} blockAddresses Block addresses by block index in
+   * ascending order of indexes
+   */
+  _setBlockAddresses(inode, blockAddresses) {
+    if (!this._hasExtents(inode)) {
+      for (const [blockIndex, blockAddress] of blockAddresses) {
+        this._setBlockAddress(inode, blockIndex, blockAddress);
+      }
+      return;
+    }
+    if (blockAddresses.size == 0) return;
+
+    const runs = [];
+    for (const [blockIndex, blockAddress] of blockAddresses) {
+      const isAllocated = this._isAllocatedBlockAddress(blockAddress);
+      const last = runs[runs.length - 1];
+      if (
+        last &&
+        last.logicalBlock + last.length == blockIndex &&
+        (isAllocated
+          ? last.physicalBlock + last.length == blockAddress
+          : last.physicalBlock == blockAddress)
       ) {
-        inode.straightLinks.push(NAN_BLOCK_ADDRESS);
+        last.length++;
+      } else {
+        runs.push(new Extent(blockIndex, blockAddress, 1));
       }
     }
 
+    let { extents, nodeAddresses } = this.extentTree.read(inode.extentRoot);
+    for (const run of runs) {
+      const end = run.logicalBlock + run.length;
+      [extents] = removeExtentRange(extents, run.logicalBlock, end);
+      if (this._isAllocatedBlockAddress(run.physicalBlock)) {
+        extents = insertExtent(extents, run);
+      }
+    }
+    inode.extentRoot = this.extentTree.write(extents, nodeAddresses);
     this._updateDescriptor(inode);
   }
 
   /**
    *
-   * @param {INode} dir
-   * @returns
+   * @param {int} blockIndex
+   * @returns {{field: string, start: int, depth: int}}
    */
-  _readDirectory(dir) {
-    const dirData = this._read(dir, 0, dir.size);
-    const dentries = deserializeDentries(dirData);
-    return dentries;
+  _getIndirectLevel(blockIndex) {
+    const indirectLevel = this._getIndirectLevels().find(
+      ({ start, depth }) => blockIndex < start + this.addressesInBlock ** depth
+    );
+    if (!indirectLevel) {
+      throw new FileTooLarge(`Block ${blockIndex} cannot be addressed`);
+    }
+    return indirectLevel;
   }
 
   /**
-   * Change file size (any type of file)
    *
-   * @param {INode} inode File descriptor
-   * @param {int} size New file size
+   * @param {INode} inode
+   * @param {int} startBlockIndex
+   * @param {int} endBlockIndex Exclusive, by default all blocks of file
    *
-   * @throws {NotEnoughMemory} If not found free space on device
+   * @yields {int} Block addresses
    */
-  _truncate(inode, size) {
-    if (inode.size < size) {
-      this._increaseINode(inode, size);
-    } else {
-      this._descreaseINode(inode, size);
+  *_getBlocks(inode, startBlockIndex = 0, endBlockIndex = -1) {
+    if (this._hasExtents(inode)) {
+      for (const { blockAddress, length } of this._getBlockRanges(
+        inode,
+        startBlockIndex,
+        endBlockIndex
+      )) {
+        for (let index = 0; index < length; index++) {
+          yield this._isAllocatedBlockAddress(blockAddress)
+            ? blockAddress + index
+            : blockAddress;
+        }
+      }
+      return;
+    }
+
+    const blockExists = this._getBlocksCount(inode.size);
+    if (endBlockIndex < 0 || endBlockIndex > blockExists) {
+      endBlockIndex = blockExists;
+    }
+
+    let blockIndex = startBlockIndex;
+    for (
+      ;
+      blockIndex < Math.min(endBlockIndex, INODE_STRAIGHT_LINKS_COUNT);
+      blockIndex++
+    ) {
+      yield inode.straightLinks[blockIndex] ?? NAN_BLOCK_ADDRESS;
+    }
+
+    for (const { field, start, depth } of this._getIndirectLevels()) {
+      const end = Math.min(
+        endBlockIndex,
+        start + this.addressesInBlock ** depth
+      );
+      if (blockIndex >= end) continue;
+
+      yield* this._getIndirectBlocks(
+        inode[field],
+        depth,
+        blockIndex - start,
+        end - start
+      );
+      blockIndex = end;
     }
   }
 
   /**
+   * Ranges of file blocks that are stored in contiguous device blocks.
+   * Holes are returned as ranges with `ZERO_BLOCK_ADDRESS`
    *
    * @param {INode} inode
-   * @param {int} size
+   * @param {int} startBlockIndex
+   * @param {int} endBlockIndex Exclusive, by default all blocks of file
+   *
+   * @yields {{blockIndex: int, blockAddress: int, length: int}} Block ranges
    */
-  _increaseINode(inode, size) {
-    const blockExists = Math.ceil(inode.size / BLOCK_SIZE);
-    const needBlocks = Math.ceil(size / BLOCK_SIZE);
+  *_getBlockRanges(inode, startBlockIndex = 0, endBlockIndex = -1) {
+    const blockExists = this._getBlocksCount(inode.size);
+    if (endBlockIndex < 0 || endBlockIndex > blockExists) {
+      endBlockIndex = blockExists;
+    }
+
+    if (this._hasExtents(inode)) {
+      let blockIndex = startBlockIndex;
+      const { extents } = this.extentTree.read(inode.extentRoot);
+      const [, rangeExtents] = removeExtentRange(
+        extents,
+        startBlockIndex,
+        endBlockIndex
+      );
+      for (const extent of rangeExtents) {
+        if (blockIndex < extent.logicalBlock) {
+          yield {
+            blockIndex,
+            blockAddress: ZERO_BLOCK_ADDRESS,
+            length: extent.logicalBlock - blockIndex,
+          };
+        }
+        yield {
+          blockIndex: extent.logicalBlock,
+          blockAddress: extent.physicalBlock,
+          length: extent.length,
+        };
+        blockIndex = extent.logicalBlock + extent.length;
+      }
+      if (blockIndex < endBlockIndex) {
+        yield {
+          blockIndex,
+          blockAddress: ZERO_BLOCK_ADDRESS,
+          length: endBlockIndex - blockIndex,
+        };
+      }
+      return;
+    }
+
+    let range = null;
+    let blockIndex = startBlockIndex;
+    for (let blockAddress of this._getBlocks(
+      inode,
+      startBlockIndex,
+      endBlockIndex
+    )) {
+      if (!this._isAllocatedBlockAddress(blockAddress)) {
+        blockAddress = ZERO_BLOCK_ADDRESS;
+      }
+      const continues =
+        range &&
+        (blockAddress == ZERO_BLOCK_ADDRESS
+          ? range.blockAddress == ZERO_BLOCK_ADDRESS
+          : range.blockAddress + range.length == blockAddress);
+      if (continues) {
+        range.length++;
+      } else {
+        if (range) yield range;
+        range = { blockIndex, blockAddress, length: 1 };
+      }
+      blockIndex++;
+    }
+    if (range) yield range;
+  }
+
+  /**
+   * Find first offset from `offset` that is in allocated block
+   * or in hole. File end is implicit hole
+   *
+   * @param {INode} inode
+   * @param {int} offset
+   * @param {boolean} data Search for data, otherwise for hole
+   * @returns {int} Found offset
+   *
+   * @throws {NoDataFound} Offset must be before file end, data must exist after offset
+   */
+  _seekBlocks(inode, offset, data) {
+    if (offset >= inode.size) {
+      throw new NoDataFound(`Offset ${offset} is past file end`);
+    }
+
+    const { blockSize } = this.superblock;
+    for (const { blockIndex, blockAddress } of this._getBlockRanges(
+      inode,
+      Math.floor(offset / blockSize)
+    )) {
+      if (this._isAllocatedBlockAddress(blockAddress) == data) {
+        return Math.max(offset, blockIndex * blockSize);
+      }
+    }
+
+    if (data) {
+      throw new NoDataFound(`No data after offset ${offset}`);
+    }
+    return inode.size;
+  }
+
+  /**
+   *
+   * @param {int} indirectAddress
+   * @param {int} depth Indirection depth, 1 for single indirect block
+   * @param {int} startIndex Index of first block addressed by indirect block
+   * @param {int} endIndex Exclusive
+   *
+   * @yields {int} Block addresses
+   */
+  *_getIndirectBlocks(indirectAddress, depth, startIndex, endIndex) {
+    const span = this.addressesInBlock ** (depth - 1);
+    const addresses =
+      indirectAddress == NAN_BLOCK_ADDRESS
+        ? null
+        : this._readAddresses(indirectAddress);
 
-    const newFreeBlockAddresses = [];
     for (
-      let newFreeBlockIndex = 0;
-      newFreeBlockIndex < needBlocks - blockExists;
-      newFreeBlockIndex++
+      let slot = Math.floor(startIndex / span);
+      slot * span < endIndex;
+      slot++
+    ) {
+      const address = addresses ? addresses[slot] : NAN_BLOCK_ADDRESS;
+      if (depth == 1) {
+        yield address;
+        continue;
+      }
+      yield* this._getIndirectBlocks(
+        address,
+        depth - 1,
+        Math.max(startIndex - slot * span, 0),
+        Math.min(endIndex - slot * span, span)
+      );
+    }
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} offset
+   * @param {Uint8Array} buffer
+   *
+   * @throws {FileTooLarge} File must not grow over max file size
+   */
+  _write(inode, offset, buffer) {
+    if (inode.size < offset + buffer.length) {
+      this._truncate(inode, offset + buffer.length);
+    }
+
+    const { blockSize } = this.superblock;
+    const isData = inode.type == FileType.REGULAR;
+    const startBlockIndex = Math.floor(offset / blockSize);
+    const endBlockIndex = Math.ceil((offset + buffer.length) / blockSize); // exclusive
+
+    const blockAddresses = [
+      ...this._getBlocks(inode, startBlockIndex, endBlockIndex),
+    ];
+    // not mapped blocks are allocated as one run that continues file
+    const newBlockAddresses = this._allocateBlocks(
+      blockAddresses.filter(
+        (blockAddress) => !this._isAllocatedBlockAddress(blockAddress)
+      ).length,
+      this._getGoalBlockAddress(inode, startBlockIndex)
+    );
+
+    let writenBytes = 0;
+    let blockIndexInINode = startBlockIndex;
+    const mappedAddresses = new Map();
+
+    for (let blockAddress of blockAddresses) {
+      let block;
+      if (this._isAllocatedBlockAddress(blockAddress)) {
+        block = this._readBlock(blockAddress);
+      } else {
+        blockAddress = newBlockAddresses.shift();
+        block = new Uint8Array(blockSize);
+        mappedAddresses.set(blockIndexInINode, blockAddress);
+      }
+
+      const offsetInBlock = offset % blockSize;
+      const writeBytesInBlock = Math.min(
+        blockSize - offsetInBlock,
+        buffer.length - writenBytes
+      );
+      const buf = buffer.subarray(writenBytes, writenBytes + writeBytesInBlock);
+
+      block.set(buf, offsetInBlock);
+      if (isData) {
+        this._writeDataBlock(blockAddress, block);
+      } else {
+        this._writeBlock(blockAddress, block);
+      }
+
+      writenBytes += writeBytesInBlock;
+      offset += writeBytesInBlock;
+      blockIndexInINode++;
+    }
+    this._setBlockAddresses(inode, mappedAddresses);
+
+    this._touch(inode, ["mtime", "ctime"]);
+    this._updateDescriptor(inode);
+  }
+
+  /**
+   * Read data from inode
+   *
+   * @param {INode} File descriptor
+   * @param {int} offset Offset from file start
+   * @param {int} size Size of read data
+   *
+   * @returns {Uint8Array} File bytes
+   *
+   * @throws {OutOfBounds} Bytes what need to be read must exist
+   */
+  _read(inode, offset, size) {
+    if (inode.size < offset + size) {
+      throw new OutOfBounds();
+    }
+
+    const { blockSize } = this.superblock;
+    const buffer = new Uint8Array(size);
+
+    const startBlockIndex = Math.floor(offset / blockSize);
+    const endBlockIndex = Math.ceil((offset + size) / blockSize); // exclusive
+
+    let readBytes = 0;
+    for (const { blockAddress, length } of this._getBlockRanges(
+      inode,
+      startBlockIndex,
+      endBlockIndex
+    )) {
+      for (let index = 0; index < length; index++) {
+        const offsetInBlock = offset % blockSize;
+        const readBytesInBlock = Math.min(
+          blockSize - offsetInBlock,
+          size - readBytes
+        );
+
+        // holes are read as zeros
+        if (this._isAllocatedBlockAddress(blockAddress)) {
+          const block = this._readBlock(blockAddress + index);
+          buffer.set(
+            block.subarray(offsetInBlock, offsetInBlock + readBytesInBlock),
+            readBytes
+          );
+        }
+
+        readBytes += readBytesInBlock;
+        offset += readBytesInBlock;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Read data and set access time if it is stale, so most reads
+   * do not write inode
+   *
+   * @param {INode} inode
+   * @param {int} offset Offset from file start
+   * @param {int} size Size of read data
+   * @returns {Uint8Array} File bytes
+   *
+   * @throws {OutOfBounds} Bytes what need to be read must exist
+   */
+  _readAndTouch(inode, offset, size) {
+    const data = this._read(inode, offset, size);
+    if (this._isAccessTimeStale(inode)) {
+      this._touch(inode, ["atime"]);
+      this._updateDescriptor(inode);
+    }
+    return data;
+  }
+
+  /**
+   * Access time is stale as with relatime mount option: it is not newer than
+   * modification or change time or it is older than `ATIME_UPDATE_INTERVAL`.
+   * Inode of 64 bytes keeps no times
+   *
+   * @param {INode} inode
+   * @returns {boolean}
+   */
+  _isAccessTimeStale(inode) {
+    if (this.superblock.inodeSize < INODE_EXTENDED_SIZE) return false;
+    return (
+      inode.atime <= inode.mtime ||
+      inode.atime <= inode.ctime ||
+      this.clock() - inode.atime >= ATIME_UPDATE_INTERVAL
+    );
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   * @param {int} access Bits of `Access`
+   * @param {string|null} [path] Path of inode for error
+   *
+   * @throws {PermissionDenied} Inode mode must allow access for process credentials
+   */
+  _checkAccess(inode, access, path = null) {
+    const credentials = this.process.credentials;
+    if (credentials.isSuperuser()) return;
+
+    let shift = 0; // others
+    if (inode.uid == credentials.uid) {
+      shift = 6;
+    } else if (credentials.inGroup(inode.gid)) {
+      shift = 3;
+    }
+    if (((inode.mode >> shift) & access) != access) {
+      throw new PermissionDenied(
+        `Permission denied for inode ${inode.ino}`,
+        path
+      );
+    }
+  }
+
+  /**
+   * In sticky directory only owners of file or directory may remove file
+   *
+   * @param {INode} dir Directory of removed file
+   * @param {INode} file Removed file
+   *
+   * @throws {PermissionDenied} File must be allowed to remove
+   */
+  _checkRemoveAccess(dir, file) {
+    this._checkAccess(dir, Access.WRITE | Access.EXECUTE);
+    const { uid } = this.process.credentials;
+    if (
+      dir.mode & FileMode.STICKY &&
+      !this.process.credentials.isSuperuser() &&
+      file.uid != uid &&
+      dir.uid != uid
     ) {
-      const newFreeBlockAddress = ZERO_BLOCK_ADDRESS;
-      newFreeBlockAddresses.push(newFreeBlockAddress);
+      throw new PermissionDenied(`Inode ${file.ino} is in sticky directory`);
+    }
+  }
+
+  /**
+   *
+   * @param {INode} inode
+   *
+   * @throws {NotPermitted} Inode must be owned by process user
+   */
+  _checkOwner(inode) {
+    const credentials = this.process.credentials;
+    if (!credentials.isSuperuser() && inode.uid != credentials.uid) {
+      throw new NotPermitted(`Inode ${inode.ino} is owned by other user`);
     }
+  }
 
-    this._appendBlockToINode(inode, newFreeBlockAddresses);
-    let updatedINode = Object.assign({}, inode);
-    updatedINode.size = size;
-    this._updateDescriptor(updatedINode);
+  /**
+   *
+   * @throws {InvalidArgument} Inode must keep mode and owner
+   */
+  _checkOwnerSupported() {
+    if (this.superblock.inodeSize < INODE_EXTENDED_SIZE) {
+      throw new InvalidArgument(
+        `Owners are not supported with inode size ${this.superblock.inodeSize}`
+      );
+    }
   }
 
   /**
    *
    * @param {INode} inode
-   * @param {int} size
+   *
+   * @throws {IsDirectory} Inode must not be directory
+   * @throws {InvalidArgument} Inode must be regular file
    */
-  _descreaseINode(inode, size) {
-    const blockExists = Math.ceil(inode.size / BLOCK_SIZE);
-    const needBlocks = Math.ceil(size / BLOCK_SIZE);
-    const removeBlocksCount = blockExists - needBlocks;
-    this._removeLastBlocksFromINode(inode, removeBlocksCount);
-    const blockAddresses = [...this._getBlocks(inode)];
-    if (blockAddresses.length == 0) {
-      inode.size = size;
-      return this._updateDescriptor(inode);
+  _checkRegular(inode) {
+    if (inode.type == FileType.DIRECTORY) {
+      throw new IsDirectory(`Inode ${inode.ino} is directory`);
     }
-    const lastBlockAddress = blockAddresses[blockAddresses.length - 1];
-    const lastBlockByteCount = size % BLOCK_SIZE;
-    if (lastBlockByteCount != 0) {
-      const lastBlock = this.device.readBlock(lastBlockAddress);
-      lastBlock.set(
-        new Uint8Array(BLOCK_SIZE - lastBlockByteCount),
-        lastBlockByteCount
-      );
-      this.device.writeBlock(lastBlockAddress, lastBlock);
+    if (inode.type != FileType.REGULAR) {
+      throw new InvalidArgument(`Inode ${inode.ino} is not regular file`);
     }
+  }
 
-    inode.size = size;
-    this._updateDescriptor(inode);
+  /**
+   * Set owner of new inode from process credentials. Inode gets group
+   * of directory with setgid bit, new directory inherits the bit
+   *
+   * @param {INode} inode New inode with type
+   * @param {INode} dir Directory of new inode
+   * @param {int} mode Requested permission bits
+   */
+  _setOwner(inode, dir, mode) {
+    const { uid, gids, umask } = this.process.credentials;
+    const inheritGroup = (dir.mode & FileMode.SETGID) != 0;
+    inode.uid = uid;
+    inode.gid = inheritGroup ? dir.gid : gids[0];
+    inode.mode =
+      inode.type == FileType.SYMLINK ? mode : mode & ~umask & FileMode.ALL;
+    if (inheritGroup && inode.type == FileType.DIRECTORY) {
+      inode.mode |= FileMode.SETGID;
+    }
   }
 
   /**
+   * Set inode times to current time, inode is not written
    *
    * @param {INode} inode
-   * @param {int} removeBlocksCount
+   * @param {string[]} fields Names of time fields
    */
-  _removeLastBlocksFromINode(inode, removeBlocksCount) {
-    let blockExists = Math.ceil(inode.size / BLOCK_SIZE);
-    const blockAddresses = [...this._getBlocks(inode)];
-
-    for (let removeCount = 0; removeCount < removeBlocksCount; removeCount++) {
-      const blockAddress = blockAddresses.pop();
-      this._setBlockFree(blockAddress);
+  _touch(inode, fields) {
+    const now = this.clock();
+    for (const field of fields) {
+      inode[field] = now;
     }
+  }
 
-    if (inode.doubleIndirect != NAN_BLOCK_ADDRESS) {
-      const singleIndirectCount = Math.ceil(
-        (blockExists - INODE_STRAIGHT_LINKS_COUNT - ADDRESSES_IN_BLOCK) /
-          ADDRESSES_IN_BLOCK
-      );
-      const singleIndirectEnough = Math.max(
-        0,
-        Math.ceil(
-          (blockExists -
-            removeBlocksCount -
-            INODE_STRAIGHT_LINKS_COUNT -
-            ADDRESSES_IN_BLOCK) /
-            ADDRESSES_IN_BLOCK
-        )
-      );
-      const needToRemove = singleIndirectCount - singleIndirectEnough;
-      const doubleIndirectBlock = this.device.readBlock(inode.doubleIndirect);
-      const addresses = deserializeAddresses(
-        doubleIndirectBlock.slice(0, singleIndirectCount * ADDRESS_SIZE)
-      );
-      for (let blockRemove = 0; blockRemove < needToRemove; blockRemove++) {
-        this._setBlockFree(addresses.pop());
-      }
-
-      const addressesData = serializeAddresses(addresses);
-      const buff = new Uint8Array(BLOCK_SIZE);
-      buff.set(addressesData, 0);
-
-      this.device.writeBlock(inode.doubleIndirect, buff);
+  /**
+   * Bring image of older format to current one.
+   * Format 2 has no inode times, they are set to upgrade time.
+   * Format 3 has no modes, files get superuser owner and permissions
+   * that allow everything as before.
+   * Format 5 and older keep dentries in fixed slots without file types,
+   * directories are rewritten with dentry records.
+   * Format 6 keeps index root without levels, indexed directories are rebuilt
+   */
+  _upgradeFormat() {
+    const { version } = this.superblock;
+    const extended = this.superblock.inodeSize >= INODE_EXTENDED_SIZE;
+    for (let ino = 0; ino < this.superblock.inodeCount; ino++) {
+      const inode = this.getDescriptor(ino);
+      if (inode.type == FileType.UNUSED) continue;
 
-      if (addresses.length == 0) {
-        inode.doubleIndirect = NAN_BLOCK_ADDRESS;
-        this._updateDescriptor(inode);
+      if (version < 3 && extended) {
+        this._touch(inode, INODE_TIMES);
       }
-    }
-    if (inode.singleIndirect != NAN_BLOCK_ADDRESS) {
-      const enoughBlockInSingleIndirect = Math.min(
-        Math.max(
-          0,
-          blockExists - removeBlocksCount - INODE_STRAIGHT_LINKS_COUNT
-        ),
-        ADDRESSES_IN_BLOCK
-      );
-      const singleIndirectBlock = this.device.readBlock(inode.singleIndirect);
-      const buff = new Uint8Array(BLOCK_SIZE);
-      singleIndirectBlock.copyWithin(
-        buff,
-        0,
-        enoughBlockInSingleIndirect * ADDRESS_SIZE
-      );
-      this.device.writeBlock(inode.singleIndirect, buff);
-
-      if (enoughBlockInSingleIndirect == 0) {
-        inode.singleIndirect = NAN_BLOCK_ADDRESS;
-        this._updateDescriptor(inode);
+      if (version < 4 && extended) {
+        inode.mode = inode.type == FileType.REGULAR ? 0o666 : 0o777;
+        inode.uid = 0;
+        inode.gid = 0;
       }
-    }
-    if (blockExists - removeBlocksCount < INODE_STRAIGHT_LINKS_COUNT) {
-      for (
-        let linkIndex = blockExists - removeBlocksCount;
-        linkIndex < INODE_STRAIGHT_LINKS_COUNT;
-        linkIndex++
-      ) {
-        inode.straightLinks[linkIndex] = NAN_BLOCK_ADDRESS;
+      if (version < 6 && inode.type == FileType.DIRECTORY) {
+        this._writeDirectory(inode, this._readLegacyDirectory(inode));
+      } else if (version < 7 && this._isIndexed(inode)) {
+        this._writeDirectory(inode, this._readSingleLevelDirectory(inode));
       }
       this._updateDescriptor(inode);
     }
+    this.superblock.version = FORMAT_VERSION;
+    this._writeSuperblock();
   }
 
-  _getFreeBlockAddress() {
-    const bitmapSize = Math.ceil(BLOCK_COUNT / 8);
-    const bitmap = new Uint8Array(bitmapSize);
-    for (
-      let blockIndex = 0;
-      blockIndex * BLOCK_SIZE < bitmapSize;
-      blockIndex++
-    ) {
-      const block = this.device.readBlock(blockIndex);
-      bitmap.set(
-        block.subarray(0, bitmapSize - blockIndex * BLOCK_SIZE),
-        blockIndex * BLOCK_SIZE
-      );
+  /**
+   * Read directory of format 5 and older, types of dentries
+   * are taken from inodes
+   *
+   * @param {INode} dir
+   * @returns {Dentry[]}
+   */
+  _readLegacyDirectory(dir) {
+    const { blockSize } = this.superblock;
+    let dentries;
+    if (!this._isIndexed(dir)) {
+      dentries = deserializeLegacyDentries(this._read(dir, 0, dir.size));
+    } else {
+      dentries = [];
+      const slotsSize =
+        Math.floor(
+          (blockSize - DENTRY_BLOCK_HEADER_SIZE) / LEGACY_DENTRY_SIZE
+        ) * LEGACY_DENTRY_SIZE;
+      for (let offset = blockSize; offset < dir.size; offset += blockSize) {
+        const blockData = this._read(dir, offset, blockSize);
+        dentries.push(
+          ...deserializeLegacyDentries(
+            blockData.subarray(
+              DENTRY_BLOCK_HEADER_SIZE,
+              DENTRY_BLOCK_HEADER_SIZE + slotsSize
+            )
+          )
+        );
+      }
     }
 
-    for (let byteIndex = 0; byteIndex < bitmap.length; byteIndex++) {
-      const byte = bitmap[byteIndex];
-
-      for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
-        if (!(byte & (1 << bitIndex))) {
-          return byteIndex * 8 + bitIndex;
-        }
-      }
+    for (const dentry of dentries) {
+      dentry.type = this.getDescriptor(dentry.ino).type;
     }
+    return dentries;
   }
 
   /**
+   * Read indexed directory of format 6. Its root has no index nodes,
+   * so every block after root is dentry block, free blocks are empty
    *
-   * @param {INode} inode
-   * @param {int[]} blockAddreses
+   * @param {INode} dir
+   * @returns {Dentry[]}
    */
-  _appendBlockToINode(inode, blockAddreses) {
-    if (blockAddreses.length == 0) return;
-
-    let blockExists = Math.ceil(inode.size / BLOCK_SIZE);
-    while (blockExists < INODE_STRAIGHT_LINKS_COUNT) {
-      inode.straightLinks[blockExists++] = blockAddreses.pop(0);
-      if (blockAddreses.length == 0) {
-        return this._updateDescriptor(inode);
-      }
-    }
-
-    if (inode.singleIndirect == NAN_BLOCK_ADDRESS) {
-      inode.singleIndirect = this._getFreeBlockAddress();
-      this._setBlockUnfree(inode.singleIndirect);
-      this._clearBlock(inode.singleIndirect);
+  _readSingleLevelDirectory(dir) {
+    const dentries = [];
+    const blockCount = dir.size / this.superblock.blockSize;
+    for (let blockIndex = 1; blockIndex < blockCount; blockIndex++) {
+      dentries.push(...this._readDentryBlock(dir, blockIndex).dentries);
     }
+    return dentries;
+  }
 
-    const singleIndirectBlock = this.device.readBlock(inode.singleIndirect);
-    while (blockExists < INODE_STRAIGHT_LINKS_COUNT + ADDRESSES_IN_BLOCK) {
-      const address = blockAddreses.pop(0);
-      const addressBytes = serializeAddress(address);
-      const offset = (blockExists - INODE_STRAIGHT_LINKS_COUNT) * ADDRESS_SIZE;
-
-      singleIndirectBlock.set(addressBytes, offset);
+  /**
+   *
+   * @param {INode} inode
+   * @returns {Stats} Metadata of inode
+   */
+  _getStats(inode) {
+    return new Stats(
+      inode.ino,
+      inode.type.description,
+      inode.size,
+      inode.refs,
+      this._getAllocatedBlocksCount(inode),
+      this.superblock.blockSize,
+      inode.atime,
+      inode.mtime,
+      inode.ctime,
+      inode.birthtime,
+      inode.mode,
+      inode.uid,
+      inode.gid
+    );
+  }
 
-      blockExists++;
-      if (blockAddreses.length == 0) {
-        this.device.writeBlock(inode.singleIndirect, singleIndirectBlock);
-        return this._updateDescriptor(inode);
+  /**
+   *
+   * @param {INode} inode
+   * @returns {int} Count of data blocks and blocks that map them
+   */
+  _getAllocatedBlocksCount(inode) {
+    let count = this._getMappingBlocks(inode).length;
+    for (const { blockAddress, length } of this._getBlockRanges(inode)) {
+      if (this._isAllocatedBlockAddress(blockAddress)) {
+        count += length;
       }
     }
-    this.device.writeBlock(inode.singleIndirect, singleIndirectBlock);
+    return count;
+  }
 
-    if (inode.doubleIndirect == NAN_BLOCK_ADDRESS) {
-      inode.doubleIndirect = this._getFreeBlockAddress();
-      this._setBlockUnfree(inode.doubleIndirect);
-      this._clearBlock(inode.doubleIndirect);
+  /**
+   *
+   * @param {INode} inode
+   * @returns {int[]} Addresses of indirect blocks or extent tree nodes
+   */
+  _getMappingBlocks(inode) {
+    if (this._hasExtents(inode)) {
+      return this.extentTree.read(inode.extentRoot).nodeAddresses;
     }
 
-    const doubleIndirectBlock = this.device.readBlock(inode.doubleIndirect);
-    const singleIndirectBlockIndex = 0;
-    while (
-      blockExists <
-      INODE_STRAIGHT_LINKS_COUNT +
-        ADDRESSES_IN_BLOCK +
-        ADDRESSES_IN_BLOCK * ADDRESSES_IN_BLOCK
-    ) {
-      const offset =
-        ADDRESS_SIZE *
-        Math.floor(
-          (blockExists - INODE_STRAIGHT_LINKS_COUNT - ADDRESSES_IN_BLOCK) /
-            ADDRESSES_IN_BLOCK
-        );
-      let singleIndirectAddressBytes = doubleIndirectBlock.subarray(
-        offset,
-        offset + ADDRESS_SIZE
-      );
-      let singleIndirectAddress = serializeAddress(singleIndirectAddressBytes);
-
-      if (singleIndirectAddress == NAN_BLOCK_ADDRESS) {
-        singleIndirectAddress = this._getFreeBlockAddress();
-        this._setBlockUnfree(singleIndirectAddress);
-        this._clearBlock(singleIndirectAddress);
-
-        singleIndirectAddressBytes = serializeAddress(singleIndirectAddress);
-        doubleIndirectBlock.set(singleIndirectAddressBytes, offset);
-      }
-
-      const singleIndirectBlock = this.device.readBlock(singleIndirectAddresss);
-      while (
-        blockExists <
-        INODE_STRAIGHT_LINKS_COUNT +
-          ADDRESSES_IN_BLOCK +
-          ADDRESSES_IN_BLOCK * (singleIndirectBlockIndex + 1)
-      ) {
-        const address = blockAddreses.pop(0);
-        const addressBytes = serializeAddress(address);
-        const offset =
-          ADDRESS_SIZE *
-          ((blockExists - INODE_STRAIGHT_LINKS_COUNT) % ADDRESSES_IN_BLOCK);
-        singleIndirectBlock.set(addressBytes, offset);
-
-        blockExists++;
-
-        if (blockAddreses.length == 0) {
-          this.device.writeBlock(singleIndirectAddresss, singleIndirectBlock);
-          this.device.writeBlock(inode.doubleIndirect, doubleIndirectBlock);
-          return this._updateDescriptor(inode);
+    const addresses = [];
+    const walk = (indirectAddress, depth) => {
+      addresses.push(indirectAddress);
+      if (depth == 1) return;
+      for (const address of this._readAddresses(indirectAddress)) {
+        if (this._isAllocatedBlockAddress(address)) {
+          walk(address, depth - 1);
         }
       }
-      this.device.writeBlock(singleIndirectAddresss, singleIndirectBlock);
-
-      singleIndirectBlockIndex++;
+    };
+    for (const { field, depth } of this._getIndirectLevels()) {
+      if (this._isAllocatedBlockAddress(inode[field])) {
+        walk(inode[field], depth);
+      }
     }
-    this.device.writeBlock(inode.doubleIndirect, doubleIndirectBlock);
-    this._updateDescriptor(inode);
+    return addresses;
+  }
 
-    throw new Error("Not enough double indirect");
+  /**
+   *
+   * @param {int} size File size
+   * @returns {int} Count of blocks that contain file data
+   */
+  _getBlocksCount(size) {
+    return Math.ceil(size / this.superblock.blockSize);
   }
 
   /**
-   * Add new dentry to directory
    *
-   * @param {INode} dir Directory file descriptor
-   * @param {INode} file File descriptor
-   * @param {string} filename File name
+   * @param {INode} inode
+   * @returns {boolean} True if inode blocks are mapped by extent tree
+   */
+  _hasExtents(inode) {
+    return (inode.flags & INodeFlag.EXTENTS) != 0;
+  }
+
+  /**
    *
-   * @throws {FileAlreadyExist} File with `fileName` must not exist in directory
+   * @param {int} blockAddress
+   * @returns {boolean} False for holes and not mapped blocks
    */
-  _addLink(dir, file, filename) {
-    const dentries = this._readDirectory(dir);
-    const fileAlreadyExist = dentries.find(
-      (dentry) => dentry.fileName == filename
+  _isAllocatedBlockAddress(blockAddress) {
+    return (
+      blockAddress != NAN_BLOCK_ADDRESS && blockAddress != ZERO_BLOCK_ADDRESS
     );
-    if (fileAlreadyExist) {
-      throw new FileAlreadyExist();
-    }
-    const newDentry = new Dentry(filename, file.ino);
-    const newDentryData = serializeDentry(newDentry);
-    this._truncate(dir, dir.size + DENTRY_SIZE);
-    dir.size += DENTRY_SIZE;
-    this._write(dir, dir.size - DENTRY_SIZE, newDentryData);
-    file.refs++;
-    this._updateDescriptor(file);
   }
 
   /**
    *
-   * @param {INode} inode
-   * @param {int} startBlockIndex
-   * @param {int} endBlockIndex
+   * @param {int} indirectAddress
+   * @returns {int[]} Addresses stored in indirect block
+   */
+  _readAddresses(indirectAddress) {
+    return deserializeAddresses(this._readBlock(indirectAddress));
+  }
+
+  /**
    *
-   * @yields {int} Block addresses
+   * @param {int} indirectAddress
+   * @param {int[]} addresses
    */
-  *_getBlocks(inode, startBlockIndex = 0, endBlockIndex = -1) {
-    let blockIndex = startBlockIndex;
-    if (blockIndex < inode.straightLinks.length) {
-      for (let blockAddress of inode.straightLinks.slice(blockIndex)) {
-        if (blockAddress == NAN_BLOCK_ADDRESS) return;
-        if (blockIndex == endBlockIndex) return;
+  _writeAddresses(indirectAddress, addresses) {
+    this._writeBlock(indirectAddress, serializeAddresses(addresses));
+  }
 
-        yield blockAddress;
-        blockIndex++;
-      }
+  /**
+   * Read file system block. Blocks changed by current transaction or
+   * committed transactions that wait for checkpoint are read from them
+   *
+   * @param {int} blockAddress
+   * @returns {Uint8Array} Copy of block
+   */
+  _readBlock(blockAddress) {
+    const block =
+      this.transaction?.blocks.get(blockAddress) ??
+      this.journal?.pending.blocks.get(blockAddress);
+    if (block) {
+      return block.slice();
     }
-    if (
-      blockIndex < inode.straightLinks.length + ADDRESSES_IN_BLOCK &&
-      inode.singleIndirect != NAN_BLOCK_ADDRESS
-    ) {
-      // read from signle indirect
-      const singleIndirectBlock = this.device.readBlock(inode.singleIndirect);
-      const addresses = deserializeAddresses(singleIndirectBlock);
-      for (let blockAddress of addresses) {
-        if (blockAddress == NAN_BLOCK_ADDRESS) return;
-        if (blockIndex == endBlockIndex) return;
+    return this._readDeviceBlock(blockAddress);
+  }
 
-        yield blockAddress;
-        blockIndex++;
-      }
+  /**
+   * Write metadata block. Inside transaction block is kept until commit.
+   * Outside transaction block replaces committed copy that waits for checkpoint
+   *
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
+   */
+  _writeBlock(blockAddress, block) {
+    if (this.transaction) {
+      this.transaction.blocks.set(blockAddress, block.slice());
+      return;
     }
-    if (
-      blockIndex <
-        inode.straightLinks.length + ADDRESSES_IN_BLOCK * ADDRESSES_IN_BLOCK &&
-      inode.doubleIndirect != NAN_BLOCK_ADDRESS
-    ) {
-      // read from double indirect
-      const doubleIndirectBlock = this.device.readBlock(inode.doubleIndirect);
-      const singleIndirectAddresses = deserializeAddresses(doubleIndirectBlock);
-
-      for (let singleIndirectAddress of singleIndirectAddresses) {
-        if (singleIndirectAddress == NAN_BLOCK_ADDRESS) return;
-
-        const singleIndirectBlock = this.device.readBlock(
-          singleIndirectAddress
-        );
-        const addresses = deserializeAddresses(singleIndirectBlock);
-        for (let blockAddress of addresses) {
-          if (blockAddress == NAN_BLOCK_ADDRESS) return;
-          if (blockIndex == endBlockIndex) return;
-
-          yield blockAddress;
-          blockIndex++;
-        }
-      }
+    if (this.journal?.pending.blocks.has(blockAddress)) {
+      this.journal.pending.blocks.set(blockAddress, block.slice());
+      return;
     }
+    this._writeDeviceBlock(blockAddress, block);
   }
 
   /**
+   * Write regular file data block. Data is not journaled and is written
+   * to device immediately, unless block was changed by current transaction
    *
-   * @param {INode} inode
-   * @param {int} offset
-   * @param {Uint8Array} buffer
-   *
-   * @throws {OutOfBounds} Connot write out of file size
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
    */
-  _write(inode, offset, buffer) {
-    if (inode.size < offset + buffer.length) {
-      throw new OutOfBounds();
+  _writeDataBlock(blockAddress, block) {
+    if (this.transaction?.blocks.has(blockAddress)) {
+      return this._writeBlock(blockAddress, block);
     }
+    this._writeDeviceBlock(blockAddress, block);
+  }
 
-    const startBlockIndex = Math.floor(offset / this.device.blockSize);
-    const endBlockIndex =
-      Math.floor((offset + buffer.length) / this.device.blockSize) + 1; // exclusive
-
-    let writenBytes = 0;
-    let blockIndexInINode = startBlockIndex;
-
-    for (let blockAddress of this._getBlocks(
-      inode,
-      startBlockIndex,
-      endBlockIndex
-    )) {
-      if (blockAddress == ZERO_BLOCK_ADDRESS) {
-        blockAddress = this._getFreeBlockAddress();
-        this._setBlockUnfree(blockAddress);
-        this._clearBlock(blockAddress);
-        this._setDescriptorBlock(inode, blockIndexInINode, blockAddress);
-      }
+  /**
+   * Read file system block, that can consist of several device blocks
+   *
+   * @param {int} blockAddress
+   * @returns {Uint8Array} Copy of block
+   */
+  _readDeviceBlock(blockAddress) {
+    const { blockSize } = this.superblock;
+    const deviceBlockSize = this.device.blockSize;
+    if (blockSize == deviceBlockSize) {
+      return this.cache.readBlock(blockAddress).slice();
+    }
 
-      const offsetInBlock = offset % this.device.blockSize;
-      const writeBytesInBlock = Math.min(
-        this.device.blockSize - offsetInBlock,
-        buffer.length - writenBytes
+    const deviceBlocksInBlock = blockSize / deviceBlockSize;
+    const block = new Uint8Array(blockSize);
+    for (let index = 0; index < deviceBlocksInBlock; index++) {
+      block.set(
+        this.cache.readBlock(blockAddress * deviceBlocksInBlock + index),
+        index * deviceBlockSize
       );
-      const buf = buffer.subarray(writenBytes, writenBytes + writeBytesInBlock);
-
-      let block = this.device.readBlock(blockAddress);
-      block.set(buf, offsetInBlock);
-      this.device.writeBlock(blockAddress, block);
-
-      writenBytes += writeBytesInBlock;
-      offset += writenBytes;
-      blockIndexInINode++;
     }
+    return block;
   }
 
   /**
    *
-   * @param {INode} inode
-   * @param {int} blockIndex
    * @param {int} blockAddress
+   * @param {Uint8Array} block
    */
-  _setDescriptorBlock(inode, blockIndex, blockAddress) {
-    if (blockIndex < INODE_STRAIGHT_LINKS_COUNT) {
-      // Straight links
-      inode.straightLinks[blockIndex] = blockAddress;
-      this._updateDescriptor(inode);
-    } else if (blockIndex < INODE_STRAIGHT_LINKS_COUNT + ADDRESSES_IN_BLOCK) {
-      // Single indirect
-      const singleIndirect = this.device.readBlock(inode.singleIndirect);
-      const addresses = deserializeAddresses(singleIndirect);
-      addresses[blockIndex] = blockAddress;
-      const buff = serializeAddress(addresses);
-      this.device.writeBlock(inode.singleIndirect, buff);
-    } else {
-      // Double indirect
-      const singleIndirectIndex = Math.floor(
-        (blockIndex - INODE_STRAIGHT_LINKS_COUNT - ADDRESSES_IN_BLOCK) /
-          ADDRESSES_IN_BLOCK
-      );
-      const addressIndex =
-        (blockIndex - INODE_STRAIGHT_LINKS_COUNT - ADDRESSES_IN_BLOCK) %
-        ADDRESSES_IN_BLOCK;
+  _writeDeviceBlock(blockAddress, block) {
+    const { blockSize } = this.superblock;
+    const deviceBlockSize = this.device.blockSize;
+    if (blockSize == deviceBlockSize) {
+      return this.cache.writeBlock(blockAddress, block);
+    }
 
-      const doubleIndirect = this.device.readBlock(inode.doubleIndirect);
-      const sindleIndirectAddresses = deserializeAddresses(doubleIndirect);
-      const singleIndirectAddress =
-        sindleIndirectAddresses[singleIndirectIndex];
-      const singleIndirect = this.device.readBlock(singleIndirectAddress);
-      const addresses = deserializeAddresses(singleIndirect);
-      addresses[addressIndex] = blockAddress;
-      const buff = serializeAddress(addresses);
-      this.device.writeBlock(singleIndirectAddress, buff);
+    const deviceBlocksInBlock = blockSize / deviceBlockSize;
+    for (let index = 0; index < deviceBlocksInBlock; index++) {
+      this.cache.writeBlock(
+        blockAddress * deviceBlocksInBlock + index,
+        block.subarray(index * deviceBlockSize, (index + 1) * deviceBlockSize)
+      );
     }
   }
 
   /**
-   * Read data from inode
    *
-   * @param {INode} File descriptor
-   * @param {int} offset Offset from file start
-   * @param {int} size Size of read data
+   * @param {string} filePath File path
+   * @returns {string} File name
+   */
+  _getFileName(filePath) {
+    const path = filePath.replace(/\/+$/, "");
+    return path.substring(path.lastIndexOf("/") + 1);
+  }
+
+  /**
+   * Get name of file that must be created by `filePath`
    *
-   * @returns {Uint8Array} File bytes
+   * @param {string} filePath Path of new file
+   * @param {boolean} [isDirectory] New file is directory, its path may end with slash
+   * @returns {string} File name
    *
-   * @throws {OutOfBounds} Bytes what need to be read must exist
+   * @throws {FileNotFound} `filePath` must not be empty
+   * @throws {FileAlreadyExist} `filePath` must not be root directory
+   * @throws {NotDirectory} Path of not directory must not end with slash
    */
-  _read(inode, offset, size) {
-    if (inode.size < offset + size) {
-      throw new OutOfBounds();
+  _getNewFileName(filePath, isDirectory = false) {
+    if (filePath == "") {
+      throw new FileNotFound("Path is empty", filePath);
     }
+    const fileName = this._getFileName(filePath);
+    if (fileName == "") {
+      throw new FileAlreadyExist("Root directory already exists", filePath);
+    }
+    if (!isDirectory && filePath.endsWith("/")) {
+      throw new NotDirectory("Path of not directory ends with slash", filePath);
+    }
+    return fileName;
+  }
 
-    const buffer = new Uint8Array(size);
-
-    const startBlockIndex = Math.floor(offset / this.device.blockSize);
-    const endBlockIndex =
-      Math.floor((offset + size) / this.device.blockSize) + 1; // exclusive
-
-    let readBytes = 0;
-    for (let blockAddres of this._getBlocks(
-      inode,
-      startBlockIndex,
-      endBlockIndex
-    )) {
-      const offsetInBlock = offset % this.device.blockSize;
-      const readBytesInBlock = Math.min(
-        this.device.blockSize - offsetInBlock,
-        size - readBytes
-      );
+  /**
+   *
+   * @param {string} filePath File path
+   * @returns {string} Directory path
+   */
+  _getDirPath(filePath) {
+    const path = filePath.replace(/\/+$/, "");
+    const index = path.lastIndexOf("/");
+    if (index == -1) {
+      return filePath.startsWith("/") ? "/" : ".";
+    }
+    return path.substring(0, index).replace(/\/+$/, "") || "/";
+  }
 
-      let block = null;
-      if (blockAddres == ZERO_BLOCK_ADDRESS) {
-        block = new Uint8Array(BLOCK_SIZE);
-      } else {
-        block = this.device.readBlock(blockAddres);
-      }
-      buffer.set(
-        block.slice(offsetInBlock, offsetInBlock + readBytesInBlock),
-        readBytes
-      );
+  /**
+   * Write dirty cached blocks and flush device
+   */
+  _flushDevice() {
+    this.cache.flush();
+  }
 
-      readBytes += readBytesInBlock;
-      offset += readBytes;
+  /**
+   *
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {OpenFile} Opened file
+   *
+   * @throws {BadDescriptor} File by `numericInode` must be opened
+   */
+  _getOpenFile(numericInode) {
+    const openFile = this.process.getOpenFile(numericInode);
+    if (!openFile) {
+      throw new BadDescriptor(`File by ${numericInode} must be opened`);
     }
-
-    return buffer;
+    return openFile;
   }
 
   /**
    *
-   * @param {string} filePath File path
-   * @returns {string} File name
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {OpenFile} Opened file
+   *
+   * @throws {BadDescriptor} File by `numericInode` must be opened for reading
    */
-  _getFileName(filePath) {
-    return filePath.substring(filePath.lastIndexOf("/") + 1);
+  _getReadableFile(numericInode) {
+    const openFile = this._getOpenFile(numericInode);
+    if (!openFile.readable) {
+      throw new BadDescriptor(
+        `File by ${numericInode} is not opened for reading`
+      );
+    }
+    return openFile;
   }
 
   /**
    *
-   * @param {string} filePath File path
-   * @returns {string} Directory path
+   * @param {int} numericInode Numeric file descriptor
+   * @returns {OpenFile} Opened file
+   *
+   * @throws {BadDescriptor} File by `numericInode` must be opened for writing
    */
-  _getDirPath(filePath) {
-    return filePath.substring(0, filePath.lastIndexOf("/"));
+  _getWritableFile(numericInode) {
+    const openFile = this._getOpenFile(numericInode);
+    if (!openFile.writable) {
+      throw new BadDescriptor(
+        `File by ${numericInode} is not opened for writing`
+      );
+    }
+    return openFile;
   }
 
   /**
    * File unused descriptor and return it
    *
    * @returns {INode} Unused descriptor
+   *
+   * @throws {NotEnoughMemory} Inodes table must have unused inode
    */
   _getUnusedDescriptor() {
-    const n = this._getN();
+    const n = this.superblock.inodeCount;
     for (let ino = 0; ino < n; ino++) {
       const inode = this.getDescriptor(ino);
       if (inode.type == FileType.UNUSED) {
+        this._touch(inode, INODE_TIMES);
         return inode;
       }
     }
 
-    throw new Error("Unused descriptor not found");
+    throw new NotEnoughMemory("Unused descriptor not found");
   }
 
   /**
@@ -1134,39 +4051,73 @@ class Driver {
    * @param {INode} inode
    */
   _updateDescriptor(inode) {
-    const startAddress = Math.ceil(BLOCK_COUNT / 8) + 4;
-    const inodeAddress = startAddress + inode.ino * INODE_SIZE;
-    const inodeBlockAddress = Math.ceil(inodeAddress / BLOCK_SIZE);
-    const inodeAddressInBlock = inodeAddress % BLOCK_SIZE;
+    const [inodeBlockAddress, inodeAddressInBlock] = this._getINodeLocation(
+      inode.ino
+    );
     const inodeBytes = serializeInode(inode);
-    const block = this.device.readBlock(inodeBlockAddress);
-    block.set(inodeBytes, inodeAddressInBlock);
-    this.device.writeBlock(inodeBlockAddress, block);
+    const block = this._readBlock(inodeBlockAddress);
+    block.set(
+      inodeBytes.subarray(0, this.superblock.inodeSize),
+      inodeAddressInBlock
+    );
+    this._writeBlock(inodeBlockAddress, block);
+  }
+
+  /**
+   *
+   * @param {int} blockIndex
+   * @returns {int[]} Bitmap block address, byte index in it and bit mask
+   */
+  _getBitmapLocation(blockIndex) {
+    const { bitmapStart, blockSize } = this.superblock;
+    return [
+      bitmapStart + Math.floor(blockIndex / 8 / blockSize),
+      Math.floor(blockIndex / 8) % blockSize,
+      1 << blockIndex % 8,
+    ];
   }
 
   _setBlockUnfree(blockIndex) {
-    const bitmapBlockIndex = Math.floor(blockIndex / 8 / BLOCK_SIZE);
-    const bitmapByteIndex = Math.floor(blockIndex / 8) % BLOCK_SIZE;
-    const bitmapBitIndex = blockIndex % 8;
+    const [bitmapBlockAddress, byteIndex, mask] =
+      this._getBitmapLocation(blockIndex);
 
-    const block = this.device.readBlock(bitmapBlockIndex);
-    block[bitmapByteIndex] |= 1 << bitmapBitIndex;
-    this.device.writeBlock(bitmapBlockIndex, block);
+    const block = this._readBlock(bitmapBlockAddress);
+    if (block[byteIndex] & mask) return;
+    block[byteIndex] |= mask;
+    this._writeBlock(bitmapBlockAddress, block);
+    this.allocator.markUsed(blockIndex);
   }
 
   _setBlockFree(blockIndex) {
-    const bitmapBlockIndex = Math.floor(blockIndex / 8 / BLOCK_SIZE);
-    const bitmapByteIndex = Math.floor(blockIndex / 8) % BLOCK_SIZE;
-    const bitmapBitIndex = blockIndex % 8;
+    // block can be reused only after transaction that frees it is committed
+    this.transaction?.freedBlocks.add(blockIndex);
+
+    const [bitmapBlockAddress, byteIndex, mask] =
+      this._getBitmapLocation(blockIndex);
+
+    const block = this._readBlock(bitmapBlockAddress);
+    if (!(block[byteIndex] & mask)) return;
+    block[byteIndex] &= ~mask;
+    this._writeBlock(bitmapBlockAddress, block);
+    this.allocator.markFree(blockIndex);
+  }
+
+  /**
+   *
+   * @param {int} blockIndex
+   * @returns {boolean} True if block is marked unfree in bitmap
+   */
+  _isBlockUnfree(blockIndex) {
+    const [bitmapBlockAddress, byteIndex, mask] =
+      this._getBitmapLocation(blockIndex);
 
-    const block = this.device.readBlock(bitmapBlockIndex);
-    block[bitmapByteIndex] &= ~(1 << bitmapBitIndex);
-    this.device.writeBlock(bitmapBlockIndex, block);
+    const block = this._readBlock(bitmapBlockAddress);
+    return (block[byteIndex] & mask) != 0;
   }
 
   _clearBlock(blockAddress) {
-    const buff = new Uint8Array(BLOCK_SIZE).fill(0);
-    this.device.writeBlock(blockAddress, buff);
+    const buff = new Uint8Array(this.superblock.blockSize).fill(0);
+    this._writeBlock(blockAddress, buff);
   }
 }
 
@@ -1,15 +1,105 @@
-class InvalidArgument extends Error {}
-class InvalidPath extends Error {}
-class FileAlreadyExist extends Error {}
-class DescriptorNotFound extends Error {}
-class OutOfBounds extends Error {}
-class NotEnoughMemory extends Error {}
+/**
+ * @classdesc Base of file system errors. Callers branch on `code`,
+ * that is errno name and does not change with message
+ *
+ * @exports FsError
+ */
+class FsError extends Error {
+  static code = "EIO";
+
+  /**
+   * @constructor
+   * @param {string} [message]
+   * @param {string|null} [path] Path of file that caused error if it is known
+   */
+  constructor(message, path = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.path = path;
+  }
+}
+
+class InvalidArgument extends FsError {
+  static code = "EINVAL";
+}
+class BadDescriptor extends InvalidArgument {
+  static code = "EBADF";
+}
+class DescriptorNotFound extends InvalidArgument {}
+class OutOfBounds extends InvalidArgument {}
+class NoDataFound extends InvalidArgument {
+  static code = "ENXIO";
+}
+
+// path does not lead to suitable file
+class InvalidPath extends FsError {
+  static code = "ENOENT";
+}
+class FileNotFound extends InvalidPath {}
+class NotDirectory extends InvalidPath {
+  static code = "ENOTDIR";
+}
+class IsDirectory extends InvalidPath {
+  static code = "EISDIR";
+}
+class NameTooLong extends InvalidPath {
+  static code = "ENAMETOOLONG";
+}
+class SymlinkLoop extends InvalidPath {
+  static code = "ELOOP";
+}
+
+class FileAlreadyExist extends FsError {
+  static code = "EEXIST";
+}
+class DirectoryNotEmpty extends FsError {
+  static code = "ENOTEMPTY";
+}
+class TooManyLinks extends FsError {
+  static code = "EMLINK";
+}
+class NotEnoughMemory extends FsError {
+  static code = "ENOSPC";
+}
+class FileTooLarge extends FsError {
+  static code = "EFBIG";
+}
+class TooManyOpenFiles extends FsError {
+  static code = "EMFILE";
+}
+class PermissionDenied extends FsError {
+  static code = "EACCES";
+}
+class NotPermitted extends PermissionDenied {
+  static code = "EPERM";
+}
+class InvalidImage extends FsError {
+  static code = "EUCLEAN";
+}
+class DeviceFault extends FsError {}
 
 export {
+  FsError,
   InvalidArgument,
-  InvalidPath,
-  FileAlreadyExist,
+  BadDescriptor,
   DescriptorNotFound,
   OutOfBounds,
+  NoDataFound,
+  InvalidPath,
+  FileNotFound,
+  NotDirectory,
+  IsDirectory,
+  NameTooLong,
+  SymlinkLoop,
+  FileAlreadyExist,
+  DirectoryNotEmpty,
+  TooManyLinks,
   NotEnoughMemory,
+  FileTooLarge,
+  TooManyOpenFiles,
+  PermissionDenied,
+  NotPermitted,
+  InvalidImage,
+  DeviceFault,
 };
@@ -0,0 +1,59 @@
+/**
+ * @classdesc Run of file blocks that are stored in contiguous device blocks
+ *
+ * @exports Extent
+ */
+class Extent {
+  /**
+   * Extent
+   * @constructor
+   * @param {int} logicalBlock Index of first file block
+   * @param {int} physicalBlock Address of first device block
+   * @param {int} length Blocks count
+   */
+  constructor(logicalBlock, physicalBlock, length) {
+    this.logicalBlock = logicalBlock;
+    this.physicalBlock = physicalBlock;
+    this.length = length;
+  }
+}
+
+/**
+ * @classdesc Extent tree entry that points to child node
+ *
+ * @exports ExtentIndex
+ */
+class ExtentIndex {
+  /**
+   * Extent index
+   * @constructor
+   * @param {int} logicalBlock Index of first file block covered by child node
+   * @param {int} blockAddress Address of child node block
+   */
+  constructor(logicalBlock, blockAddress) {
+    this.logicalBlock = logicalBlock;
+    this.blockAddress = blockAddress;
+  }
+}
+
+/**
+ * @classdesc Extent tree node. Leaf node (depth 0) contains extents,
+ * other nodes contain indexes of child nodes
+ *
+ * @exports ExtentNode
+ */
+class ExtentNode {
+  /**
+   * Extent tree node
+   * @constructor
+   * @param {int} depth Distance to leaf nodes
+   * @param {Extent[]|ExtentIndex[]} entries Entries sorted by logical block
+   */
+  constructor(depth, entries) {
+    this.depth = depth;
+    this.entries = entries;
+  }
+}
+
+export default Extent;
+export { ExtentIndex, ExtentNode };
@@ -0,0 +1,233 @@
+import Extent, { ExtentIndex, ExtentNode } from "./extent.js";
+import { serializeExtentNode, deserializeExtentNode } from "./serializer.js";
+import {
+  EXTENT_ENTRY_SIZE,
+  EXTENT_HEADER_SIZE,
+  INODE_ADDRESSES_SIZE,
+} from "./settings.js";
+
+/**
+ * Remove range of file blocks from extents.
+ * Extents that cross range bounds are split
+ *
+ * @param {Extent[]} extents Extents sorted by logical block
+ * @param {int} startBlock
+ * @param {int} endBlock Exclusive
+ * @returns {Extent[][]} Kept extents and removed parts of extents
+ */
+const removeExtentRange = (extents, startBlock, endBlock) => {
+  const kept = [];
+  const removed = [];
+  for (const extent of extents) {
+    const extentEnd = extent.logicalBlock + extent.length;
+    if (extentEnd <= startBlock || extent.logicalBlock >= endBlock) {
+      kept.push(extent);
+      continue;
+    }
+
+    const removedStart = Math.max(extent.logicalBlock, startBlock);
+    const removedEnd = Math.min(extentEnd, endBlock);
+    const physicalBlockAt = (logicalBlock) =>
+      extent.physicalBlock + logicalBlock - extent.logicalBlock;
+    if (extent.logicalBlock < startBlock) {
+      kept.push(
+        new Extent(
+          extent.logicalBlock,
+          extent.physicalBlock,
+          startBlock - extent.logicalBlock
+        )
+      );
+    }
+    removed.push(
+      new Extent(
+        removedStart,
+        physicalBlockAt(removedStart),
+        removedEnd - removedStart
+      )
+    );
+    if (extentEnd > endBlock) {
+      kept.push(
+        new Extent(endBlock, physicalBlockAt(endBlock), extentEnd - endBlock)
+      );
+    }
+  }
+  return [kept, removed];
+};
+
+/**
+ * Add extent that does not overlap others and merge it with neighbours
+ *
+ * @param {Extent[]} extents Extents sorted by logical block
+ * @param {Extent} newExtent
+ * @returns {Extent[]} Extents sorted by logical block
+ */
+const insertExtent = (extents, newExtent) => {
+  const result = [];
+  const sorted = [...extents, newExtent].sort(
+    (a, b) => a.logicalBlock - b.logicalBlock
+  );
+  for (const extent of sorted) {
+    const last = result[result.length - 1];
+    if (
+      last &&
+      last.logicalBlock + last.length == extent.logicalBlock &&
+      last.physicalBlock + last.length == extent.physicalBlock
+    ) {
+      result[result.length - 1] = new Extent(
+        last.logicalBlock,
+        last.physicalBlock,
+        last.length + extent.length
+      );
+    } else {
+      result.push(extent);
+    }
+  }
+  return result;
+};
+
+/**
+ * @classdesc Extent tree operations. Root node is stored in inode in place
+ * of block addresses, other nodes are stored in blocks
+ *
+ * @exports ExtentTree
+ */
+class ExtentTree {
+  /**
+   * Extent tree
+   * @constructor
+   * @description Tree is rewritten as a whole on change, node blocks
+   * of previous version are reused
+   *
+   * @param {{readBlock: function, writeBlock: function, allocateBlock: function, freeBlock: function}} blockIO Metadata blocks I/O
+   * @param {int} blockSize
+   */
+  constructor(blockIO, blockSize) {
+    this.blockIO = blockIO;
+    this.blockSize = blockSize;
+    this.rootCapacity = Math.floor(
+      (INODE_ADDRESSES_SIZE - EXTENT_HEADER_SIZE) / EXTENT_ENTRY_SIZE
+    );
+    this.nodeCapacity = Math.floor(
+      (blockSize - EXTENT_HEADER_SIZE) / EXTENT_ENTRY_SIZE
+    );
+  }
+
+  /**
+   *
+   * @param {ExtentNode} root
+   * @param {int} blockIndex File block index
+   * @returns {Extent|null} Extent that contains file block
+   */
+  find(root, blockIndex) {
+    let node = root;
+    while (node && node.depth > 0) {
+      const index = node.entries.findLast(
+        (entry) => entry.logicalBlock <= blockIndex
+      );
+      if (!index) return null;
+      node = this.readChild(node, index);
+    }
+    if (!node) return null;
+
+    return (
+      node.entries.find(
+        (extent) =>
+          extent.logicalBlock <= blockIndex &&
+          blockIndex < extent.logicalBlock + extent.length
+      ) ?? null
+    );
+  }
+
+  /**
+   *
+   * @param {ExtentNode} root
+   * @returns {{extents: Extent[], nodeAddresses: int[]}} All extents and addresses of node blocks
+   */
+  read(root) {
+    const extents = [];
+    const nodeAddresses = [];
+    const walk = (node) => {
+      if (node.depth == 0) {
+        extents.push(...node.entries);
+        return;
+      }
+      for (const index of node.entries) {
+        nodeAddresses.push(index.blockAddress);
+        const child = this.readChild(node, index);
+        if (child) walk(child);
+      }
+    };
+
+    walk(root);
+    return { extents, nodeAddresses };
+  }
+
+  /**
+   * Write extents as new tree
+   *
+   * @param {Extent[]} extents Extents sorted by logical block
+   * @param {int[]} nodeAddresses Node blocks of previous tree, they are reused or freed
+   * @returns {ExtentNode} New root
+   */
+  write(extents, nodeAddresses) {
+    const freeAddresses = [...nodeAddresses];
+    let entries = extents;
+    let depth = 0;
+    while (entries.length > this.rootCapacity) {
+      const indexes = [];
+      for (
+        let entryIndex = 0;
+        entryIndex < entries.length;
+        entryIndex += this.nodeCapacity
+      ) {
+        const nodeEntries = entries.slice(
+          entryIndex,
+          entryIndex + this.nodeCapacity
+        );
+        const blockAddress =
+          freeAddresses.length > 0
+            ? freeAddresses.shift()
+            : this.blockIO.allocateBlock();
+        this.writeNode(blockAddress, new ExtentNode(depth, nodeEntries));
+        indexes.push(
+          new ExtentIndex(nodeEntries[0].logicalBlock, blockAddress)
+        );
+      }
+      entries = indexes;
+      depth++;
+    }
+
+    freeAddresses.forEach((blockAddress) =>
+      this.blockIO.freeBlock(blockAddress)
+    );
+    return new ExtentNode(depth, entries);
+  }
+
+  /**
+   *
+   * @param {ExtentNode} node
+   * @param {ExtentIndex} index Entry of `node`
+   * @returns {ExtentNode|null} Child node, null if child is not next level node
+   */
+  readChild(node, index) {
+    const child = deserializeExtentNode(
+      this.blockIO.readBlock(index.blockAddress)
+    );
+    return child.depth == node.depth - 1 ? child : null;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {ExtentNode} node
+   */
+  writeNode(blockAddress, node) {
+    this.blockIO.writeBlock(
+      blockAddress,
+      serializeExtentNode(node, this.blockSize)
+    );
+  }
+}
+
+export default ExtentTree;
+export { removeExtentRange, insertExtent };
@@ -0,0 +1,151 @@
+import Device from "./device.js";
+import { DeviceFault } from "./exceptions.js";
+
+/**
+ * @classdesc Block device decorator that injects faults,
+ * used to test driver behaviour on crashes and corrupted media
+ *
+ * @exports FaultyDevice
+ */
+class FaultyDevice {
+  /**
+   * Fault-injecting device
+   * @constructor
+   * @description Writes are numbered from 1 in order they reach device.
+   * After failed write device behaves as crashed: all next writes and
+   * flushes fail, reads still work
+   *
+   * @param {Device} device Wrapped block device
+   */
+  constructor(device) {
+    this.device = device;
+    this.blockSize = device.blockSize;
+    this.blockCount = device.blockCount;
+    this.writeCount = 0;
+    this.failedWrite = null;
+    this.tornBytes = 0;
+    this.crashed = false;
+    this.bitFlips = [];
+    this.freezeWrite = null;
+    this.frozenImage = null;
+  }
+
+  /**
+   * Make write with number `writeNumber` fail
+   *
+   * @param {int} writeNumber Number of write that must fail
+   * @param {int} [tornBytes] Count of first block bytes that land before fail
+   */
+  failWriteAt(writeNumber, tornBytes = 0) {
+    this.failedWrite = writeNumber;
+    this.tornBytes = tornBytes;
+  }
+
+  /**
+   * Flip bit every time block is read. Stored block is not changed
+   *
+   * @param {int} blockAddress
+   * @param {int} bitIndex Bit index in block
+   */
+  flipBitOnRead(blockAddress, bitIndex) {
+    this.bitFlips.push({ blockAddress, bitIndex });
+  }
+
+  /**
+   * Copy device image right before write with number `writeNumber` lands
+   *
+   * @param {int} writeNumber
+   */
+  freezeAt(writeNumber) {
+    this.freezeWrite = writeNumber;
+    this.frozenImage = null;
+  }
+
+  /**
+   * @returns {Device|null} Frozen image, null if freeze write was not reached
+   */
+  getFrozenImage() {
+    return this.frozenImage;
+  }
+
+  /**
+   * Remove all injected faults and restore crashed device
+   */
+  reset() {
+    this.failedWrite = null;
+    this.tornBytes = 0;
+    this.crashed = false;
+    this.bitFlips = [];
+    this.freezeWrite = null;
+    this.frozenImage = null;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   *
+   * @return {Uint8Array}
+   */
+  readBlock(blockAddress) {
+    const block = this.device.readBlock(blockAddress).slice();
+    for (const bitFlip of this.bitFlips) {
+      if (bitFlip.blockAddress == blockAddress) {
+        block[Math.floor(bitFlip.bitIndex / 8)] ^= 1 << bitFlip.bitIndex % 8;
+      }
+    }
+    return block;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
+   *
+   * @throws {DeviceFault} If write is chosen to fail or device is crashed
+   */
+  writeBlock(blockAddress, block) {
+    this.writeCount++;
+    if (this.writeCount == this.freezeWrite) {
+      this.frozenImage = this._copyImage();
+    }
+    if (this.crashed) {
+      throw new DeviceFault(`Write ${this.writeCount} to crashed device`);
+    }
+    if (this.writeCount == this.failedWrite) {
+      this.crashed = true;
+      if (this.tornBytes > 0) {
+        const tornBlock = this.device.readBlock(blockAddress).slice();
+        tornBlock.set(block.subarray(0, this.tornBytes), 0);
+        this.device.writeBlock(blockAddress, tornBlock);
+      }
+      throw new DeviceFault(`Write ${this.writeCount} failed`);
+    }
+
+    this.device.writeBlock(blockAddress, block);
+  }
+
+  /**
+   * @throws {DeviceFault} If device is crashed
+   */
+  flush() {
+    if (this.crashed) {
+      throw new DeviceFault("Flush of crashed device");
+    }
+    if (this.device.flush) {
+      this.device.flush();
+    }
+  }
+
+  /**
+   * @returns {Device} In memory copy of wrapped device
+   */
+  _copyImage() {
+    const image = new Device(this.blockSize, this.blockCount);
+    for (let blockAddress = 0; blockAddress < this.blockCount; blockAddress++) {
+      image.writeBlock(blockAddress, this.device.readBlock(blockAddress));
+    }
+    return image;
+  }
+}
+
+export default FaultyDevice;
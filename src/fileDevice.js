@@ -0,0 +1,125 @@
+import fs from "fs";
+import { InvalidArgument, OutOfBounds } from "./exceptions.js";
+
+/**
+ * @classdesc Block I/O device backed by host image file
+ *
+ * @exports FileDevice
+ */
+class FileDevice {
+  /**
+   * File backed block device
+   * @constructor
+   * @description Block device that stores blocks in image file on host file system.
+   * If image file does not exist it will be created and filled with zeros.
+   *
+   * @param {string} imagePath Path to image file
+   * @param {int} blockSize
+   * @param {int} [blockCount] Blocks count, by default taken from size of existen image
+   *
+   * @throws {InvalidArgument} Blocks count must be known for new image
+   */
+  constructor(imagePath, blockSize, blockCount) {
+    const imageExists = fs.existsSync(imagePath);
+    if (!imageExists && blockCount === undefined) {
+      throw new InvalidArgument("Blocks count must be set for new image");
+    }
+
+    this.imagePath = imagePath;
+    this.blockSize = blockSize;
+    this.fd = fs.openSync(imagePath, imageExists ? "r+" : "w+");
+
+    const imageSize = fs.fstatSync(this.fd).size;
+    this.blockCount =
+      blockCount === undefined ? Math.floor(imageSize / blockSize) : blockCount;
+    if (imageSize < this.blockCount * this.blockSize) {
+      fs.ftruncateSync(this.fd, this.blockCount * this.blockSize);
+    }
+  }
+
+  /**
+   * Read block from image. Returned block is copy, so changes must be
+   * written back with `writeBlock`
+   *
+   * @param {int} blockAddress
+   *
+   * @return {Uint8Array}
+   *
+   * @throws {InvalidArgument} Device must be opened
+   * @throws {OutOfBounds} Block must be on device
+   */
+  readBlock(blockAddress) {
+    this._checkBlockAddress(blockAddress);
+
+    const block = new Uint8Array(this.blockSize);
+    fs.readSync(
+      this.fd,
+      block,
+      0,
+      this.blockSize,
+      blockAddress * this.blockSize
+    );
+    return block;
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   * @param {Uint8Array} block
+   *
+   * @throws {InvalidArgument} Device must be opened
+   * @throws {OutOfBounds} Block must be on device
+   */
+  writeBlock(blockAddress, block) {
+    this._checkBlockAddress(blockAddress);
+
+    fs.writeSync(
+      this.fd,
+      block,
+      0,
+      Math.min(block.length, this.blockSize),
+      blockAddress * this.blockSize
+    );
+  }
+
+  /**
+   * Flush all written blocks to host storage
+   *
+   * @throws {InvalidArgument} Device must be opened
+   */
+  flush() {
+    this._checkOpened();
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Flush written blocks and close image file.
+   * Closing already closed device does nothing
+   */
+  close() {
+    if (this.fd === null) return;
+
+    this.flush();
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  _checkOpened() {
+    if (this.fd === null) {
+      throw new InvalidArgument("Device is closed");
+    }
+  }
+
+  /**
+   *
+   * @param {int} blockAddress
+   */
+  _checkBlockAddress(blockAddress) {
+    this._checkOpened();
+    if (blockAddress < 0 || blockAddress >= this.blockCount) {
+      throw new OutOfBounds(`Block ${blockAddress} is out of device`);
+    }
+  }
+}
+
+export default FileDevice;
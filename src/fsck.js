@@ -0,0 +1,665 @@
+import { NAN_BLOCK_ADDRESS, ZERO_BLOCK_ADDRESS } from "./constants.js";
+import Dentry from "./dentry.js";
+import Device from "./device.js";
+import Driver from "./driver.js";
+import Extent from "./extent.js";
+import { insertExtent } from "./extentTree.js";
+import { FileType } from "./inode.js";
+import { INODE_STRAIGHT_LINKS_COUNT } from "./settings.js";
+import { FsState } from "./superblock.js";
+
+const LOST_AND_FOUND = "lost+found";
+
+/**
+ * Enum for problem type.
+ *
+ * @readonly
+ * @enum {symbol}
+ *
+ * @exports ProblemType
+ */
+const ProblemType = Object.freeze({
+  UNRECOVERED_JOURNAL: Symbol("unrecovered journal"),
+  INVALID_BLOCK: Symbol("invalid block"),
+  DUPLICATE_BLOCK: Symbol("duplicate block"),
+  UNMARKED_BLOCK: Symbol("unmarked block"),
+  LEAKED_BLOCK: Symbol("leaked block"),
+  DANGLING_DENTRY: Symbol("dangling dentry"),
+  MISSING_DOT: Symbol("missing dot"),
+  MISSING_DOTDOT: Symbol("missing dotdot"),
+  WRONG_DENTRY_TYPE: Symbol("wrong dentry type"),
+  ORPHAN_INODE: Symbol("orphan inode"),
+  WRONG_LINK_COUNT: Symbol("wrong link count"),
+});
+
+/**
+ * @classdesc Inconsistency found by file system checker
+ *
+ * @exports Problem
+ */
+class Problem {
+  /**
+   * File system problem
+   * @constructor
+   *
+   * @param {ProblemType} type Problem type
+   * @param {string} message Human readable description
+   * @param {Object} details Inode numbers, block addresses, file names related to problem
+   * @param {boolean} repaired True if problem was fixed
+   */
+  constructor(type, message, details, repaired) {
+    this.type = type;
+    this.message = message;
+    this.details = details;
+    this.repaired = repaired;
+  }
+}
+
+/**
+ * @classdesc Offline file system consistency checker.
+ * Walks inodes table, directories and block pointers and compares them
+ * with blocks bitmap and inode hard links counts
+ *
+ * @exports Fsck
+ */
+class Fsck {
+  /**
+   * File system checker
+   * @constructor
+   *
+   * @param {Device} device Block device with not mounted file system
+   */
+  constructor(device) {
+    this.driver = new Driver(device);
+    this.problems = [];
+    this.repair = false;
+  }
+
+  /**
+   * Check file system and optionally repair found problems.
+   * Without repair device is not modified.
+   * Orphan inodes are linked to `/lost+found` in repair mode
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.repair] Fix found problems
+   * @returns {Problem[]} Found problems
+   *
+   * @throws {InvalidImage} Device must contain valid superblock
+   */
+  check({ repair = false } = {}) {
+    // 0. replay committed journal transactions and remove orphan list inodes
+    // 1. check block pointers of all used inodes
+    // 2. mark referenced blocks in bitmap, so repair cannot reuse them
+    // 3. walk directory tree from root and check dentries
+    // 4. link orphan inodes to lost+found
+    // 5. compare hard links counts with dentries
+    // 6. free blocks that are not referenced
+    this.repair = repair;
+    this.problems = [];
+    this.driver._setSuperblock(this.driver._readSuperblock());
+    this._checkJournal();
+    const listedOrphans = this._checkOrphanList();
+
+    const blockOwners = this._checkBlockPointers(true);
+    this._checkUnmarkedBlocks(blockOwners);
+
+    let linkCounts = this._checkDirectories(true);
+    const orphans = this._findOrphans(linkCounts, listedOrphans);
+    if (orphans.length > 0) {
+      this._linkOrphans(orphans);
+      linkCounts = this._checkDirectories(false);
+    }
+    this._checkLinkCounts(linkCounts);
+
+    this._checkLeakedBlocks(this._checkBlockPointers(false));
+
+    if (this.repair) {
+      this.driver.superblock.state = FsState.CLEAN;
+      this.driver._writeSuperblock();
+      this.driver.sync();
+    }
+    return this.problems;
+  }
+
+  /**
+   *
+   * @param {ProblemType} type
+   * @param {string} message
+   * @param {Object} details
+   * @param {boolean} [report] Add problem to report
+   */
+  _report(type, message, details, report = true) {
+    if (report) {
+      this.problems.push(new Problem(type, message, details, this.repair));
+    }
+  }
+
+  _checkJournal() {
+    const journal = this.driver.journal;
+    if (!journal || journal.recover().length == 0) return;
+
+    this._report(
+      ProblemType.UNRECOVERED_JOURNAL,
+      "Journal has committed transactions that are not written",
+      {}
+    );
+    if (this.repair) {
+      this.driver._recoverJournal();
+    }
+  }
+
+  /**
+   * Inodes of orphan list are files that were unlinked while opened.
+   * They are not problems, repair removes them as mount does
+   *
+   * @returns {Set<int>} Numbers of inodes in orphan list
+   */
+  _checkOrphanList() {
+    const orphans = this.driver._getOrphans();
+    if (this.repair && orphans.length > 0) {
+      this.driver._transaction(() => this.driver._reclaimOrphans());
+      return new Set();
+    }
+    return new Set(orphans.map((inode) => inode.ino));
+  }
+
+  /**
+   * @returns {INode[]} Used inodes
+   */
+  _getUsedINodes() {
+    const inodes = [];
+    for (let ino = 0; ino < this.driver.superblock.inodeCount; ino++) {
+      const inode = this.driver.getDescriptor(ino);
+      if (inode.type != FileType.UNUSED) {
+        inodes.push(inode);
+      }
+    }
+    return inodes;
+  }
+
+  /**
+   * Collect owners of all referenced blocks.
+   * Invalid and duplicate pointers are replaced with holes in repair mode
+   *
+   * @param {boolean} report Report found problems
+   * @returns {Map<int, int>} Block address to owner inode number
+   */
+  _checkBlockPointers(report) {
+    const blockOwners = new Map();
+    for (
+      let blockAddress = 0;
+      blockAddress < this.driver.superblock.dataStart;
+      blockAddress++
+    ) {
+      blockOwners.set(blockAddress, null);
+    }
+
+    for (const inode of this._getUsedINodes()) {
+      const blockCount = this.driver._getBlocksCount(inode.size);
+      let inodeChanged = false;
+
+      if (this.driver._hasExtents(inode)) {
+        this._claimExtentTree(blockOwners, inode, report);
+        continue;
+      }
+
+      for (
+        let linkIndex = 0;
+        linkIndex < Math.min(blockCount, INODE_STRAIGHT_LINKS_COUNT);
+        linkIndex++
+      ) {
+        const address = inode.straightLinks[linkIndex];
+        if (!this._claimBlock(blockOwners, inode, address, report)) {
+          inode.straightLinks[linkIndex] = ZERO_BLOCK_ADDRESS;
+          inodeChanged = true;
+        }
+      }
+
+      for (const { field, start, depth } of this.driver._getIndirectLevels()) {
+        if (inode[field] == NAN_BLOCK_ADDRESS) continue;
+
+        const claimed = this._claimIndirectBlock(
+          blockOwners,
+          inode,
+          inode[field],
+          depth,
+          blockCount - start,
+          report
+        );
+        if (!claimed) {
+          inode[field] = NAN_BLOCK_ADDRESS;
+          inodeChanged = true;
+        }
+      }
+
+      if (inodeChanged && this.repair) {
+        this.driver._updateDescriptor(inode);
+      }
+    }
+
+    return blockOwners;
+  }
+
+  /**
+   * Claim extent tree nodes and blocks of extents. In repair mode invalid
+   * nodes are dropped and invalid blocks are cut from extents as holes
+   *
+   * @param {Map<int, int>} blockOwners
+   * @param {INode} inode Owner
+   * @param {boolean} report
+   */
+  _claimExtentTree(blockOwners, inode, report) {
+    const blockCount = this.driver._getBlocksCount(inode.size);
+    const extentTree = this.driver.extentTree;
+    let extents = [];
+    const nodeAddresses = [];
+    let treeChanged = false;
+
+    const walk = (node) => {
+      if (node.depth == 0) {
+        for (const extent of node.entries) {
+          for (let index = 0; index < extent.length; index++) {
+            const logicalBlock = extent.logicalBlock + index;
+            const blockAddress = extent.physicalBlock + index;
+            if (
+              logicalBlock < blockCount &&
+              this._claimBlock(blockOwners, inode, blockAddress, report)
+            ) {
+              extents = insertExtent(
+                extents,
+                new Extent(logicalBlock, blockAddress, 1)
+              );
+            } else {
+              treeChanged = true;
+            }
+          }
+        }
+        return;
+      }
+
+      for (const index of node.entries) {
+        const child = this._claimBlock(
+          blockOwners,
+          inode,
+          index.blockAddress,
+          report
+        )
+          ? extentTree.readChild(node, index)
+          : null;
+        if (child) {
+          nodeAddresses.push(index.blockAddress);
+          walk(child);
+        } else {
+          treeChanged = true;
+        }
+      }
+    };
+    walk(inode.extentRoot);
+
+    if (treeChanged && this.repair) {
+      inode.extentRoot = extentTree.write(extents, nodeAddresses);
+      this.driver._updateDescriptor(inode);
+    }
+  }
+
+  /**
+   *
+   * @param {Map<int, int>} blockOwners
+   * @param {INode} inode Owner
+   * @param {int} indirectAddress
+   * @param {int} depth Indirection depth, 1 for single indirect block
+   * @param {int} blockCount Count of file blocks addressed by indirect block
+   * @param {boolean} report
+   * @returns {boolean} False if pointer to indirect block must be removed
+   */
+  _claimIndirectBlock(
+    blockOwners,
+    inode,
+    indirectAddress,
+    depth,
+    blockCount,
+    report
+  ) {
+    if (!this._claimBlock(blockOwners, inode, indirectAddress, report)) {
+      return false;
+    }
+
+    const span = this.driver.addressesInBlock ** (depth - 1);
+    const addresses = this.driver._readAddresses(indirectAddress);
+    let indirectChanged = false;
+    addresses.forEach((address, slot) => {
+      const childBlockCount = blockCount - slot * span;
+      if (childBlockCount <= 0 || address == NAN_BLOCK_ADDRESS) return;
+
+      if (depth == 1) {
+        if (!this._claimBlock(blockOwners, inode, address, report)) {
+          addresses[slot] = ZERO_BLOCK_ADDRESS;
+          indirectChanged = true;
+        }
+      } else if (
+        !this._claimIndirectBlock(
+          blockOwners,
+          inode,
+          address,
+          depth - 1,
+          Math.min(childBlockCount, span),
+          report
+        )
+      ) {
+        addresses[slot] = NAN_BLOCK_ADDRESS;
+        indirectChanged = true;
+      }
+    });
+
+    if (indirectChanged && this.repair) {
+      this.driver._writeAddresses(indirectAddress, addresses);
+    }
+    return true;
+  }
+
+  /**
+   *
+   * @param {Map<int, int>} blockOwners
+   * @param {INode} inode Owner
+   * @param {int} blockAddress
+   * @param {boolean} report
+   * @returns {boolean} False if pointer is invalid or block already has owner
+   */
+  _claimBlock(blockOwners, inode, blockAddress, report) {
+    if (!this.driver._isAllocatedBlockAddress(blockAddress)) return true;
+
+    const { dataStart, blockCount } = this.driver.superblock;
+    if (blockAddress < dataStart || blockAddress >= blockCount) {
+      this._report(
+        ProblemType.INVALID_BLOCK,
+        `Inode ${inode.ino} points to block ${blockAddress} out of data area`,
+        { ino: inode.ino, blockAddress },
+        report
+      );
+      return false;
+    }
+    if (blockOwners.has(blockAddress)) {
+      this._report(
+        ProblemType.DUPLICATE_BLOCK,
+        `Block ${blockAddress} of inode ${inode.ino} is already used`,
+        { ino: inode.ino, blockAddress, owner: blockOwners.get(blockAddress) },
+        report
+      );
+      return false;
+    }
+
+    blockOwners.set(blockAddress, inode.ino);
+    return true;
+  }
+
+  /**
+   *
+   * @param {Map<int, int>} blockOwners
+   */
+  _checkUnmarkedBlocks(blockOwners) {
+    for (const blockAddress of blockOwners.keys()) {
+      if (this.driver._isBlockUnfree(blockAddress)) continue;
+
+      this._report(
+        ProblemType.UNMARKED_BLOCK,
+        `Block ${blockAddress} is used but marked free`,
+        { blockAddress }
+      );
+      if (this.repair) {
+        this.driver._setBlockUnfree(blockAddress);
+      }
+    }
+  }
+
+  /**
+   *
+   * @param {Map<int, int>} blockOwners
+   */
+  _checkLeakedBlocks(blockOwners) {
+    const { dataStart, blockCount } = this.driver.superblock;
+    for (
+      let blockAddress = dataStart;
+      blockAddress < blockCount;
+      blockAddress++
+    ) {
+      if (
+        blockOwners.has(blockAddress) ||
+        !this.driver._isBlockUnfree(blockAddress)
+      ) {
+        continue;
+      }
+
+      this._report(
+        ProblemType.LEAKED_BLOCK,
+        `Block ${blockAddress} is marked used but not referenced`,
+        { blockAddress }
+      );
+      if (this.repair) {
+        this.driver._setBlockFree(blockAddress);
+      }
+    }
+  }
+
+  /**
+   * Walk directory tree from root, check dentries and count links
+   *
+   * @param {boolean} report Report found problems
+   * @returns {Map<int, int>} Inode number to count of dentries that link it
+   */
+  _checkDirectories(report) {
+    const linkCounts = new Map();
+    const visited = new Set([0]);
+    const queue = [{ ino: 0, parentIno: 0 }];
+
+    while (queue.length > 0) {
+      const { ino, parentIno } = queue.shift();
+      const dir = this.driver.getDescriptor(ino);
+      const dentries = this._checkDirectory(dir, parentIno, report);
+
+      for (const dentry of dentries) {
+        linkCounts.set(dentry.ino, (linkCounts.get(dentry.ino) ?? 0) + 1);
+        if (dentry.fileName == "." || dentry.fileName == "..") continue;
+
+        const file = this.driver.getDescriptor(dentry.ino);
+        if (file.type == FileType.DIRECTORY && !visited.has(file.ino)) {
+          visited.add(file.ino);
+          queue.push({ ino: file.ino, parentIno: dir.ino });
+        }
+      }
+    }
+
+    return linkCounts;
+  }
+
+  /**
+   *
+   * @param {INode} dir Directory
+   * @param {int} parentIno Inode number of directory where `dir` was found
+   * @param {boolean} report
+   * @returns {Dentry[]} Valid directory entries
+   */
+  _checkDirectory(dir, parentIno, report) {
+    const dentries = this.driver._readDirectory(dir);
+    const validDentries = dentries.filter((dentry) => {
+      if (dentry.fileName != "" && this._isUsedINode(dentry.ino)) {
+        return true;
+      }
+
+      this._report(
+        ProblemType.DANGLING_DENTRY,
+        `Dentry '${dentry.fileName}' in directory ${dir.ino} points to unused inode ${dentry.ino}`,
+        { ino: dir.ino, fileName: dentry.fileName, target: dentry.ino },
+        report
+      );
+      return false;
+    });
+
+    let wrongTypes = false;
+    for (const dentry of validDentries) {
+      const { type } = this.driver.getDescriptor(dentry.ino);
+      if (dentry.type == type) continue;
+
+      this._report(
+        ProblemType.WRONG_DENTRY_TYPE,
+        `Dentry '${dentry.fileName}' in directory ${dir.ino} has wrong file type`,
+        { ino: dir.ino, fileName: dentry.fileName, target: dentry.ino },
+        report
+      );
+      dentry.type = type;
+      wrongTypes = true;
+    }
+
+    let dot = validDentries.find((dentry) => dentry.fileName == ".");
+    let dotdot = validDentries.find((dentry) => dentry.fileName == "..");
+    if (!dot) {
+      this._report(
+        ProblemType.MISSING_DOT,
+        `Directory ${dir.ino} has no '.' entry`,
+        { ino: dir.ino },
+        report
+      );
+      dot = new Dentry(".", dir.ino, FileType.DIRECTORY);
+    }
+    if (!dotdot) {
+      this._report(
+        ProblemType.MISSING_DOTDOT,
+        `Directory ${dir.ino} has no '..' entry`,
+        { ino: dir.ino },
+        report
+      );
+      dotdot = new Dentry("..", parentIno, FileType.DIRECTORY);
+    }
+
+    const checkedDentries = [
+      dot,
+      dotdot,
+      ...validDentries.filter((dentry) => dentry != dot && dentry != dotdot),
+    ];
+    const needRewrite =
+      wrongTypes ||
+      dentries.length != validDentries.length ||
+      !validDentries.includes(dot) ||
+      !validDentries.includes(dotdot);
+    if (this.repair && needRewrite) {
+      this._rewriteDirectory(dir, checkedDentries);
+    }
+
+    return this.repair ? checkedDentries : validDentries;
+  }
+
+  /**
+   *
+   * @param {int} ino
+   * @returns {boolean} True if inode number is valid and inode is used
+   */
+  _isUsedINode(ino) {
+    return (
+      ino >= 0 &&
+      ino < this.driver.superblock.inodeCount &&
+      this.driver.getDescriptor(ino).type != FileType.UNUSED
+    );
+  }
+
+  /**
+   *
+   * @param {INode} dir
+   * @param {Dentry[]} dentries
+   */
+  _rewriteDirectory(dir, dentries) {
+    this.driver._writeDirectory(dir, dentries);
+  }
+
+  /**
+   * Find used inodes that are not reachable from root.
+   * Inodes reachable from other orphan directories are skipped
+   *
+   * @param {Map<int, int>} linkCounts
+   * @param {Set<int>} listedOrphans Inodes of orphan list
+   * @returns {INode[]} Orphan inodes
+   */
+  _findOrphans(linkCounts, listedOrphans) {
+    const unreachable = this._getUsedINodes().filter(
+      (inode) => !linkCounts.has(inode.ino) && !listedOrphans.has(inode.ino)
+    );
+    const unreachableInos = new Set(unreachable.map((inode) => inode.ino));
+    const nested = new Set();
+    for (const inode of unreachable) {
+      if (inode.type != FileType.DIRECTORY) continue;
+
+      for (const dentry of this.driver._readDirectory(inode)) {
+        if (
+          dentry.fileName != "." &&
+          dentry.fileName != ".." &&
+          dentry.ino != inode.ino &&
+          unreachableInos.has(dentry.ino)
+        ) {
+          nested.add(dentry.ino);
+        }
+      }
+    }
+
+    const orphans = unreachable.filter((inode) => !nested.has(inode.ino));
+    for (const orphan of orphans) {
+      this._report(
+        ProblemType.ORPHAN_INODE,
+        `Inode ${orphan.ino} is not linked to any directory`,
+        { ino: orphan.ino }
+      );
+    }
+    return this.repair ? orphans : [];
+  }
+
+  /**
+   * Link orphan inodes to `/lost+found` as `#<ino>`
+   *
+   * @param {INode[]} orphans
+   */
+  _linkOrphans(orphans) {
+    const root = this.driver.getDescriptor(0);
+    const lostAndFoundDentry = this.driver
+      ._readDirectory(root)
+      .find((dentry) => dentry.fileName == LOST_AND_FOUND);
+    if (!lostAndFoundDentry) {
+      this.driver.mkdir(`/${LOST_AND_FOUND}`);
+    }
+    const lostAndFound = this.driver.lookUp(`/${LOST_AND_FOUND}`);
+
+    for (const orphan of orphans) {
+      this.driver._addLink(lostAndFound, orphan, `#${orphan.ino}`);
+      if (orphan.type != FileType.DIRECTORY) continue;
+
+      const dentries = this.driver
+        ._readDirectory(orphan)
+        .filter((dentry) => dentry.fileName != "." && dentry.fileName != "..");
+      this._rewriteDirectory(orphan, [
+        new Dentry(".", orphan.ino, FileType.DIRECTORY),
+        new Dentry("..", lostAndFound.ino, FileType.DIRECTORY),
+        ...dentries,
+      ]);
+    }
+  }
+
+  /**
+   *
+   * @param {Map<int, int>} linkCounts
+   */
+  _checkLinkCounts(linkCounts) {
+    for (const inode of this._getUsedINodes()) {
+      const linkCount = linkCounts.get(inode.ino) ?? 0;
+      if (inode.refs == linkCount) continue;
+
+      this._report(
+        ProblemType.WRONG_LINK_COUNT,
+        `Inode ${inode.ino} has ${inode.refs} links, but ${linkCount} dentries`,
+        { ino: inode.ino, refs: inode.refs, linkCount }
+      );
+      if (this.repair) {
+        inode.refs = linkCount;
+        this.driver._updateDescriptor(inode);
+      }
+    }
+  }
+}
+
+export default Fsck;
+export { Problem, ProblemType, LOST_AND_FOUND };
@@ -1,3 +1,5 @@
+import { NAN_BLOCK_ADDRESS } from "./constants.js";
+
 /**
  * Enum for file type.
  *
@@ -13,6 +15,48 @@ const FileType = Object.freeze({
   SYMLINK: Symbol("symlink"),
 });
 
+/**
+ * Enum for inode flags. Flags are bits of stored number
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports INodeFlag
+ */
+const INodeFlag = Object.freeze({
+  EXTENTS: 1, // blocks are mapped by extent tree instead of indirect blocks
+  INDEXED: 2, // directory dentries are split between blocks by name hashes
+});
+
+/**
+ * Enum for bits of file mode that are kept with permissions
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports FileMode
+ */
+const FileMode = Object.freeze({
+  SETGID: 0o2000, // files created in directory get its group
+  STICKY: 0o1000, // only owners may unlink files of directory
+  PERMISSIONS: 0o777, // read, write, execute bits of owner, group and others
+  ALL: 0o3777,
+});
+
+/**
+ * Enum for requested access, same bits as in each triple of permissions
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports Access
+ */
+const Access = Object.freeze({
+  READ: 4,
+  WRITE: 2,
+  EXECUTE: 1, // search for directory
+});
+
 /**
  * @classdesc INode is a data structure in a Unix-style file system that
  * describes a file-system object such as a file or a directory
@@ -31,6 +75,9 @@ class INode {
    * @param {int[]} straightLinks Straight links to file blocks
    * @param {int} singleIndirect Addess of block that containes next straight links
    * @param {int} doubleIndirect Address of block that containes addresses of signle indirect blocks
+   * @param {int} [tripleIndirect] Address of block that containes addresses of double indirect blocks
+   * @param {int} [flags] Bits of `INodeFlag`
+   * @param {ExtentNode|null} [extentRoot] Root of extent tree, if inode has `INodeFlag.EXTENTS`
    */
   constructor(
     ino,
@@ -39,7 +86,10 @@ class INode {
     refs,
     straightLinks,
     singleIndirect,
-    doubleIndirect
+    doubleIndirect,
+    tripleIndirect = NAN_BLOCK_ADDRESS,
+    flags = 0,
+    extentRoot = null
   ) {
     this.ino = ino;
     this.type = type;
@@ -48,8 +98,30 @@ class INode {
     this.straightLinks = straightLinks;
     this.singleIndirect = singleIndirect;
     this.doubleIndirect = doubleIndirect;
+    this.tripleIndirect = tripleIndirect;
+    this.nextOrphan = 0; // next inode in orphan list, 0 ends list
+    // milliseconds since epoch, kept only in extended inode
+    this.atime = 0; // last access
+    this.mtime = 0; // last data change
+    this.ctime = 0; // last inode change
+    this.birthtime = 0; // creation
+    // 64 bytes inode keeps no owner, so everything is allowed
+    this.mode = FileMode.PERMISSIONS; // bits of `FileMode`
+    this.uid = 0;
+    this.gid = 0;
+    this.flags = flags;
+    this.extentRoot = extentRoot;
+  }
+
+  /**
+   * Orphan is used inode without links, it is kept while file is opened
+   *
+   * @returns {boolean}
+   */
+  isOrphan() {
+    return this.type != FileType.UNUSED && this.refs == 0;
   }
 }
 
 export default INode;
-export { FileType };
+export { Access, FileMode, FileType, INodeFlag };
@@ -0,0 +1,365 @@
+import { crc32 } from "./checksum.js";
+import {
+  serializeInt16,
+  deserializeInt16,
+  serializeInt32,
+  deserializeInt32,
+  deserializeUint32,
+  serializeAddress,
+  deserializeAddress,
+} from "./serializer.js";
+import { ADDRESS_SIZE } from "./settings.js";
+
+/**
+ * Magic number of journal blocks ("SDJL")
+ */
+const JOURNAL_MAGIC = 0x53444a4c;
+
+/**
+ * Enum for journal block type.
+ *
+ * @readonly
+ * @enum {symbol}
+ *
+ * @exports JournalBlockType
+ */
+const JournalBlockType = Object.freeze({
+  HEADER: Symbol("header"),
+  DESCRIPTOR: Symbol("descriptor"),
+  COMMIT: Symbol("commit"),
+});
+
+const JOURNAL_BLOCK_TYPES = [
+  null,
+  JournalBlockType.HEADER,
+  JournalBlockType.DESCRIPTOR,
+  JournalBlockType.COMMIT,
+];
+
+// magic, type, sequence, addresses count
+const JOURNAL_DESCRIPTOR_HEADER_SIZE = 4 + 2 + 4 + 2;
+
+/**
+ * Journal block layout:
+ * magic (4), type (2), sequence (4), then
+ * descriptor: addresses count (2), addresses (4 each);
+ * commit: blocks count (4), checksum (4)
+ *
+ * @param {Object} record Journal block fields
+ * @param {int} blockSize
+ * @returns {Uint8Array} Bytes reprasentation
+ */
+const serializeJournalBlock = (record, blockSize) => {
+  const buff = new Uint8Array(blockSize);
+  const bytes = [
+    ...serializeInt32(JOURNAL_MAGIC),
+    ...serializeInt16(JOURNAL_BLOCK_TYPES.indexOf(record.type)),
+    ...serializeInt32(record.sequence),
+  ];
+  if (record.type == JournalBlockType.DESCRIPTOR) {
+    bytes.push(...serializeInt16(record.addresses.length));
+    record.addresses.forEach((address) =>
+      bytes.push(...serializeAddress(address))
+    );
+  } else if (record.type == JournalBlockType.COMMIT) {
+    bytes.push(...serializeInt32(record.blockCount));
+    bytes.push(...serializeInt32(record.checksum));
+  }
+
+  buff.set(bytes, 0);
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {Object|null} Journal block fields, null if block is not journal block
+ */
+const deserializeJournalBlock = (bytes) => {
+  if (deserializeInt32(bytes.subarray(0, 4)) != JOURNAL_MAGIC) return null;
+
+  const type = JOURNAL_BLOCK_TYPES[deserializeInt16(bytes.subarray(4, 6))];
+  if (!type) return null;
+
+  const record = {
+    type,
+    sequence: deserializeInt32(bytes.subarray(6, 10)),
+  };
+  if (type == JournalBlockType.DESCRIPTOR) {
+    const addressCount = deserializeInt16(bytes.subarray(10, 12));
+    if (
+      JOURNAL_DESCRIPTOR_HEADER_SIZE + addressCount * ADDRESS_SIZE >
+      bytes.length
+    ) {
+      return null;
+    }
+    record.addresses = [];
+    for (let index = 0; index < addressCount; index++) {
+      const offset = JOURNAL_DESCRIPTOR_HEADER_SIZE + index * ADDRESS_SIZE;
+      record.addresses.push(
+        deserializeAddress(bytes.subarray(offset, offset + ADDRESS_SIZE))
+      );
+    }
+  } else if (type == JournalBlockType.COMMIT) {
+    record.blockCount = deserializeInt32(bytes.subarray(10, 14));
+    record.checksum = deserializeUint32(bytes.subarray(14, 18));
+  }
+  return record;
+};
+
+/**
+ * @classdesc Metadata blocks changed by one high-level operation.
+ * Blocks are kept in memory until transaction is committed
+ *
+ * @exports Transaction
+ */
+class Transaction {
+  /**
+   * Journal transaction
+   * @constructor
+   */
+  constructor() {
+    this.blocks = new Map();
+    this.freedBlocks = new Set();
+  }
+}
+
+/**
+ * @classdesc Write-ahead log of metadata transactions.
+ *
+ * Journal area starts with header block that keeps sequence of first
+ * transaction in log. Each transaction is written as descriptor blocks
+ * with home addresses, copies of blocks and commit block with checksum.
+ * Transaction without valid commit block is discarded on recovery.
+ *
+ * Committed blocks are written to home addresses only on checkpoint,
+ * until then they are kept in `pending` transaction
+ *
+ * @exports Journal
+ */
+class Journal {
+  /**
+   * Journal
+   * @constructor
+   *
+   * @param {{readBlock: function, writeBlock: function, flush: function}} blockIO File system blocks I/O that bypass transactions
+   * @param {int} start Address of journal first block
+   * @param {int} blockCount Journal blocks count
+   * @param {int} blockSize
+   */
+  constructor(blockIO, start, blockCount, blockSize) {
+    this.blockIO = blockIO;
+    this.start = start;
+    this.blockCount = blockCount;
+    this.blockSize = blockSize;
+    this.addressesInDescriptor = Math.floor(
+      (blockSize - JOURNAL_DESCRIPTOR_HEADER_SIZE) / ADDRESS_SIZE
+    );
+    this.sequence = 1;
+    this.tail = 1;
+    this.pending = new Transaction();
+  }
+
+  /**
+   * Write empty journal
+   */
+  format() {
+    this.sequence = 1;
+    this.checkpoint();
+  }
+
+  /**
+   * Count of journal blocks that transaction needs
+   *
+   * @param {Transaction} transaction
+   * @returns {int}
+   */
+  getRecordSize(transaction) {
+    const blockCount = transaction.blocks.size;
+    const descriptorCount = Math.ceil(blockCount / this.addressesInDescriptor);
+    return descriptorCount + blockCount + 1;
+  }
+
+  /**
+   * Check if transaction can be written to journal after checkpoint
+   *
+   * @param {Transaction} transaction
+   * @returns {boolean}
+   */
+  canHold(transaction) {
+    return this.getRecordSize(transaction) < this.blockCount;
+  }
+
+  /**
+   * Check if transaction can be appended to log without checkpoint
+   *
+   * @param {Transaction} transaction
+   * @returns {boolean}
+   */
+  hasSpaceFor(transaction) {
+    return this.tail + this.getRecordSize(transaction) <= this.blockCount;
+  }
+
+  /**
+   * Append transaction to log. Transaction blocks wait for checkpoint
+   *
+   * @param {Transaction} transaction
+   */
+  commit(transaction) {
+    const entries = [...transaction.blocks.entries()];
+    let checksum = 0;
+
+    for (
+      let entryIndex = 0;
+      entryIndex < entries.length;
+      entryIndex += this.addressesInDescriptor
+    ) {
+      const descriptorEntries = entries.slice(
+        entryIndex,
+        entryIndex + this.addressesInDescriptor
+      );
+      const descriptor = serializeJournalBlock(
+        {
+          type: JournalBlockType.DESCRIPTOR,
+          sequence: this.sequence,
+          addresses: descriptorEntries.map(([address]) => address),
+        },
+        this.blockSize
+      );
+      checksum = crc32(descriptor, checksum);
+      this._writeLogBlock(descriptor);
+
+      for (const [, block] of descriptorEntries) {
+        checksum = crc32(block, checksum);
+        this._writeLogBlock(block);
+      }
+    }
+
+    this._writeLogBlock(
+      serializeJournalBlock(
+        {
+          type: JournalBlockType.COMMIT,
+          sequence: this.sequence,
+          blockCount: entries.length,
+          checksum,
+        },
+        this.blockSize
+      )
+    );
+    this.sequence++;
+    this.addPending(transaction);
+  }
+
+  /**
+   * Add committed transaction to blocks that are written on checkpoint
+   *
+   * @param {Transaction} transaction
+   */
+  addPending(transaction) {
+    for (const [blockAddress, block] of transaction.blocks) {
+      this.pending.blocks.set(blockAddress, block);
+    }
+    for (const blockAddress of transaction.freedBlocks) {
+      this.pending.freedBlocks.add(blockAddress);
+    }
+  }
+
+  /**
+   * Write logged transactions to home addresses, mark them as written
+   * and start log from beginning
+   */
+  checkpoint() {
+    if (this.pending.blocks.size > 0) {
+      // log must reach device before home addresses are overwritten
+      this.blockIO.flush();
+      for (const [blockAddress, block] of this.pending.blocks) {
+        this.blockIO.writeBlock(blockAddress, block);
+      }
+      this.blockIO.flush();
+    }
+
+    this.blockIO.writeBlock(
+      this.start,
+      serializeJournalBlock(
+        { type: JournalBlockType.HEADER, sequence: this.sequence },
+        this.blockSize
+      )
+    );
+    this.blockIO.flush();
+    this.tail = 1;
+    this.pending = new Transaction();
+  }
+
+  /**
+   * Read committed transactions from log.
+   * Log reading stops on first incomplete or corrupted transaction
+   *
+   * @returns {Transaction[]} Committed transactions in commit order
+   */
+  recover() {
+    const header = deserializeJournalBlock(this.blockIO.readBlock(this.start));
+    this.sequence =
+      header && header.type == JournalBlockType.HEADER ? header.sequence : 1;
+    this.tail = 1;
+
+    const transactions = [];
+    for (;;) {
+      const transaction = this._readTransaction();
+      if (!transaction) break;
+
+      transactions.push(transaction);
+      this.sequence++;
+    }
+    return transactions;
+  }
+
+  /**
+   * @returns {Transaction|null} Transaction that starts at log tail
+   */
+  _readTransaction() {
+    const transaction = new Transaction();
+    let position = this.tail;
+    let checksum = 0;
+
+    while (position < this.blockCount) {
+      const bytes = this.blockIO.readBlock(this.start + position++);
+      const record = deserializeJournalBlock(bytes);
+      if (!record || record.sequence != this.sequence) return null;
+
+      if (record.type == JournalBlockType.COMMIT) {
+        if (
+          record.blockCount != transaction.blocks.size ||
+          record.checksum != checksum
+        ) {
+          return null;
+        }
+        this.tail = position;
+        return transaction;
+      }
+      if (record.type != JournalBlockType.DESCRIPTOR) return null;
+
+      checksum = crc32(bytes, checksum);
+      for (const address of record.addresses) {
+        if (position >= this.blockCount) return null;
+
+        const block = this.blockIO.readBlock(this.start + position++);
+        checksum = crc32(block, checksum);
+        transaction.blocks.set(address, block);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   *
+   * @param {Uint8Array} block
+   */
+  _writeLogBlock(block) {
+    this.blockIO.writeBlock(this.start + this.tail, block);
+    this.tail++;
+  }
+}
+
+export default Journal;
+export { JournalBlockType, JOURNAL_MAGIC, Transaction };
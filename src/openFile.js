@@ -0,0 +1,93 @@
+/**
+ * Enum for `lseek` reference point
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports SeekWhence
+ */
+const SeekWhence = Object.freeze({
+  SEEK_SET: 0, // from file start
+  SEEK_CUR: 1, // from current position
+  SEEK_END: 2, // from file end
+  SEEK_DATA: 3, // to next data at or after offset
+  SEEK_HOLE: 4, // to next hole at or after offset, file end is hole
+});
+
+/**
+ * Enum for `fallocate` mode
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports FallocateMode
+ */
+const FallocateMode = Object.freeze({
+  ALLOCATE: 0, // allocate blocks of range, file grows to range end
+  PUNCH_HOLE: 1, // free blocks of range, size is not changed
+  ZERO_RANGE: 2, // range reads as zeros with allocated blocks, file grows to range end
+});
+
+/**
+ * Enum for `open` flags. Access mode is one of first three values,
+ * other flags are bits that are combined with it
+ *
+ * @readonly
+ * @enum {int}
+ *
+ * @exports OpenFlag
+ */
+const OpenFlag = Object.freeze({
+  O_RDONLY: 0,
+  O_WRONLY: 1,
+  O_RDWR: 2,
+  O_ACCMODE: 3, // mask of access mode
+  O_CREAT: 0o100, // create file if it does not exist
+  O_EXCL: 0o200, // with `O_CREAT` file must not exist
+  O_TRUNC: 0o1000, // truncate file to zero size
+  O_APPEND: 0o2000, // every write goes to file end
+});
+
+/**
+ * @classdesc State of opened file that is kept by numeric file descriptor
+ *
+ * @exports OpenFile
+ */
+class OpenFile {
+  /**
+   * Opened file
+   * @constructor
+   * @param {int} ino Unique inode number
+   * @param {int} [flags] Bits of `OpenFlag`
+   */
+  constructor(ino, flags = OpenFlag.O_RDWR) {
+    this.ino = ino;
+    this.flags = flags;
+    this.position = 0;
+    this.refs = 0; // count of descriptors that refer to opened file
+  }
+
+  /**
+   * @returns {boolean} File is opened for reading
+   */
+  get readable() {
+    return (this.flags & OpenFlag.O_ACCMODE) != OpenFlag.O_WRONLY;
+  }
+
+  /**
+   * @returns {boolean} File is opened for writing
+   */
+  get writable() {
+    return (this.flags & OpenFlag.O_ACCMODE) != OpenFlag.O_RDONLY;
+  }
+
+  /**
+   * @returns {boolean} Every write goes to file end
+   */
+  get append() {
+    return (this.flags & OpenFlag.O_APPEND) != 0;
+  }
+}
+
+export default OpenFile;
+export { FallocateMode, OpenFlag, SeekWhence };
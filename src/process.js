@@ -0,0 +1,131 @@
+import Credentials from "./credentials.js";
+import { BadDescriptor, TooManyOpenFiles } from "./exceptions.js";
+
+/**
+ * @classdesc Process keeps credentials and table of numeric file descriptors.
+ * Descriptors are small integers, the lowest unused one is allocated first.
+ * Duplicated descriptors share one opened file with its position.
+ * Processes of one file system are kept in shared set, so their
+ * tables can be closed together
+ *
+ * @exports Process
+ */
+class Process {
+  /**
+   * Process
+   * @constructor
+   * @param {int} maxOpenFiles Max count of descriptors in table
+   * @param {Credentials} [credentials] Credentials for access checks, superuser by default
+   * @param {Set<Process>} [processes] Set of processes that share file system, process is added to it
+   */
+  constructor(
+    maxOpenFiles,
+    credentials = new Credentials(),
+    processes = new Set()
+  ) {
+    this.maxOpenFiles = maxOpenFiles;
+    this.credentials = credentials;
+    this.openFiles = [];
+    this.processes = processes;
+    processes.add(this);
+  }
+
+  /**
+   * Bind opened file with the lowest unused descriptor
+   *
+   * @param {OpenFile} openFile Opened file
+   * @returns {int} Numeric file descriptor
+   *
+   * @throws {TooManyOpenFiles} Table must have unused descriptor
+   */
+  allocateDescriptor(openFile) {
+    for (let fd = 0; fd < this.maxOpenFiles; fd++) {
+      if (!this.openFiles[fd]) {
+        this.openFiles[fd] = openFile;
+        openFile.refs++;
+        return fd;
+      }
+    }
+    throw new TooManyOpenFiles(
+      `Process must not have more then ${this.maxOpenFiles} open files`
+    );
+  }
+
+  /**
+   *
+   * @param {int} fd Numeric file descriptor
+   * @returns {OpenFile|null} Opened file or null if descriptor is unused
+   */
+  getOpenFile(fd) {
+    return this.openFiles[fd] || null;
+  }
+
+  /**
+   * Bind opened file with descriptor, previous file of descriptor is replaced
+   *
+   * @param {int} fd Numeric file descriptor
+   * @param {OpenFile} openFile Opened file
+   * @returns {OpenFile|null} Replaced opened file if no descriptor refers to it
+   *
+   * @throws {BadDescriptor} Descriptor must be in table bounds
+   */
+  setOpenFile(fd, openFile) {
+    if (!Number.isInteger(fd) || fd < 0 || fd >= this.maxOpenFiles) {
+      throw new BadDescriptor(`Invalid file descriptor ${fd}`);
+    }
+    openFile.refs++;
+    const replaced = this.releaseDescriptor(fd);
+    this.openFiles[fd] = openFile;
+    return replaced;
+  }
+
+  /**
+   *
+   * @param {int} fd Numeric file descriptor
+   * @returns {OpenFile|null} Released opened file if no descriptor refers to it
+   */
+  releaseDescriptor(fd) {
+    const openFile = this.getOpenFile(fd);
+    if (!openFile) return null;
+
+    delete this.openFiles[fd];
+    openFile.refs--;
+    return openFile.refs == 0 ? openFile : null;
+  }
+
+  /**
+   * Release all descriptors, credentials are kept
+   *
+   * @returns {OpenFile[]} Released opened files that no descriptor refers to
+   */
+  closeAll() {
+    const released = [];
+    for (let fd = 0; fd < this.openFiles.length; fd++) {
+      const openFile = this.releaseDescriptor(fd);
+      if (openFile) released.push(openFile);
+    }
+    this.openFiles = [];
+    return released;
+  }
+
+  /**
+   * Child process with same credentials and copy of descriptor table,
+   * opened files are shared. Child joins set of processes of parent
+   *
+   * @returns {Process} Child process
+   */
+  fork() {
+    const child = new Process(
+      this.maxOpenFiles,
+      this.credentials,
+      this.processes
+    );
+    child.openFiles = [...this.openFiles];
+    for (const openFile of child.openFiles) {
+      if (openFile) openFile.refs++;
+    }
+    return child;
+  }
+}
+
+export default Process;
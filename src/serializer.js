@@ -1,47 +1,96 @@
+import { NAN_BLOCK_ADDRESS } from "./constants.js";
 import Dentry from "./dentry.js";
-import INode, { FileType } from "./inode.js";
+import INode, { FileType, INodeFlag } from "./inode.js";
+import Extent, { ExtentIndex, ExtentNode } from "./extent.js";
+import IndexRoot, {
+  DentryBlock,
+  IndexNode,
+  IndexRange,
+} from "./directoryIndex.js";
+import Superblock, { FsState } from "./superblock.js";
+import { crc32 } from "./checksum.js";
 import {
   ADDRESS_SIZE,
-  DENTRY_SIZE,
+  CHECKSUM_SIZE,
+  DENTRY_ALIGN,
+  DENTRY_BLOCK_HEADER_SIZE,
+  DENTRY_HEADER_SIZE,
+  DENTRY_RECORD_LENGTH_SIZE,
+  DENTRY_TYPE_SIZE,
+  EXTENT_ENTRY_SIZE,
+  EXTENT_HEADER_SIZE,
+  INODE_ADDRESSES_OFFSET,
+  INODE_ADDRESSES_SIZE,
+  INODE_EXTENDED_SIZE,
+  INODE_FLAGS_SIZE,
+  INODE_ID_SIZE,
   INODE_INO_SIZE,
+  INODE_MODE_SIZE,
   INODE_REFS_SIZE,
   INODE_SIZE,
   INODE_SIZE_SIZE,
   INODE_STRAIGHT_LINKS_COUNT,
+  INODE_TIME_SIZE,
   INODE_TYPE_SIZE,
+  INDEX_NODE_HEADER_SIZE,
+  INDEX_RANGE_SIZE,
+  INDEX_ROOT_HEADER_SIZE,
+  LEGACY_DENTRY_SIZE,
   N_SIZE,
+  SUPERBLOCK_SIZE,
 } from "./settings.js";
 
 /**
+ * Size of dentry record, it is aligned to `DENTRY_ALIGN`
+ *
+ * @param {string} fileName File name
+ * @returns {int} Record length in bytes
+ */
+const getDentrySize = (fileName) => {
+  const nameLength = new TextEncoder().encode(fileName).length;
+  return (
+    Math.ceil((DENTRY_HEADER_SIZE + nameLength) / DENTRY_ALIGN) * DENTRY_ALIGN
+  );
+};
+
+/**
+ * Dentry record layout: ino (4), record length (2), name length (1),
+ * file type (1), then name bytes and zero padding
  *
  * @param {Dentry} dentry Directory entry
  * @return {Uint8Array} Bytes reprasentation
  */
 const serializeDentry = (dentry) => {
-  const buff = new Uint8Array(DENTRY_SIZE);
-  const filenameBytes = new TextEncoder().encode(
-    dentry.fileName.substring(0, DENTRY_SIZE - N_SIZE)
-  );
+  const filenameBytes = new TextEncoder().encode(dentry.fileName);
+  const buff = new Uint8Array(getDentrySize(dentry.fileName));
 
-  buff.set(filenameBytes, 0);
-  buff.set(serializeInt32(dentry.ino), DENTRY_SIZE - N_SIZE);
+  buff.set(serializeInt32(dentry.ino), 0);
+  buff.set(serializeInt16(buff.length), N_SIZE);
+  buff[N_SIZE + DENTRY_RECORD_LENGTH_SIZE] = filenameBytes.length;
+  buff[DENTRY_HEADER_SIZE - DENTRY_TYPE_SIZE] = serializeFileType(
+    dentry.type
+  )[1];
+  buff.set(filenameBytes, DENTRY_HEADER_SIZE);
   return buff;
 };
 
 /**
  *
- * @param {Uint8Array} bytes Bytes reprasentation
+ * @param {Uint8Array} bytes Bytes reprasentation, starts with record
  * @returns {Dentry} Directory entry
  */
 const deserializeDentry = (bytes) => {
-  const filenameBytes = bytes.subarray(0, DENTRY_SIZE - N_SIZE);
+  const ino = deserializeInt32(bytes.subarray(0, N_SIZE));
+  const nameLength = bytes[N_SIZE + DENTRY_RECORD_LENGTH_SIZE];
+  const type = deserializeFileType([
+    0,
+    bytes[DENTRY_HEADER_SIZE - DENTRY_TYPE_SIZE],
+  ]);
   const filename = new TextDecoder().decode(
-    filenameBytes.subarray(0, filenameBytes.indexOf(0))
+    bytes.subarray(DENTRY_HEADER_SIZE, DENTRY_HEADER_SIZE + nameLength)
   );
-  const inoBytes = bytes.subarray(DENTRY_SIZE - N_SIZE);
-  const ino = deserializeInt32(inoBytes);
 
-  const dentry = new Dentry(filename, ino);
+  const dentry = new Dentry(filename, ino, type);
   return dentry;
 };
 
@@ -51,47 +100,247 @@ const deserializeDentry = (bytes) => {
  * @return {Uint8Array} Bytes reprasentation
  */
 const serializeDentries = (dentries) => {
-  const buff = new Uint8Array(DENTRY_SIZE * dentries.length);
+  const records = dentries.map((dentry) => serializeDentry(dentry));
+  const buff = new Uint8Array(
+    records.reduce((size, record) => size + record.length, 0)
+  );
 
-  dentries.forEach((dentry, index) => {
-    const dentryBytes = serializeDentry(dentry);
-    buff.set(dentryBytes, index * DENTRY_SIZE);
-  });
+  let offset = 0;
+  for (const record of records) {
+    buff.set(record, offset);
+    offset += record.length;
+  }
 
   return buff;
 };
 
 /**
+ * Records are read until zero record length, that ends
+ * used part of directory block, or bytes end
  *
  * @param {Uint8Array} bytes Bytes reprasentation
  * @returns {Dentry[]} Directory entreis
  */
 const deserializeDentries = (bytes) => {
   const dentries = [];
-  for (let offset = 0; offset < bytes.length; offset += DENTRY_SIZE) {
-    const dentryBytes = bytes.subarray(offset, offset + DENTRY_SIZE);
-    const dentry = deserializeDentry(dentryBytes);
-    dentries.push(dentry);
+  let offset = 0;
+  while (offset + DENTRY_HEADER_SIZE <= bytes.length) {
+    const recordLength = deserializeInt16(
+      bytes.subarray(
+        offset + N_SIZE,
+        offset + N_SIZE + DENTRY_RECORD_LENGTH_SIZE
+      )
+    );
+    if (recordLength < DENTRY_HEADER_SIZE) break;
+
+    const dentryBytes = bytes.subarray(offset, offset + recordLength);
+    dentries.push(deserializeDentry(dentryBytes));
+    offset += recordLength;
+  }
+  return dentries;
+};
+
+/**
+ * Dentries of format 5 and older are fixed slots: zero terminated
+ * name, then ino (4). File types are unknown
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {Dentry[]} Directory entreis, free slots are skipped
+ */
+const deserializeLegacyDentries = (bytes) => {
+  const dentries = [];
+  const nameSize = LEGACY_DENTRY_SIZE - N_SIZE;
+  for (
+    let offset = 0;
+    offset + LEGACY_DENTRY_SIZE <= bytes.length;
+    offset += LEGACY_DENTRY_SIZE
+  ) {
+    const filenameBytes = bytes.subarray(offset, offset + nameSize);
+    const nameLength = filenameBytes.indexOf(0);
+    if (nameLength == 0) continue;
+
+    const filename = new TextDecoder().decode(
+      nameLength == -1 ? filenameBytes : filenameBytes.subarray(0, nameLength)
+    );
+    const ino = deserializeInt32(
+      bytes.subarray(offset + nameSize, offset + LEGACY_DENTRY_SIZE)
+    );
+    dentries.push(new Dentry(filename, ino, FileType.UNUSED));
   }
   return dentries;
 };
 
 /**
+ * Range layout: first hash (4), block (4)
+ *
+ * @param {IndexRange[]} ranges
+ * @returns {Uint8Array} Bytes reprasentation
+ */
+const serializeIndexRanges = (ranges) => {
+  const buff = new Uint8Array(ranges.length * INDEX_RANGE_SIZE);
+  ranges.forEach((range, index) => {
+    const offset = index * INDEX_RANGE_SIZE;
+    buff.set(serializeInt32(range.hash), offset);
+    buff.set(serializeInt32(range.block), offset + 4);
+  });
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @param {int} rangesCount
+ * @returns {IndexRange[]}
+ */
+const deserializeIndexRanges = (bytes, rangesCount) => {
+  const ranges = [];
+  for (let index = 0; index < rangesCount; index++) {
+    const offset = index * INDEX_RANGE_SIZE;
+    ranges.push(
+      new IndexRange(
+        deserializeUint32(bytes.subarray(offset, offset + 4)),
+        deserializeInt32(bytes.subarray(offset + 4, offset + 8))
+      )
+    );
+  }
+  return ranges;
+};
+
+/**
+ * Index root layout: free block (4), depth (4), ranges count (4), then ranges
+ *
+ * @param {IndexRoot} root
+ * @param {int} blockSize
+ * @returns {Uint8Array} Bytes reprasentation
+ */
+const serializeIndexRoot = (root, blockSize) => {
+  const buff = new Uint8Array(blockSize);
+  buff.set(serializeInt32(root.freeBlock), 0);
+  buff.set(serializeInt32(root.depth), 4);
+  buff.set(serializeInt32(root.ranges.length), 8);
+  buff.set(serializeIndexRanges(root.ranges), INDEX_ROOT_HEADER_SIZE);
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {IndexRoot}
+ */
+const deserializeIndexRoot = (bytes) => {
+  const freeBlock = deserializeInt32(bytes.subarray(0, 4));
+  const depth = deserializeInt32(bytes.subarray(4, 8));
+  const rangesCount = deserializeInt32(bytes.subarray(8, 12));
+  const ranges = deserializeIndexRanges(
+    bytes.subarray(INDEX_ROOT_HEADER_SIZE),
+    rangesCount
+  );
+  return new IndexRoot(freeBlock, depth, ranges);
+};
+
+/**
+ * Index node layout: ranges count (4), then ranges
+ *
+ * @param {IndexNode} node
+ * @param {int} blockSize
+ * @returns {Uint8Array} Bytes reprasentation
+ */
+const serializeIndexNode = (node, blockSize) => {
+  const buff = new Uint8Array(blockSize);
+  buff.set(serializeInt32(node.ranges.length), 0);
+  buff.set(serializeIndexRanges(node.ranges), INDEX_NODE_HEADER_SIZE);
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {IndexNode}
+ */
+const deserializeIndexNode = (bytes) => {
+  const rangesCount = deserializeInt32(bytes.subarray(0, 4));
+  const ranges = deserializeIndexRanges(
+    bytes.subarray(INDEX_NODE_HEADER_SIZE),
+    rangesCount
+  );
+  return new IndexNode(ranges);
+};
+
+/**
+ * Dentry block layout: next block (4), then dentry records,
+ * zero bytes after last record
+ *
+ * @param {DentryBlock} dentryBlock
+ * @param {int} blockSize
+ * @returns {Uint8Array} Bytes reprasentation
+ */
+const serializeDentryBlock = (dentryBlock, blockSize) => {
+  const buff = new Uint8Array(blockSize);
+  buff.set(serializeInt32(dentryBlock.next), 0);
+  buff.set(serializeDentries(dentryBlock.dentries), DENTRY_BLOCK_HEADER_SIZE);
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {DentryBlock}
+ */
+const deserializeDentryBlock = (bytes) => {
+  const next = deserializeInt32(bytes.subarray(0, 4));
+  const dentries = deserializeDentries(
+    bytes.subarray(DENTRY_BLOCK_HEADER_SIZE)
+  );
+  return new DentryBlock(next, dentries);
+};
+
+/**
+ * Inode with extents keeps root of extent tree instead of block addresses.
+ * Base record keeps low 32 bits of size. Flags, triple indirect address,
+ * high 32 bits of size, times, mode and owner are stored after base record,
+ * so they are lost in 64 bytes inode slot. Orphan inode keeps next orphan
+ * number in ino field
  *
  * @param {INode} inode File descriptor
  * @return {Uint8Array} Bytes reprasentation
  */
 const serializeInode = (inode) => {
-  const buff = new Uint8Array(INODE_SIZE);
-  const inoBytes = serializeInt32(inode.ino);
+  const buff = new Uint8Array(INODE_EXTENDED_SIZE);
+  const inoBytes = serializeInt32(
+    inode.isOrphan() ? inode.nextOrphan : inode.ino
+  );
   const typeBytes = serializeFileType(inode.type);
   const refsBytes = serializeInt16(inode.refs);
-  const sizeBytes = serializeInt32(inode.size);
-  const straightLinksBytes = inode.straightLinks.flatMap((link) => [
-    ...serializeAddress(link),
-  ]);
-  const singleIndirectBytes = serializeAddress(inode.singleIndirect);
-  const doubleIndirectBytes = serializeAddress(inode.doubleIndirect);
+  const sizeBytes = serializeInt32(inode.size % 2 ** 32);
+  const addressesBytes = [];
+  if (inode.flags & INodeFlag.EXTENTS) {
+    addressesBytes.push(
+      ...serializeExtentNode(inode.extentRoot, INODE_ADDRESSES_SIZE)
+    );
+  } else {
+    for (
+      let linkIndex = 0;
+      linkIndex < INODE_STRAIGHT_LINKS_COUNT;
+      linkIndex++
+    ) {
+      const link = inode.straightLinks[linkIndex] ?? NAN_BLOCK_ADDRESS;
+      addressesBytes.push(...serializeAddress(link));
+    }
+    addressesBytes.push(...serializeAddress(inode.singleIndirect));
+    addressesBytes.push(...serializeAddress(inode.doubleIndirect));
+  }
+  const flagsBytes = serializeInt32(inode.flags);
+  const tripleIndirectBytes = serializeAddress(inode.tripleIndirect);
+  const sizeHighBytes = serializeInt32(Math.floor(inode.size / 2 ** 32));
+  const timesBytes = [
+    inode.atime,
+    inode.mtime,
+    inode.ctime,
+    inode.birthtime,
+  ].flatMap((time) => [...serializeUint64(time)]);
+  const modeBytes = serializeInt16(inode.mode);
+  const uidBytes = serializeInt32(inode.uid);
+  const gidBytes = serializeInt32(inode.gid);
 
   buff.set(
     [
@@ -99,9 +348,14 @@ const serializeInode = (inode) => {
       ...typeBytes,
       ...refsBytes,
       ...sizeBytes,
-      ...straightLinksBytes,
-      ...singleIndirectBytes,
-      ...doubleIndirectBytes,
+      ...addressesBytes,
+      ...flagsBytes,
+      ...tripleIndirectBytes,
+      ...sizeHighBytes,
+      ...timesBytes,
+      ...modeBytes,
+      ...uidBytes,
+      ...gidBytes,
     ],
     0
   );
@@ -130,12 +384,12 @@ const deserializeInode = (bytes) => {
   );
   offset += ADDRESS_SIZE * INODE_STRAIGHT_LINKS_COUNT;
   const singleIndirectBytes = bytes.subarray(offset, offset + ADDRESS_SIZE);
+  offset += ADDRESS_SIZE;
   const doubleIndirectBytes = bytes.subarray(offset, offset + ADDRESS_SIZE);
 
   const ino = deserializeInt32(inoBytes);
   const type = deserializeFileType(typeBytes);
   const refs = deserializeInt16(refsBytes);
-  const size = deserializeInt32(sizeBytes);
   const straightLinks = [];
   for (let linkIndex = 0; linkIndex < INODE_STRAIGHT_LINKS_COUNT; linkIndex++) {
     const linkBytes = straightLinksBytes.subarray(
@@ -147,6 +401,65 @@ const deserializeInode = (bytes) => {
   }
   const singleIndirect = deserializeAddress(singleIndirectBytes);
   const doubleIndirect = deserializeAddress(doubleIndirectBytes);
+  let flags = 0;
+  let tripleIndirect = NAN_BLOCK_ADDRESS;
+  let size = deserializeUint32(sizeBytes);
+  const times = [0, 0, 0, 0];
+  let owner = null;
+  if (bytes.length >= INODE_EXTENDED_SIZE) {
+    offset = INODE_SIZE;
+    flags = deserializeInt32(bytes.subarray(offset, offset + INODE_FLAGS_SIZE));
+    offset += INODE_FLAGS_SIZE;
+    tripleIndirect = deserializeAddress(
+      bytes.subarray(offset, offset + ADDRESS_SIZE)
+    );
+    offset += ADDRESS_SIZE;
+    const sizeHigh = deserializeUint32(
+      bytes.subarray(offset, offset + INODE_SIZE_SIZE)
+    );
+    size += sizeHigh * 2 ** 32;
+    offset += INODE_SIZE_SIZE;
+    for (let timeIndex = 0; timeIndex < times.length; timeIndex++) {
+      times[timeIndex] = deserializeUint64(
+        bytes.subarray(offset, offset + INODE_TIME_SIZE)
+      );
+      offset += INODE_TIME_SIZE;
+    }
+    const mode = deserializeInt16(
+      bytes.subarray(offset, offset + INODE_MODE_SIZE)
+    );
+    offset += INODE_MODE_SIZE;
+    const uid = deserializeUint32(
+      bytes.subarray(offset, offset + INODE_ID_SIZE)
+    );
+    offset += INODE_ID_SIZE;
+    const gid = deserializeUint32(
+      bytes.subarray(offset, offset + INODE_ID_SIZE)
+    );
+    owner = { mode, uid, gid };
+  }
+
+  if (flags & INodeFlag.EXTENTS) {
+    const extentRoot = deserializeExtentNode(
+      bytes.subarray(INODE_ADDRESSES_OFFSET, INODE_SIZE)
+    );
+    return withExtraFields(
+      new INode(
+        ino,
+        type,
+        size,
+        refs,
+        new Array(INODE_STRAIGHT_LINKS_COUNT).fill(NAN_BLOCK_ADDRESS),
+        NAN_BLOCK_ADDRESS,
+        NAN_BLOCK_ADDRESS,
+        NAN_BLOCK_ADDRESS,
+        flags,
+        extentRoot
+      ),
+      times,
+      owner
+    );
+  }
 
   const inode = new INode(
     ino,
@@ -155,11 +468,90 @@ const deserializeInode = (bytes) => {
     refs,
     straightLinks,
     singleIndirect,
-    doubleIndirect
+    doubleIndirect,
+    tripleIndirect,
+    flags
   );
+  return withExtraFields(inode, times, owner);
+};
+
+/**
+ * Set fields that are not passed to inode constructor.
+ * Orphan inode keeps number of next orphan instead of own number,
+ * own number is known from inode location
+ *
+ * @param {INode} inode Deserialized inode
+ * @param {int[]} times Access, modification, change and birth times
+ * @param {{mode: int, uid: int, gid: int}|null} owner Mode and owner, null if inode does not keep them
+ * @returns {INode} Same inode
+ */
+const withExtraFields = (inode, times, owner) => {
+  if (inode.isOrphan()) {
+    inode.nextOrphan = inode.ino;
+  }
+  [inode.atime, inode.mtime, inode.ctime, inode.birthtime] = times;
+  if (owner) {
+    Object.assign(inode, owner);
+  }
   return inode;
 };
 
+/**
+ * Node layout: entries count (2), depth (2), then entries of 12 bytes:
+ * extent is logical block, physical block and length,
+ * index is logical block, child node address and zero
+ *
+ * @param {ExtentNode} node Extent tree node
+ * @param {int} size Size of node place, block size or inode addresses size
+ * @return {Uint8Array} Bytes reprasentation
+ */
+const serializeExtentNode = (node, size) => {
+  const buff = new Uint8Array(size);
+  buff.set(serializeInt16(node.entries.length), 0);
+  buff.set(serializeInt16(node.depth), 2);
+  node.entries.forEach((entry, index) => {
+    const offset = EXTENT_HEADER_SIZE + index * EXTENT_ENTRY_SIZE;
+    buff.set(serializeInt32(entry.logicalBlock), offset);
+    if (node.depth == 0) {
+      buff.set(serializeAddress(entry.physicalBlock), offset + 4);
+      buff.set(serializeInt32(entry.length), offset + 8);
+    } else {
+      buff.set(serializeAddress(entry.blockAddress), offset + 4);
+    }
+  });
+  return buff;
+};
+
+/**
+ * Entries that do not fit in `bytes` are ignored
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {ExtentNode} Extent tree node
+ */
+const deserializeExtentNode = (bytes) => {
+  const entryCount = Math.min(
+    deserializeInt16(bytes.subarray(0, 2)),
+    Math.floor((bytes.length - EXTENT_HEADER_SIZE) / EXTENT_ENTRY_SIZE)
+  );
+  const depth = deserializeInt16(bytes.subarray(2, 4));
+  const entries = [];
+  for (let index = 0; index < entryCount; index++) {
+    const offset = EXTENT_HEADER_SIZE + index * EXTENT_ENTRY_SIZE;
+    const logicalBlock = deserializeUint32(bytes.subarray(offset, offset + 4));
+    const address = deserializeAddress(bytes.subarray(offset + 4, offset + 8));
+    entries.push(
+      depth == 0
+        ? new Extent(
+            logicalBlock,
+            address,
+            deserializeUint32(bytes.subarray(offset + 8, offset + 12))
+          )
+        : new ExtentIndex(logicalBlock, address)
+    );
+  }
+  return new ExtentNode(depth, entries);
+};
+
 /**
  *
  * @param {FileType} type
@@ -199,6 +591,130 @@ const deserializeFileType = (bytes) => {
   }
 };
 
+/**
+ * Superblock is followed by zeros and ends with checksum of previous bytes
+ *
+ * @param {Superblock} superblock
+ * @return {Uint8Array} Bytes reprasentation
+ */
+const serializeSuperblock = (superblock) => {
+  const buff = new Uint8Array(SUPERBLOCK_SIZE);
+  buff.set(
+    [
+      ...serializeInt32(superblock.magic),
+      ...serializeInt16(superblock.version),
+      ...serializeFsState(superblock.state),
+      ...serializeInt32(superblock.blockSize),
+      ...serializeInt32(superblock.blockCount),
+      ...serializeInt32(superblock.inodeSize),
+      ...serializeInt32(superblock.inodeCount),
+      ...serializeInt32(superblock.bitmapStart),
+      ...serializeInt32(superblock.inodeTableStart),
+      ...serializeInt32(superblock.journalStart),
+      ...serializeInt32(superblock.journalBlocks),
+      ...serializeInt32(superblock.dataStart),
+      ...serializeInt32(superblock.orphanHead),
+    ],
+    0
+  );
+  const checksum = crc32(buff.subarray(0, SUPERBLOCK_SIZE - CHECKSUM_SIZE));
+  buff.set(serializeInt32(checksum), SUPERBLOCK_SIZE - CHECKSUM_SIZE);
+
+  return buff;
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation
+ * @returns {Superblock}
+ */
+const deserializeSuperblock = (bytes) => {
+  let offset = 0;
+  const readInt32 = () => {
+    offset += 4;
+    return deserializeInt32(bytes.subarray(offset - 4, offset));
+  };
+  const readInt16 = () => {
+    offset += 2;
+    return deserializeInt16(bytes.subarray(offset - 2, offset));
+  };
+
+  const magic = readInt32();
+  const version = readInt16();
+  const state = deserializeFsState(readInt16());
+  const blockSize = readInt32();
+  const blockCount = readInt32();
+  const inodeSize = readInt32();
+  const inodeCount = readInt32();
+  const bitmapStart = readInt32();
+  const inodeTableStart = readInt32();
+  const journalStart = readInt32();
+  const journalBlocks = readInt32();
+  const dataStart = readInt32();
+  const orphanHead = readInt32();
+
+  return new Superblock(
+    magic,
+    version,
+    state,
+    blockSize,
+    blockCount,
+    inodeSize,
+    inodeCount,
+    bitmapStart,
+    inodeTableStart,
+    journalStart,
+    journalBlocks,
+    dataStart,
+    orphanHead
+  );
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes Bytes reprasentation of superblock
+ * @returns {boolean} True if stored checksum matches superblock bytes
+ */
+const verifySuperblockChecksum = (bytes) => {
+  const checksum = crc32(bytes.subarray(0, SUPERBLOCK_SIZE - CHECKSUM_SIZE));
+  const storedChecksum = deserializeUint32(
+    bytes.subarray(SUPERBLOCK_SIZE - CHECKSUM_SIZE, SUPERBLOCK_SIZE)
+  );
+  return checksum == storedChecksum;
+};
+
+/**
+ *
+ * @param {FsState} state
+ * @return {Uint8Array}
+ */
+const serializeFsState = (state) => {
+  switch (state) {
+    case FsState.CLEAN:
+      return serializeInt16(1);
+    case FsState.DIRTY:
+      return serializeInt16(2);
+    default:
+      return serializeInt16(0);
+  }
+};
+
+/**
+ *
+ * @param {int} value
+ * @returns {FsState|null} Null for unknown state
+ */
+const deserializeFsState = (value) => {
+  switch (value) {
+    case 1:
+      return FsState.CLEAN;
+    case 2:
+      return FsState.DIRTY;
+    default:
+      return null;
+  }
+};
+
 /**
  *
  * @param {int} address
@@ -225,10 +741,7 @@ const deserializeAddress = (bytes) => {
 const deserializeAddresses = (bytes) => {
   const addresses = [];
   for (let offset = 0; offset < bytes.length; offset += ADDRESS_SIZE) {
-    const addressBytes = bytes.subarray(
-      offset * ADDRESS_SIZE,
-      (offset + 1) * ADDRESS_SIZE
-    );
+    const addressBytes = bytes.subarray(offset, offset + ADDRESS_SIZE);
     const address = deserializeAddress(addressBytes);
     addresses.push(address);
   }
@@ -242,7 +755,7 @@ const deserializeAddresses = (bytes) => {
  * @returns {Uint8Array} Bytes reprasentation
  */
 const serializeAddresses = (addresses) => {
-  const buff = Uint8Array(addresses.length * ADDRESS_SIZE);
+  const buff = new Uint8Array(addresses.length * ADDRESS_SIZE);
   addresses.forEach((address, index) => {
     const addressBytes = serializeAddress(address);
     buff.set(addressBytes, index * ADDRESS_SIZE);
@@ -273,6 +786,39 @@ const deserializeInt32 = (bytes) => {
   return (bytes[0] << 24) + (bytes[1] << 16) + (bytes[2] << 8) + bytes[3];
 };
 
+/**
+ *
+ * @param {Uint8Array} bytes
+ * @returns {int} Unsigned value
+ */
+const deserializeUint32 = (bytes) => {
+  return deserializeInt32(bytes) >>> 0;
+};
+
+/**
+ *
+ * @param {int} value Unsigned value less then 2^53
+ * @returns {Uint8Array} High 32 bits, then low 32 bits
+ */
+const serializeUint64 = (value) => {
+  return new Uint8Array([
+    ...serializeInt32(Math.floor(value / 2 ** 32)),
+    ...serializeInt32(value % 2 ** 32),
+  ]);
+};
+
+/**
+ *
+ * @param {Uint8Array} bytes
+ * @returns {int} Unsigned value
+ */
+const deserializeUint64 = (bytes) => {
+  return (
+    deserializeUint32(bytes.subarray(0, 4)) * 2 ** 32 +
+    deserializeUint32(bytes.subarray(4, 8))
+  );
+};
+
 /**
  *
  * @param {int} value
@@ -292,19 +838,38 @@ const deserializeInt16 = (bytes) => {
 
 export {
   // ----- Dentry -----
+  getDentrySize,
   serializeDentry,
   deserializeDentry,
   serializeDentries,
   deserializeDentries,
+  deserializeLegacyDentries,
+  // -- Directory index --
+  serializeIndexRoot,
+  deserializeIndexRoot,
+  serializeIndexNode,
+  deserializeIndexNode,
+  serializeDentryBlock,
+  deserializeDentryBlock,
   // ------ INode -----
   serializeInode,
   deserializeInode,
+  // --- Extent tree ---
+  serializeExtentNode,
+  deserializeExtentNode,
+  // --- Superblock ---
+  serializeSuperblock,
+  deserializeSuperblock,
+  verifySuperblockChecksum,
   // ---- Address -----
   serializeAddress,
   deserializeAddress,
   serializeAddresses,
   deserializeAddresses,
   // ----- Int ----
+  serializeInt16,
+  deserializeInt16,
   serializeInt32,
   deserializeInt32,
+  deserializeUint32,
 };
@@ -2,13 +2,28 @@ const BLOCK_SIZE = 128;
 const BLOCK_COUNT = 992; // (1024 / 8 - 4) * 8
 const DEVICE_SIZE = BLOCK_SIZE * BLOCK_COUNT;
 
-const MAX_SYMLINK_DEPTH = 3;
+// file system geometry
+
+const BLOCK_SIZES = [512, 1024, 4096];
+const INODE_SIZES = [64, 128, 256];
+const DEFAULT_INODE_SIZE = 128; // leaves space for extended inode fields
+const DEFAULT_BYTES_PER_INODE = 4096;
+const MIN_JOURNAL_BLOCKS = 4;
+const MAX_DEFAULT_JOURNAL_BLOCKS = 1024;
+const BLOCKS_PER_JOURNAL_BLOCK = 16;
+
+const DEFAULT_CACHE_BLOCKS = 256;
+const DEFAULT_MAX_OPEN_FILES = 1024;
+const DEFAULT_UMASK = 0o022;
+
+const MAX_SYMLINK_DEPTH = 40; // followed symlinks per path, as in Linux
+const ATIME_UPDATE_INTERVAL = 24 * 60 * 60 * 1000; // ms, as relatime in Linux
 
 // object size
 
 const ADDRESS_SIZE = 4;
 
-const DENTRY_SIZE = 64;
+const LEGACY_DENTRY_SIZE = 64; // fixed dentry slot of format 5 and older
 
 const INODE_INO_SIZE = 4;
 const INODE_TYPE_SIZE = 2;
@@ -23,24 +38,97 @@ const INODE_SIZE = // 64
   ADDRESS_SIZE * INODE_STRAIGHT_LINKS_COUNT +
   ADDRESS_SIZE +
   ADDRESS_SIZE;
+const INODE_ADDRESSES_OFFSET =
+  INODE_INO_SIZE + INODE_TYPE_SIZE + INODE_SIZE_SIZE + INODE_REFS_SIZE;
+const INODE_ADDRESSES_SIZE = INODE_SIZE - INODE_ADDRESSES_OFFSET; // or extent tree root
+const INODE_FLAGS_SIZE = 4;
+const INODE_TIME_SIZE = 8; // milliseconds since epoch
+const INODE_TIMES_COUNT = 4; // atime, mtime, ctime, birthtime
+const INODE_MODE_SIZE = 2;
+const INODE_ID_SIZE = 4; // uid or gid
+const INODE_EXTENDED_SIZE = // 118, fields after base record need bigger inode slot
+  INODE_SIZE +
+  INODE_FLAGS_SIZE +
+  ADDRESS_SIZE + // triple indirect
+  INODE_SIZE_SIZE + // high 32 bits of size
+  INODE_TIME_SIZE * INODE_TIMES_COUNT +
+  INODE_MODE_SIZE +
+  INODE_ID_SIZE * 2;
 const N_SIZE = 4;
+const DENTRY_RECORD_LENGTH_SIZE = 2;
+const DENTRY_NAME_LENGTH_SIZE = 1;
+const DENTRY_TYPE_SIZE = 1;
+const DENTRY_HEADER_SIZE = // 8, followed by file name bytes
+  N_SIZE +
+  DENTRY_RECORD_LENGTH_SIZE +
+  DENTRY_NAME_LENGTH_SIZE +
+  DENTRY_TYPE_SIZE;
+const DENTRY_ALIGN = 4; // record length is multiple of it
+const MAX_FILENAME_LENGTH = 2 ** (DENTRY_NAME_LENGTH_SIZE * 8) - 1; // bytes
+const MAX_DENTRY_SIZE = // 264
+  Math.ceil((DENTRY_HEADER_SIZE + MAX_FILENAME_LENGTH) / DENTRY_ALIGN) *
+  DENTRY_ALIGN;
+const MAX_LINK_COUNT = 2 ** (INODE_REFS_SIZE * 8) - 1;
+const DIR_INDEX_THRESHOLD = 32; // dentries, smaller directories stay linear
+const INDEX_ROOT_HEADER_SIZE = 12; // free block, depth, ranges count
+const INDEX_NODE_HEADER_SIZE = 4; // ranges count
+const INDEX_RANGE_SIZE = 8; // first hash, first block
+const DENTRY_BLOCK_HEADER_SIZE = 4; // next block
+
+const EXTENT_HEADER_SIZE = 4;
+const EXTENT_ENTRY_SIZE = 12;
 
-// ----
-const ADDRESSES_IN_BLOCK = BLOCK_SIZE / ADDRESS_SIZE;
+const SUPERBLOCK_SIZE = 64;
+const CHECKSUM_SIZE = 4;
 
 export {
-  DENTRY_SIZE,
+  LEGACY_DENTRY_SIZE,
   ADDRESS_SIZE,
   N_SIZE,
+  DENTRY_RECORD_LENGTH_SIZE,
+  DENTRY_NAME_LENGTH_SIZE,
+  DENTRY_TYPE_SIZE,
+  DENTRY_HEADER_SIZE,
+  DENTRY_ALIGN,
+  MAX_DENTRY_SIZE,
+  SUPERBLOCK_SIZE,
+  CHECKSUM_SIZE,
   BLOCK_SIZE,
   BLOCK_COUNT,
   DEVICE_SIZE,
+  BLOCK_SIZES,
+  INODE_SIZES,
+  DEFAULT_INODE_SIZE,
+  DEFAULT_BYTES_PER_INODE,
+  MIN_JOURNAL_BLOCKS,
+  MAX_DEFAULT_JOURNAL_BLOCKS,
+  BLOCKS_PER_JOURNAL_BLOCK,
+  DEFAULT_CACHE_BLOCKS,
+  DEFAULT_MAX_OPEN_FILES,
+  DEFAULT_UMASK,
   INODE_SIZE,
   INODE_INO_SIZE,
   INODE_TYPE_SIZE,
   INODE_SIZE_SIZE,
   INODE_REFS_SIZE,
   INODE_STRAIGHT_LINKS_COUNT,
-  ADDRESSES_IN_BLOCK,
+  INODE_ADDRESSES_OFFSET,
+  INODE_ADDRESSES_SIZE,
+  INODE_FLAGS_SIZE,
+  INODE_TIME_SIZE,
+  INODE_TIMES_COUNT,
+  INODE_MODE_SIZE,
+  INODE_ID_SIZE,
+  INODE_EXTENDED_SIZE,
+  EXTENT_HEADER_SIZE,
+  EXTENT_ENTRY_SIZE,
   MAX_SYMLINK_DEPTH,
+  ATIME_UPDATE_INTERVAL,
+  MAX_FILENAME_LENGTH,
+  MAX_LINK_COUNT,
+  DIR_INDEX_THRESHOLD,
+  INDEX_ROOT_HEADER_SIZE,
+  INDEX_NODE_HEADER_SIZE,
+  INDEX_RANGE_SIZE,
+  DENTRY_BLOCK_HEADER_SIZE,
 };
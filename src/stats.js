@@ -0,0 +1,76 @@
+/**
+ * @classdesc File metadata returned by `stat`, `lstat` and `fstat`
+ *
+ * @exports Stats
+ */
+class Stats {
+  /**
+   * File metadata
+   * @constructor
+   * @param {int} ino Unique inode number
+   * @param {string} type File type: "regular", "directory" or "symlink"
+   * @param {int} size File size in bytes
+   * @param {int} nlink Hard links count
+   * @param {int} blocks Count of allocated blocks, with indirect and extent tree blocks
+   * @param {int} blockSize Block size in bytes
+   * @param {int} atimeMs Last access time in milliseconds since epoch
+   * @param {int} mtimeMs Last data change time in milliseconds since epoch
+   * @param {int} ctimeMs Last inode change time in milliseconds since epoch
+   * @param {int} birthtimeMs Creation time in milliseconds since epoch
+   * @param {int} mode Permission bits with setgid and sticky bits
+   * @param {int} uid Owner user id
+   * @param {int} gid Owner group id
+   */
+  constructor(
+    ino,
+    type,
+    size,
+    nlink,
+    blocks,
+    blockSize,
+    atimeMs,
+    mtimeMs,
+    ctimeMs,
+    birthtimeMs,
+    mode,
+    uid,
+    gid
+  ) {
+    this.ino = ino;
+    this.type = type;
+    this.size = size;
+    this.nlink = nlink;
+    this.blocks = blocks;
+    this.blockSize = blockSize;
+    this.atimeMs = atimeMs;
+    this.mtimeMs = mtimeMs;
+    this.ctimeMs = ctimeMs;
+    this.birthtimeMs = birthtimeMs;
+    this.mode = mode;
+    this.uid = uid;
+    this.gid = gid;
+  }
+
+  /**
+   * @returns {boolean} File is regular
+   */
+  isFile() {
+    return this.type == "regular";
+  }
+
+  /**
+   * @returns {boolean} File is directory
+   */
+  isDirectory() {
+    return this.type == "directory";
+  }
+
+  /**
+   * @returns {boolean} File is symbolic link
+   */
+  isSymbolicLink() {
+    return this.type == "symlink";
+  }
+}
+
+export default Stats;
@@ -0,0 +1,86 @@
+/**
+ * Magic number of file system image ("SDRV")
+ */
+const SUPERBLOCK_MAGIC = 0x53445256;
+
+/**
+ * Version of on-disk format that driver writes
+ */
+const FORMAT_VERSION = 7;
+
+/**
+ * Oldest on-disk format that is upgraded on mount
+ */
+const MIN_FORMAT_VERSION = 2;
+
+/**
+ * Enum for file system state.
+ *
+ * @readonly
+ * @enum {symbol}
+ *
+ * @exports FsState
+ */
+const FsState = Object.freeze({
+  CLEAN: Symbol("clean"),
+  DIRTY: Symbol("dirty"),
+});
+
+/**
+ * @classdesc Superblock describes file system geometry and layout.
+ * It is stored in block 0 of device
+ *
+ * @exports Superblock
+ */
+class Superblock {
+  /**
+   * Superblock
+   *
+   * @constructor
+   * @param {int} magic Magic number, must be `SUPERBLOCK_MAGIC`
+   * @param {int} version On-disk format version
+   * @param {FsState} state Clean if file system was unmounted, otherwise dirty
+   * @param {int} blockSize Block size in bytes
+   * @param {int} blockCount Blocks count
+   * @param {int} inodeSize Inode size in bytes
+   * @param {int} inodeCount Max count of file descriptors
+   * @param {int} bitmapStart Address of first block of blocks bitmap
+   * @param {int} inodeTableStart Address of first block of inodes table
+   * @param {int} journalStart Address of first block of journal
+   * @param {int} journalBlocks Journal blocks count, 0 if file system has no journal
+   * @param {int} dataStart Address of first data block
+   * @param {int} [orphanHead] First inode of orphan list, 0 if list is empty
+   */
+  constructor(
+    magic,
+    version,
+    state,
+    blockSize,
+    blockCount,
+    inodeSize,
+    inodeCount,
+    bitmapStart,
+    inodeTableStart,
+    journalStart,
+    journalBlocks,
+    dataStart,
+    orphanHead = 0
+  ) {
+    this.magic = magic;
+    this.version = version;
+    this.state = state;
+    this.blockSize = blockSize;
+    this.blockCount = blockCount;
+    this.inodeSize = inodeSize;
+    this.inodeCount = inodeCount;
+    this.bitmapStart = bitmapStart;
+    this.inodeTableStart = inodeTableStart;
+    this.journalStart = journalStart;
+    this.journalBlocks = journalBlocks;
+    this.dataStart = dataStart;
+    this.orphanHead = orphanHead;
+  }
+}
+
+export default Superblock;
+export { FsState, SUPERBLOCK_MAGIC, FORMAT_VERSION, MIN_FORMAT_VERSION };
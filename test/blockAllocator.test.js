@@ -0,0 +1,108 @@
+"use strict";
+
+import BlockAllocator from "../src/blockAllocator.js";
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import { NotEnoughMemory } from "../src/exceptions.js";
+import Fsck from "../src/fsck.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+const makeAllocator = (bitmap, blockCount, groupSize) => {
+  const allocator = new BlockAllocator(blockCount, groupSize, (group) =>
+    bitmap.subarray((group * groupSize) / 8, ((group + 1) * groupSize) / 8)
+  );
+  allocator.rebuild();
+  return allocator;
+};
+
+test("summary counts free blocks of groups", () => {
+  const bitmap = new Uint8Array([0xff, 0x0f, 0xff, 0xff]);
+
+  const allocator = makeAllocator(bitmap, 30, 16);
+
+  expect(allocator.groupFreeCounts).toEqual([4, 0]);
+  expect(allocator.freeCount).toBe(4);
+});
+
+test("next-fit search continues from cursor and wraps", () => {
+  const bitmap = new Uint8Array([0x00, 0x00]);
+  const allocator = makeAllocator(bitmap, 16, 8);
+
+  expect(allocator.find(3)).toEqual([0, 1, 2]);
+  expect(allocator.find(2, 14)).toEqual([14, 15]);
+  expect(allocator.find(2)).toEqual([0, 1]);
+});
+
+test("search skips full groups and reserved blocks", () => {
+  const bitmap = new Uint8Array([0xff, 0x00]);
+  const allocator = makeAllocator(bitmap, 16, 8);
+
+  const found = allocator.find(2, 0, (blockAddress) => blockAddress == 8);
+
+  expect(found).toEqual([9, 10]);
+});
+
+test("search returns less blocks when there are not enough", () => {
+  const bitmap = new Uint8Array([0xfe, 0xff]);
+  const allocator = makeAllocator(bitmap, 16, 8);
+
+  expect(allocator.find(2)).toEqual([0]);
+});
+
+test("growing file gets contiguous blocks", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.create("/file");
+  const file = driver.open("/file");
+  driver.truncate("/file", BLOCK_SIZE * 10);
+
+  driver.pwrite(file, 0, new Uint8Array(BLOCK_SIZE * 4).fill(1));
+  driver.pwrite(file, BLOCK_SIZE * 4, new Uint8Array(BLOCK_SIZE * 6).fill(2));
+
+  const straightLinks = driver.lookUp("/file").straightLinks.slice(0, 10);
+  expect(straightLinks).toEqual(
+    straightLinks.map((_, index) => straightLinks[0] + index)
+  );
+});
+
+test("summary is rebuilt at mount", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.create("/file");
+  driver.truncate("/file", BLOCK_SIZE * 10);
+  driver.pwrite(driver.open("/file"), 0, new Uint8Array(BLOCK_SIZE * 10));
+  driver.unmount();
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+
+  expect(mountedDriver.allocator.freeCount).toBe(driver.allocator.freeCount);
+  expect(mountedDriver.allocator.groupFreeCounts).toEqual(
+    driver.allocator.groupFreeCounts
+  );
+});
+
+test("write to full device", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.create("/file");
+  const file = driver.open("/file");
+  const size = BLOCK_SIZE * BLOCK_COUNT;
+  driver.truncate("/file", size);
+  const freeCount = driver.allocator.freeCount;
+
+  const w = () => driver.pwrite(file, 0, new Uint8Array(size).fill(1));
+
+  expect(w).toThrow(NotEnoughMemory);
+  expect(driver.allocator.freeCount).toBe(freeCount);
+  driver.sync();
+  expect(new Fsck(device).check()).toEqual([]);
+
+  driver.pwrite(file, 0, new Uint8Array(BLOCK_SIZE * 10).fill(1));
+  expect(driver.pread(file, 0, BLOCK_SIZE * 10)).toEqual(
+    new Uint8Array(BLOCK_SIZE * 10).fill(1)
+  );
+});
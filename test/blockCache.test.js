@@ -0,0 +1,105 @@
+"use strict";
+
+import BlockCache from "../src/blockCache.js";
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import { InvalidArgument } from "../src/exceptions.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+const filledBlock = (value) => new Uint8Array(BLOCK_SIZE).fill(value);
+
+test("written block is kept in cache until flush", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const cache = new BlockCache(device, 4);
+
+  cache.writeBlock(1, filledBlock(1));
+
+  expect(cache.readBlock(1)).toEqual(filledBlock(1));
+  expect(device.readBlock(1)).toEqual(filledBlock(0));
+  expect(cache.getDirtyCount()).toBe(1);
+
+  cache.flush();
+
+  expect(device.readBlock(1)).toEqual(filledBlock(1));
+  expect(cache.getDirtyCount()).toBe(0);
+});
+
+test("least recently used block is evicted and written back", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const cache = new BlockCache(device, 2);
+
+  cache.writeBlock(1, filledBlock(1));
+  cache.writeBlock(2, filledBlock(2));
+  cache.readBlock(1);
+  cache.writeBlock(3, filledBlock(3));
+
+  expect(device.readBlock(1)).toEqual(filledBlock(0));
+  expect(device.readBlock(2)).toEqual(filledBlock(2));
+  expect(device.readBlock(3)).toEqual(filledBlock(0));
+  expect(cache.entries.size).toBe(2);
+});
+
+test("repeated reads hit cache", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const cache = new BlockCache(device, 2);
+
+  cache.readBlock(1);
+  cache.readBlock(1);
+  cache.readBlock(2);
+
+  expect(cache.misses).toBe(2);
+  expect(cache.hits).toBe(1);
+});
+
+test("cache with zero capacity writes through", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const cache = new BlockCache(device, 0);
+
+  cache.writeBlock(1, filledBlock(1));
+
+  expect(device.readBlock(1)).toEqual(filledBlock(1));
+  expect(cache.entries.size).toBe(0);
+});
+
+test("repeated path lookups do not read device", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.mkdir("/dir");
+  driver.mkdir("/dir/sub");
+  driver.lookUp("/dir/sub");
+  const misses = driver.cache.misses;
+
+  driver.lookUp("/dir/sub");
+
+  expect(driver.cache.misses).toBe(misses);
+});
+
+test("changes reach device on sync", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.create("/file");
+  driver.truncate("/file", 10);
+  const file = driver.open("/file");
+  driver.pwrite(file, 0, new Uint8Array(10).fill(7));
+  const image = device.memory.slice();
+
+  driver.fsync(file);
+
+  expect(device.memory).not.toEqual(image);
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+  const mountedFile = mountedDriver.open("/file");
+  expect(mountedDriver.pread(mountedFile, 0, 10)).toEqual(
+    new Uint8Array(10).fill(7)
+  );
+});
+
+test("fsync of not opened file", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+
+  expect(() => driver.fsync("unknown")).toThrow(InvalidArgument);
+});
@@ -1,17 +1,45 @@
 "use strict";
 
-import { NAN_BLOCK_ADDRESS } from "../src/constants.js";
+import { NAN_BLOCK_ADDRESS, ZERO_BLOCK_ADDRESS } from "../src/constants.js";
+import Credentials from "../src/credentials.js";
 import Dentry from "../src/dentry.js";
 import Device from "../src/device.js";
 import Driver from "../src/driver.js";
-import { FileAlreadyExist, InvalidPath } from "../src/exceptions.js";
-import { FileType } from "../src/inode.js";
+import Fsck from "../src/fsck.js";
+import { FallocateMode, OpenFlag, SeekWhence } from "../src/openFile.js";
+import {
+  DirectoryNotEmpty,
+  FileAlreadyExist,
+  FileNotFound,
+  FileTooLarge,
+  InvalidArgument,
+  InvalidImage,
+  InvalidPath,
+  NameTooLong,
+  NoDataFound,
+  NotDirectory,
+  NotEnoughMemory,
+  PermissionDenied,
+  SymlinkLoop,
+} from "../src/exceptions.js";
+import { FileMode, FileType, INodeFlag } from "../src/inode.js";
+import { FsState, FORMAT_VERSION } from "../src/superblock.js";
+import {
+  getDentrySize,
+  deserializeSuperblock,
+  serializeInt32,
+  serializeSuperblock,
+} from "../src/serializer.js";
 import {
   BLOCK_SIZE,
   BLOCK_COUNT,
   INODE_STRAIGHT_LINKS_COUNT,
-  DENTRY_SIZE,
+  LEGACY_DENTRY_SIZE,
   MAX_SYMLINK_DEPTH,
+  MAX_FILENAME_LENGTH,
+  MAX_LINK_COUNT,
+  DIR_INDEX_THRESHOLD,
+  ATIME_UPDATE_INTERVAL,
 } from "../src/settings.js";
 
 const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
@@ -22,13 +50,13 @@ test("after mkfs must be created root", () => {
 
   driver.mkfs(n);
 
-  const _n = driver._getN();
+  const _n = driver.superblock.inodeCount;
   const root = driver.getDescriptor(0);
   expect(_n).toBe(n);
   expect(root.ino).toBe(0);
   expect(root.type).toBe(FileType.DIRECTORY);
   expect(root.refs).toBe(2);
-  expect(root.size).toBe(DENTRY_SIZE * 2);
+  expect(root.size).toBe(getDentrySize(".") + getDentrySize(".."));
   expect(root.straightLinks).toEqual(
     expect.arrayContaining(new Array(INODE_STRAIGHT_LINKS_COUNT).fill(0))
   );
@@ -81,10 +109,10 @@ test("make link", () => {
 
   const dentries = driver.readDirectory("/");
   const expectedDentries = [
-    new Dentry(".", 0),
-    new Dentry("..", 0),
-    new Dentry(filename, 1),
-    new Dentry(linkedFilename, 1),
+    new Dentry(".", 0, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+    new Dentry(filename, 1, FileType.REGULAR),
+    new Dentry(linkedFilename, 1, FileType.REGULAR),
   ];
   const inode = driver.getDescriptor(1);
   expect(dentries).toEqual(expectedDentries);
@@ -105,9 +133,9 @@ test("make unlink", () => {
 
   const dentries = driver.readDirectory("/");
   const expectedDentries = [
-    new Dentry(".", 0),
-    new Dentry("..", 0),
-    new Dentry(filename, 1),
+    new Dentry(".", 0, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+    new Dentry(filename, 1, FileType.REGULAR),
   ];
   const inode = driver.getDescriptor(1);
   expect(dentries).toEqual(expectedDentries);
@@ -130,11 +158,13 @@ test("multiple link", () => {
 
   const dentries = driver.readDirectory("/");
   const expectedDentries = [];
-  expectedDentries.push(new Dentry(".", 0));
-  expectedDentries.push(new Dentry("..", 0));
-  expectedDentries.push(new Dentry(filename, 1));
+  expectedDentries.push(new Dentry(".", 0, FileType.DIRECTORY));
+  expectedDentries.push(new Dentry("..", 0, FileType.DIRECTORY));
+  expectedDentries.push(new Dentry(filename, 1, FileType.REGULAR));
   for (let linkIndex = 0; linkIndex < linkCount; linkIndex++) {
-    expectedDentries.push(new Dentry(`${linkedFilename}${linkIndex}`, 1));
+    expectedDentries.push(
+      new Dentry(`${linkedFilename}${linkIndex}`, 1, FileType.REGULAR)
+    );
   }
 
   const inode = driver.getDescriptor(1);
@@ -152,8 +182,8 @@ test("simple write to file", () => {
 
   driver.truncate(filePath, 100);
   const file = driver.open(filePath);
-  driver.write(file, 10, testData);
-  const data = driver.read(file, 0, 50);
+  driver.pwrite(file, 10, testData);
+  const data = driver.pread(file, 0, 50);
 
   const buff = new Uint8Array(50);
   buff.set(testData, 10);
@@ -169,10 +199,10 @@ test("decrease size of file and after increase must set erase bytes to zero", ()
   driver.create(filePath);
   driver.truncate(filePath, 20);
   const file = driver.open(filePath);
-  driver.write(file, 10, testData);
+  driver.pwrite(file, 10, testData);
   driver.truncate(filePath, 15);
   driver.truncate(filePath, 30);
-  const data = driver.read(file, 0, 30);
+  const data = driver.pread(file, 0, 30);
 
   const buff = new Uint8Array(30);
   buff.set(testData.slice(0, 5), 10);
@@ -189,9 +219,9 @@ test("mkdir", () => {
 
   const dentries = driver.readDirectory(`/${dirName1}`);
   const expectedDentries = [
-    new Dentry(".", 1),
-    new Dentry("..", 0),
-    new Dentry("dir2", 2),
+    new Dentry(".", 1, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+    new Dentry("dir2", 2, FileType.DIRECTORY),
   ];
   expect(dentries).toEqual(expectedDentries);
 });
@@ -206,7 +236,10 @@ test("rmdir", () => {
   driver.rmdir(`/${dirName1}/${dirName2}`);
 
   const dentries = driver.readDirectory(`/${dirName1}`);
-  const expectedDentries = [new Dentry(".", 1), new Dentry("..", 0)];
+  const expectedDentries = [
+    new Dentry(".", 1, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+  ];
   expect(dentries).toEqual(expectedDentries);
 });
 
@@ -224,9 +257,9 @@ test("symlink", () => {
     `${dirName1}/${dirName2}/${symlink}/${dirName1}/${dirName2}`
   );
   const expectedDentries = [
-    new Dentry(".", 2),
-    new Dentry("..", 1),
-    new Dentry(symlink, 3),
+    new Dentry(".", 2, FileType.DIRECTORY),
+    new Dentry("..", 1, FileType.DIRECTORY),
+    new Dentry(symlink, 3, FileType.SYMLINK),
   ];
   expect(dentries).toEqual(expectedDentries);
 });
@@ -241,14 +274,82 @@ test("lookup file not found", () => {
 test("symlink max depth overlapce", () => {
   const n = 10;
   const symlink = "symlink";
+  const driver = new Driver(device, { maxSymlinkDepth: 3 });
   driver.mkfs(n);
   driver.symlink(`/${symlink}`, ".");
-  const l = () =>
-    driver.lookUp(
-      `/${symlink}/${symlink}/${symlink}/${symlink}/${symlink}/${symlink}`
-    );
-  console.log("TEST");
-  expect(l).toThrow("Symlink max depth overlapce");
+  driver.symlink("/loop1", "loop2");
+  driver.symlink("/loop2", "/loop1");
+  const path = `/${symlink}/${symlink}/${symlink}/${symlink}`;
+
+  expect(driver.lookUp(path).type).toBe(FileType.SYMLINK);
+  expect(() => driver.lookUp(path, true)).toThrow(SymlinkLoop);
+  expect(() => driver.lookUp("/loop1/file")).toThrow(SymlinkLoop);
+});
+
+test("path walker handles slashes, dots and absolute symlinks", () => {
+  driver.mkfs(20);
+  driver.mkdir("/a/b/c", { recursive: true });
+  driver.create("/a/b/file");
+  driver.symlink("/a/b/c/abs", "/a/b");
+  driver.symlink("/a/b/c/rel", "../file");
+  const b = driver.lookUp("/a/b").ino;
+
+  expect(driver.lookUp("//a///b/").ino).toBe(b);
+  expect(driver.lookUp("/a/./b/c/..").ino).toBe(b);
+  expect(driver.lookUp("/../a/b").ino).toBe(b);
+  expect(driver.lookUp("/a/b/c/abs/c").ino).toBe(driver.lookUp("/a/b/c").ino);
+  expect(driver.lookUp("/a/b/c/abs/").ino).toBe(b);
+  expect(() => driver.lookUp("/a/b/file/")).toThrow(InvalidPath);
+  expect(() => driver.lookUp("")).toThrow(InvalidPath);
+
+  driver.cd("/a/b/c/abs");
+  expect(driver.lookUp("file").ino).toBe(driver.lookUp("/a/b/file").ino);
+  driver.create("new");
+  expect(driver.readDirectory("/a/b").map((d) => d.fileName)).toContain("new");
+  expect(driver.pwd()).toBe("/a/b");
+  driver.cd("/");
+});
+
+test("new file path must have name and slash only for directory", () => {
+  driver.mkfs(20);
+  driver.create("/file");
+  driver.mkdir("/dir/");
+  const rootEntries = driver.readDirectory("/").length;
+
+  expect(() => driver.mkdir("/")).toThrow(FileAlreadyExist);
+  expect(() => driver.mkdir("//")).toThrow(FileAlreadyExist);
+  expect(() => driver.mkdir("")).toThrow(FileNotFound);
+  expect(() => driver.mkdir("", { recursive: true })).toThrow(FileNotFound);
+  expect(() => driver.create("/")).toThrow(FileAlreadyExist);
+  expect(() => driver.create("")).toThrow(FileNotFound);
+  expect(() => driver.create("/a/")).toThrow(NotDirectory);
+  expect(() => driver.create("/file/")).toThrow(NotDirectory);
+  expect(() => driver.open("/a/", OpenFlag.O_CREAT)).toThrow(NotDirectory);
+  expect(() => driver.symlink("/link/", "/file")).toThrow(NotDirectory);
+  expect(() => driver.link("/file", "/hard/")).toThrow(NotDirectory);
+  expect(() => driver.rename("/file", "/moved/")).toThrow(NotDirectory);
+  expect(() => driver.cp("/file", "/copy/")).toThrow(NotDirectory);
+  expect(driver.readDirectory("/").length).toBe(rootEntries);
+
+  driver.rename("/dir", "/moved/");
+  driver.cp("/moved", "/copy/", { recursive: true });
+  expect(driver.lookUp("/copy").type).toBe(FileType.DIRECTORY);
+});
+
+test("readlink and realpath", () => {
+  driver.mkfs(20);
+  driver.mkdir("/a/b", { recursive: true });
+  driver.create("/a/file");
+  driver.symlink("/a/b/link", "../file");
+  driver.symlink("/dir", "a/b/");
+
+  expect(driver.readlink("/a/b/link")).toBe("../file");
+  expect(() => driver.readlink("/a/file")).toThrow(InvalidArgument);
+  expect(driver.realpath("/a/b/link")).toBe("/a/file");
+  expect(driver.realpath("/dir/../.")).toBe("/a");
+  expect(driver.realpath("//dir//link")).toBe("/a/file");
+  expect(driver.realpath("/")).toBe("/");
+  expect(() => driver.realpath("/dir/missing")).toThrow(InvalidPath);
 });
 
 test("create file in not existen directory", () => {
@@ -299,3 +400,1464 @@ test("make dir that already exist", () => {
 
   expect(l).toThrow(FileAlreadyExist);
 });
+
+test("mount file system after mkfs", () => {
+  const n = 10;
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(n);
+  driver.create("/file");
+  driver.unmount();
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+
+  expect(mountedDriver.wasClean).toBe(true);
+  expect(mountedDriver.superblock.inodeCount).toBe(n);
+  expect(mountedDriver.superblock.state).toBe(FsState.DIRTY);
+  expect(mountedDriver.readDirectory("/")[2]).toEqual(
+    new Dentry("file", 1, FileType.REGULAR)
+  );
+});
+
+test("mount not unmounted file system", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  new Driver(device).mkfs(10);
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+
+  expect(mountedDriver.wasClean).toBe(false);
+});
+
+test("mount device without file system", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const m = () => new Driver(device).mount();
+  expect(m).toThrow(InvalidImage);
+});
+
+test("mount image with corrupted superblock", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  driver.unmount();
+  const block = device.readBlock(0);
+  block[12] ^= 0xff;
+  device.writeBlock(0, block);
+
+  const m = () => new Driver(device).mount();
+  expect(m).toThrow("Superblock checksum mismatch");
+});
+
+test("mount image with other geometry", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  new Driver(device).mkfs(10);
+  const smallDevice = new Device(BLOCK_SIZE, BLOCK_COUNT / 2);
+  smallDevice.writeBlock(0, device.readBlock(0));
+
+  const m = () => new Driver(smallDevice).mount();
+  expect(m).toThrow(InvalidImage);
+});
+
+test("mkfs with geometry options", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  const blockSize = 512;
+  const bytesPerInode = 2048;
+
+  driver.mkfs({ blockSize, bytesPerInode });
+  driver.unmount();
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+
+  const superblock = mountedDriver.superblock;
+  expect(superblock.blockSize).toBe(blockSize);
+  expect(superblock.blockCount).toBe((BLOCK_SIZE * BLOCK_COUNT) / blockSize);
+  expect(superblock.inodeCount).toBe(
+    Math.floor((BLOCK_SIZE * BLOCK_COUNT) / bytesPerInode)
+  );
+  expect(mountedDriver.addressesInBlock).toBe(blockSize / 4);
+  expect(mountedDriver.readDirectory("/")).toEqual([
+    new Dentry(".", 0, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+  ]);
+});
+
+test("mkfs with unsupported geometry", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+
+  expect(() => driver.mkfs({ blockSize: 2048 })).toThrow(InvalidArgument);
+  expect(() => driver.mkfs({ inodeSize: 100 })).toThrow(InvalidArgument);
+  expect(() => driver.mkfs({ inodeCount: 0 })).toThrow(InvalidArgument);
+  expect(() => driver.mkfs({ inodeCount: BLOCK_COUNT * 2 })).toThrow(
+    InvalidArgument
+  );
+});
+
+test("write file through double indirect blocks", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs({ blockSize: 512, inodeCount: 16 });
+  const blockCount = INODE_STRAIGHT_LINKS_COUNT + driver.addressesInBlock + 20;
+  const size = blockCount * 512 - 100;
+  const testData = new Uint8Array(size).map((_, index) => index % 251);
+  const freeCount = driver.allocator.freeCount;
+
+  driver.create("/file");
+  driver.truncate("/file", size);
+  const file = driver.open("/file");
+  driver.pwrite(file, 0, testData);
+  expect(driver.pread(file, 0, size)).toEqual(testData);
+
+  driver.truncate("/file", 5 * 512 + 10);
+  expect(driver.pread(file, 0, 5 * 512 + 10)).toEqual(
+    testData.slice(0, 5 * 512 + 10)
+  );
+
+  driver.truncate("/file", 0);
+  expect(driver.allocator.freeCount).toBe(freeCount);
+});
+
+test("write file through triple indirect blocks", () => {
+  const device = new Device(512, 256);
+  const driver = new Driver(device);
+  driver.mkfs({ blockSize: 512, inodeCount: 16 });
+  const addressesInBlock = driver.addressesInBlock;
+  const tripleStart =
+    INODE_STRAIGHT_LINKS_COUNT + addressesInBlock + addressesInBlock ** 2;
+  const offset = (tripleStart + addressesInBlock + 3) * 512 - 7;
+  const testData = new Uint8Array(1000).map((_, index) => index % 251);
+  const freeCount = driver.allocator.freeCount;
+
+  driver.create("/file");
+  driver.truncate("/file", offset + testData.length);
+  const file = driver.open("/file");
+  driver.pwrite(file, offset, testData);
+  expect(file.tripleIndirect).not.toBe(NAN_BLOCK_ADDRESS);
+  expect(driver.pread(file, offset, testData.length)).toEqual(testData);
+  expect(driver.pread(file, 0, 10)).toEqual(new Uint8Array(10));
+  driver.sync();
+  expect(new Fsck(device).check()).toEqual([]);
+
+  driver.truncate("/file", 0);
+  expect(driver.allocator.freeCount).toBe(freeCount);
+});
+
+test("file size is limited by inode format", () => {
+  const device = new Device(512, 256);
+  const driver = new Driver(device);
+  driver.mkfs({ blockSize: 512, inodeCount: 16, inodeSize: 64 });
+  const addressesInBlock = driver.addressesInBlock;
+  const maxBlocks =
+    INODE_STRAIGHT_LINKS_COUNT + addressesInBlock + addressesInBlock ** 2;
+
+  driver.create("/file");
+  driver.truncate("/file", maxBlocks * 512);
+  expect(() => driver.truncate("/file", maxBlocks * 512 + 1)).toThrow(
+    FileTooLarge
+  );
+  const file = driver.open("/file");
+  driver.pwrite(file, maxBlocks * 512 - 1, new Uint8Array([1]));
+  expect(driver.pread(file, maxBlocks * 512 - 1, 1)).toEqual(
+    new Uint8Array([1])
+  );
+});
+
+test("file size may exceed 4 GiB", () => {
+  const device = new Device(4096, 256);
+  const driver = new Driver(device);
+  driver.mkfs({ blockSize: 4096, inodeCount: 16 });
+  const size = 5 * 2 ** 30;
+  const testData = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+  driver.create("/file");
+  driver.truncate("/file", size + testData.length);
+  driver.pwrite(driver.open("/file"), size, testData);
+  driver.unmount();
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+  const file = mountedDriver.open("/file");
+  expect(mountedDriver.lookUp("/file").size).toBe(size + testData.length);
+  expect(mountedDriver.pread(file, size, testData.length)).toEqual(testData);
+});
+
+test("read and write move descriptor position", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+  const other = driver.open("/file");
+
+  expect(driver.write(file, new Uint8Array([1, 2, 3]))).toBe(3);
+  expect(driver.write(file, new Uint8Array([4, 5]))).toBe(2);
+  expect(driver.tell(file)).toBe(5);
+  expect(driver.lookUp("/file").size).toBe(5);
+
+  expect(driver.tell(other)).toBe(0);
+  expect(driver.read(other, 2)).toEqual(new Uint8Array([1, 2]));
+  expect(driver.read(other, 10)).toEqual(new Uint8Array([3, 4, 5]));
+  expect(driver.read(other, 10)).toEqual(new Uint8Array(0));
+  expect(driver.tell(other)).toBe(5);
+
+  expect(driver.pread(other, 1, 2)).toEqual(new Uint8Array([2, 3]));
+  driver.pwrite(other, 0, new Uint8Array([9]));
+  expect(driver.tell(other)).toBe(5);
+  expect(driver.pread(file, 0, 1)).toEqual(new Uint8Array([9]));
+});
+
+test("lseek sets position relative to whence", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+  driver.write(file, new Uint8Array(10).fill(1));
+
+  expect(driver.lseek(file, 3)).toBe(3);
+  expect(driver.lseek(file, 2, SeekWhence.SEEK_CUR)).toBe(5);
+  expect(driver.lseek(file, -4, SeekWhence.SEEK_END)).toBe(6);
+  expect(driver.read(file, 10)).toEqual(new Uint8Array(4).fill(1));
+  expect(() => driver.lseek(file, -11, SeekWhence.SEEK_END)).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.lseek(file, 0, 5)).toThrow(InvalidArgument);
+  expect(driver.tell(file)).toBe(10);
+  expect(() => driver.lseek("unknown", 0)).toThrow(InvalidArgument);
+});
+
+describe("sparse files", () => {
+  test.each([false, true])("holes are not allocated, extents %s", (extents) => {
+    driver.mkfs(10);
+    driver.create("/file", { extents });
+    const file = driver.open("/file");
+    driver.pwrite(file, BLOCK_SIZE * 5, new Uint8Array(3).fill(7));
+    driver.truncate("/file", BLOCK_SIZE * 8);
+
+    expect(driver.stat("/file").blocks).toBe(1);
+    expect(driver.pread(file, 0, BLOCK_SIZE * 5)).toEqual(
+      new Uint8Array(BLOCK_SIZE * 5)
+    );
+    expect(driver.stat("/file").blocks).toBe(1);
+
+    expect(driver.lseek(file, 0, SeekWhence.SEEK_DATA)).toBe(BLOCK_SIZE * 5);
+    expect(driver.tell(file)).toBe(BLOCK_SIZE * 5);
+    expect(driver.lseek(file, 0, SeekWhence.SEEK_HOLE)).toBe(0);
+    expect(driver.lseek(file, BLOCK_SIZE * 5 + 1, SeekWhence.SEEK_DATA)).toBe(
+      BLOCK_SIZE * 5 + 1
+    );
+    expect(driver.lseek(file, BLOCK_SIZE * 5 + 1, SeekWhence.SEEK_HOLE)).toBe(
+      BLOCK_SIZE * 6
+    );
+    expect(() =>
+      driver.lseek(file, BLOCK_SIZE * 6, SeekWhence.SEEK_DATA)
+    ).toThrow(NoDataFound);
+    expect(() =>
+      driver.lseek(file, BLOCK_SIZE * 8, SeekWhence.SEEK_HOLE)
+    ).toThrow(NoDataFound);
+    expect(() => driver.lseek(file, -1, SeekWhence.SEEK_DATA)).toThrow(
+      InvalidArgument
+    );
+    expect(driver.tell(file)).toBe(BLOCK_SIZE * 6);
+  });
+
+  test("end of file is hole", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    driver.write(file, new Uint8Array(BLOCK_SIZE + 10).fill(1));
+
+    expect(driver.lseek(file, 0, SeekWhence.SEEK_HOLE)).toBe(BLOCK_SIZE + 10);
+    expect(driver.lseek(file, 3, SeekWhence.SEEK_DATA)).toBe(3);
+  });
+
+  test("copy keeps holes", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    driver.pwrite(file, BLOCK_SIZE * 3 + 1, new Uint8Array(BLOCK_SIZE).fill(5));
+    driver.truncate("/file", BLOCK_SIZE * 7);
+
+    driver.cp("/file", "/copy");
+
+    expect(driver.stat("/copy")).toMatchObject({
+      size: BLOCK_SIZE * 7,
+      blocks: 2,
+    });
+    const copy = driver.open("/copy");
+    expect(driver.pread(copy, 0, BLOCK_SIZE * 7)).toEqual(
+      driver.pread(file, 0, BLOCK_SIZE * 7)
+    );
+  });
+});
+
+describe("fallocate", () => {
+  const fill = (blockCount, value) =>
+    new Uint8Array(BLOCK_SIZE * blockCount).fill(value);
+
+  test("allocated blocks are written when device is full", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+
+    driver.fallocate(file, BLOCK_SIZE * 2 + 1, BLOCK_SIZE * 2);
+
+    expect(driver.stat("/file")).toMatchObject({
+      size: BLOCK_SIZE * 4 + 1,
+      blocks: 3,
+    });
+    expect(driver.pread(file, 0, BLOCK_SIZE * 4 + 1)).toEqual(
+      new Uint8Array(BLOCK_SIZE * 4 + 1)
+    );
+
+    driver.create("/filler");
+    const filler = driver.open("/filler");
+    expect(() => {
+      for (;;) driver.write(filler, fill(1, 1));
+    }).toThrow(NotEnoughMemory);
+    driver.pwrite(file, BLOCK_SIZE * 2, fill(3, 2));
+    expect(driver.pread(file, BLOCK_SIZE * 2, BLOCK_SIZE * 2 + 1)).toEqual(
+      new Uint8Array(BLOCK_SIZE * 2 + 1).fill(2)
+    );
+    expect(() => driver.pwrite(file, 0, fill(1, 2))).toThrow(NotEnoughMemory);
+  });
+
+  test("punch hole frees straight and indirect blocks", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    const blockCount = INODE_STRAIGHT_LINKS_COUNT + 32 + 40;
+    driver.write(file, fill(blockCount, 1));
+    // data, single indirect, double indirect with two nested blocks
+    expect(driver.stat("/file").blocks).toBe(blockCount + 1 + 1 + 2);
+
+    const offset = BLOCK_SIZE * 5 + 10;
+    const end = BLOCK_SIZE * 60 + 20;
+    driver.fallocate(file, offset, end - offset, FallocateMode.PUNCH_HOLE);
+
+    const data = fill(blockCount, 1).fill(0, offset, end);
+    expect(driver.pread(file, 0, BLOCK_SIZE * blockCount)).toEqual(data);
+    // blocks 6..59 are freed with single indirect block
+    expect(driver.stat("/file")).toMatchObject({
+      size: BLOCK_SIZE * blockCount,
+      blocks: blockCount - 54 + 1 + 2,
+    });
+    expect(driver.lookUp("/file").singleIndirect).toBe(NAN_BLOCK_ADDRESS);
+    expect(driver.lseek(file, 0, SeekWhence.SEEK_HOLE)).toBe(BLOCK_SIZE * 6);
+
+    driver.pwrite(file, BLOCK_SIZE * 20, fill(1, 3));
+    expect(driver.pread(file, BLOCK_SIZE * 20, BLOCK_SIZE)).toEqual(fill(1, 3));
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("punch hole skips zero block addresses of indirect block", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    const blockCount = INODE_STRAIGHT_LINKS_COUNT + 4;
+    driver.write(file, fill(blockCount, 1));
+    const freeCount = driver.allocator.freeCount;
+    // fsck repair marks bad block of indirect block as zero block
+    const inode = driver.lookUp("/file");
+    driver._transaction(() => {
+      const addresses = driver._readAddresses(inode.singleIndirect);
+      driver._setBlockFree(addresses[1]);
+      addresses[1] = ZERO_BLOCK_ADDRESS;
+      driver._writeAddresses(inode.singleIndirect, addresses);
+    });
+    const freedBlocks = [];
+    const setBlockFree = driver._setBlockFree.bind(driver);
+    driver._setBlockFree = (blockAddress) => {
+      freedBlocks.push(blockAddress);
+      setBlockFree(blockAddress);
+    };
+
+    driver.fallocate(
+      file,
+      BLOCK_SIZE * INODE_STRAIGHT_LINKS_COUNT,
+      BLOCK_SIZE * 4,
+      FallocateMode.PUNCH_HOLE
+    );
+    delete driver._setBlockFree;
+
+    expect(freedBlocks).toHaveLength(4);
+    expect(freedBlocks.every((blockAddress) => blockAddress > 0)).toBe(true);
+    expect(driver.lookUp("/file").singleIndirect).toBe(NAN_BLOCK_ADDRESS);
+    expect(driver.allocator.freeCount).toBe(freeCount + 5);
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("punch hole till file end frees last block", () => {
+    driver.mkfs(10);
+    driver.create("/file", { extents: true });
+    const file = driver.open("/file");
+    driver.write(file, new Uint8Array(BLOCK_SIZE * 3 + 5).fill(1));
+
+    driver.fallocate(
+      file,
+      BLOCK_SIZE,
+      BLOCK_SIZE * 10,
+      FallocateMode.PUNCH_HOLE
+    );
+
+    expect(driver.stat("/file")).toMatchObject({
+      size: BLOCK_SIZE * 3 + 5,
+      blocks: 1,
+    });
+    expect(driver.pread(file, 0, BLOCK_SIZE * 3 + 5)).toEqual(
+      new Uint8Array(BLOCK_SIZE * 3 + 5).fill(1, 0, BLOCK_SIZE)
+    );
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("zero range keeps blocks allocated", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    driver.write(file, fill(2, 1));
+
+    driver.fallocate(file, 10, BLOCK_SIZE * 3, FallocateMode.ZERO_RANGE);
+
+    expect(driver.stat("/file")).toMatchObject({
+      size: BLOCK_SIZE * 3 + 10,
+      blocks: 4,
+    });
+    expect(driver.pread(file, 0, BLOCK_SIZE * 3 + 10)).toEqual(
+      new Uint8Array(BLOCK_SIZE * 3 + 10).fill(1, 0, 10)
+    );
+  });
+
+  test("fallocate checks arguments", () => {
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    const reader = driver.open("/file", OpenFlag.O_RDONLY);
+
+    expect(() => driver.fallocate(file, -1, 10)).toThrow(InvalidArgument);
+    expect(() => driver.fallocate(file, 0, 0)).toThrow(InvalidArgument);
+    expect(() => driver.fallocate(file, 0, 10, 7)).toThrow(InvalidArgument);
+    expect(() => driver.fallocate(reader, 0, 10)).toThrow(InvalidArgument);
+    expect(() =>
+      driver.fallocate(file, Number.MAX_SAFE_INTEGER - 1, 2)
+    ).toThrow(FileTooLarge);
+    driver.fallocate(file, 0, 10, FallocateMode.PUNCH_HOLE);
+    expect(driver.stat("/file")).toMatchObject({ size: 0, blocks: 0 });
+  });
+});
+
+test("write past end of file grows file with zeros", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+
+  driver.lseek(file, BLOCK_SIZE * 3 + 5);
+  driver.write(file, new Uint8Array([7]));
+  expect(driver.lookUp("/file").size).toBe(BLOCK_SIZE * 3 + 6);
+  const expected = new Uint8Array(BLOCK_SIZE * 3 + 6);
+  expected[BLOCK_SIZE * 3 + 5] = 7;
+  expect(driver.pread(file, 0, expected.length)).toEqual(expected);
+
+  driver.pwrite(file, BLOCK_SIZE * 4, new Uint8Array([8]));
+  expect(driver.lookUp("/file").size).toBe(BLOCK_SIZE * 4 + 1);
+});
+
+test("append mode writes to end of file", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+  const appender = driver.open("/file", OpenFlag.O_WRONLY | OpenFlag.O_APPEND);
+
+  driver.write(appender, new Uint8Array([1, 2]));
+  driver.write(file, new Uint8Array([3, 4, 5]));
+  driver.lseek(appender, 0);
+  driver.write(appender, new Uint8Array([6]));
+
+  expect(driver.tell(appender)).toBe(4);
+  expect(driver.pread(file, 0, 4)).toEqual(new Uint8Array([3, 4, 5, 6]));
+});
+
+test("open creates file with O_CREAT", () => {
+  driver.mkfs(10);
+  const file = driver.open("/file", OpenFlag.O_RDWR | OpenFlag.O_CREAT);
+  driver.write(file, new Uint8Array([1, 2, 3]));
+  expect(driver.readDirectory("/").map((dentry) => dentry.fileName)).toContain(
+    "file"
+  );
+
+  const again = driver.open("/file", OpenFlag.O_RDONLY | OpenFlag.O_CREAT);
+  expect(driver.read(again, 3)).toEqual(new Uint8Array([1, 2, 3]));
+  expect(() =>
+    driver.open("/file", OpenFlag.O_CREAT | OpenFlag.O_EXCL)
+  ).toThrow(FileAlreadyExist);
+  expect(() => driver.open("/other", OpenFlag.O_RDONLY)).toThrow(InvalidPath);
+  expect(() =>
+    driver.open("/missing/file", OpenFlag.O_RDWR | OpenFlag.O_CREAT)
+  ).toThrow(InvalidPath);
+});
+
+test("open truncates file with O_TRUNC", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  driver.truncate("/file", BLOCK_SIZE * 2);
+
+  const file = driver.open("/file", OpenFlag.O_WRONLY | OpenFlag.O_TRUNC);
+  expect(driver.lookUp("/file").size).toBe(0);
+  expect(() =>
+    driver.open("/file", OpenFlag.O_RDONLY | OpenFlag.O_TRUNC)
+  ).toThrow(InvalidArgument);
+  driver.write(file, new Uint8Array([1]));
+  expect(driver.lookUp("/file").size).toBe(1);
+});
+
+test("access mode limits read and write", () => {
+  driver.mkfs(10);
+  driver.create("/file");
+  const reader = driver.open("/file", OpenFlag.O_RDONLY);
+  const writer = driver.open("/file", OpenFlag.O_WRONLY);
+
+  driver.write(writer, new Uint8Array([5]));
+  expect(driver.read(reader, 1)).toEqual(new Uint8Array([5]));
+  expect(() => driver.write(reader, new Uint8Array([1]))).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.pwrite(reader, 0, new Uint8Array([1]))).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.read(writer, 1)).toThrow(InvalidArgument);
+  expect(() => driver.pread(writer, 0, 1)).toThrow(InvalidArgument);
+  expect(() => driver.open("/file", OpenFlag.O_ACCMODE)).toThrow(
+    InvalidArgument
+  );
+});
+
+test("unlinked file is kept until last descriptor is closed", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  const freeCount = driver.allocator.freeCount;
+  const data = new Uint8Array(BLOCK_SIZE * 3).map((_, index) => index % 251);
+  driver.create("/file");
+  const file = driver.open("/file");
+  driver.write(file, data);
+  const copy = driver.dup(file);
+  const ino = driver.lookUp("/file").ino;
+
+  driver.unlink("/file");
+  expect(() => driver.lookUp("/file")).toThrow(InvalidPath);
+  expect(driver.superblock.orphanHead).toBe(ino);
+  expect(driver.pread(file, 0, data.length)).toEqual(data);
+  driver.write(file, new Uint8Array([1]));
+
+  driver.create("/other");
+  expect(driver.lookUp("/other").ino).not.toBe(ino);
+
+  driver.close(file);
+  expect(driver.pread(copy, 0, data.length)).toEqual(data);
+  driver.close(copy);
+  expect(driver.superblock.orphanHead).toBe(0);
+  expect(driver.getDescriptor(ino).type).toBe(FileType.UNUSED);
+  driver.unlink("/other");
+  expect(driver.allocator.freeCount).toBe(freeCount);
+});
+
+test("unmount reclaims file opened by other process after closing it", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  const freeCount = driver.allocator.freeCount;
+  const parent = driver.process;
+  const other = driver.createProcess();
+  driver.create("/file");
+  driver.setProcess(other);
+  const fd = driver.open("/file");
+  driver.write(fd, new Uint8Array(BLOCK_SIZE * 2).fill(1));
+  const ino = driver.lookUp("/file").ino;
+  driver.setProcess(parent);
+  driver.unlink("/file");
+  expect(driver.superblock.orphanHead).toBe(ino);
+
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+  driver.mount();
+  expect(driver.superblock.orphanHead).toBe(0);
+  expect(driver.allocator.freeCount).toBe(freeCount);
+  driver.create("/new");
+  expect(driver.lookUp("/new").ino).toBe(ino);
+
+  driver.setProcess(other);
+  expect(() => driver.read(fd, 1)).toThrow(InvalidArgument);
+  expect(() => driver.write(fd, new Uint8Array([1]))).toThrow(InvalidArgument);
+  expect(driver.stat("/new").size).toBe(0);
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("orphan list is reclaimed on mount after crash", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  const freeCount = driver.allocator.freeCount;
+  for (const filename of ["a", "b", "c"]) {
+    driver.create(`/${filename}`);
+    driver.write(driver.open(`/${filename}`), new Uint8Array(BLOCK_SIZE * 2));
+  }
+  driver.unlink("/a");
+  driver.unlink("/b");
+  driver.unlink("/c");
+  driver.sync(); // crash with opened files
+
+  expect(new Fsck(device).check()).toEqual([]);
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+  expect(mountedDriver.superblock.orphanHead).toBe(0);
+  expect(mountedDriver.allocator.freeCount).toBe(freeCount);
+  mountedDriver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("fsck removes orphan list in repair mode", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+  driver.write(file, new Uint8Array(BLOCK_SIZE));
+  const ino = driver.lookUp("/file").ino;
+  driver.unlink("/file");
+  driver.sync();
+
+  const fsck = new Fsck(device);
+  expect(fsck.check({ repair: true })).toEqual([]);
+  expect(fsck.driver.getDescriptor(ino).type).toBe(FileType.UNUSED);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("unmount removes unlinked opened files", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(10);
+  driver.create("/file");
+  const file = driver.open("/file");
+  driver.write(file, new Uint8Array(BLOCK_SIZE));
+  const ino = driver.lookUp("/file").ino;
+  driver.unlink("/file");
+  driver.unmount();
+
+  expect(driver.superblock.orphanHead).toBe(0);
+  expect(driver.getDescriptor(ino).type).toBe(FileType.UNUSED);
+  expect(() => driver.read(file, 1)).toThrow(InvalidArgument);
+});
+
+test("rename moves and replaces files", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(20);
+  driver.mkdir("/dir");
+  driver.create("/a");
+  driver.create("/dir/b");
+  const fd = driver.open("/a");
+  driver.write(fd, new Uint8Array([1, 2, 3]));
+  const ino = driver.lookUp("/a").ino;
+  const replacedIno = driver.lookUp("/dir/b").ino;
+
+  driver.rename("/a", "/c");
+  expect(driver.lookUp("/c").ino).toBe(ino);
+  expect(() => driver.lookUp("/a")).toThrow(InvalidPath);
+
+  driver.rename("/c", "/dir/b");
+  expect(driver.lookUp("/dir/b")).toMatchObject({ ino, refs: 1, size: 3 });
+  expect(driver.getDescriptor(replacedIno).type).toBe(FileType.UNUSED);
+  expect(driver.readDirectory("/").length).toBe(3);
+
+  driver.link("/dir/b", "/dir/same");
+  driver.rename("/dir/b", "/dir/same");
+  expect(driver.lookUp("/dir/b").ino).toBe(ino);
+  expect(() => driver.rename("/dir/b", "/dir")).toThrow(InvalidPath);
+  expect(() => driver.rename("/missing", "/x")).toThrow(InvalidPath);
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("rename moves directory to other parent", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(20);
+  driver.mkdir("/src");
+  driver.mkdir("/src/dir");
+  driver.mkdir("/src/dir/sub");
+  driver.mkdir("/dst");
+  driver.mkdir("/dst/empty");
+  driver.mkdir("/dst/full");
+  driver.create("/dst/full/file");
+
+  expect(() => driver.rename("/src", "/src/dir/sub/src")).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.rename("/src/dir", "/src/dir/x")).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.rename("/src/dir", "/dst/full")).toThrow();
+  expect(() => driver.rename("/dst/full/file", "/dst/empty")).toThrow(
+    InvalidPath
+  );
+
+  driver.rename("/src/dir", "/dst/empty");
+  expect(driver.lookUp("/dst/empty/sub/..").ino).toBe(
+    driver.lookUp("/dst/empty").ino
+  );
+  expect(driver.lookUp("/dst/empty/..").ino).toBe(driver.lookUp("/dst").ino);
+  expect(driver.lookUp("/src").refs).toBe(2);
+  expect(driver.lookUp("/dst").refs).toBe(4);
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("mkdir creates parents in recursive mode", () => {
+  const driver = new Driver(new Device(BLOCK_SIZE, BLOCK_COUNT));
+  driver.mkfs(20);
+  driver.create("/file");
+
+  expect(() => driver.mkdir("/a/b")).toThrow(InvalidPath);
+  driver.mkdir("/a/b/c/", { recursive: true });
+  driver.mkdir("/a/b", { recursive: true });
+  expect(driver.lookUp("/a/b/c").type).toBe(FileType.DIRECTORY);
+  expect(() => driver.mkdir("/a/b")).toThrow(FileAlreadyExist);
+  expect(() => driver.mkdir("/file/a", { recursive: true })).toThrow(
+    InvalidPath
+  );
+});
+
+test("rm removes directory tree in recursive mode", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(20);
+  driver.mkdir("/a/b/c", { recursive: true });
+  driver.create("/a/b/file");
+  driver.create("/kept");
+  driver.link("/kept", "/a/b/c/link");
+  driver.symlink("/a/symlink", "/kept");
+  const fd = driver.open("/a/b/file");
+  const ino = driver.lookUp("/a/b/file").ino;
+
+  expect(() => driver.rm("/a")).toThrow(InvalidPath);
+  expect(() => driver.rm("/")).toThrow(InvalidArgument);
+  driver.rm("/a", { recursive: true });
+  expect(driver.readDirectory("/").map((d) => d.fileName)).toEqual([
+    ".",
+    "..",
+    "kept",
+  ]);
+  expect(driver.lookUp("/kept").refs).toBe(1);
+  expect(driver.lookUp("/").refs).toBe(2);
+  expect(driver.getDescriptor(ino).type).toBe(FileType.REGULAR);
+
+  driver.close(fd);
+  driver.rm("/kept");
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("current directory and its parents are not removed", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(20);
+  driver.mkdir("/a/b/c", { recursive: true });
+  driver.mkdir("/a/other");
+  driver.cd("/a/b/c");
+
+  expect(() => driver.rm("/a", { recursive: true })).toThrow(InvalidArgument);
+  expect(() => driver.rm("/a/b/c", { recursive: true })).toThrow(
+    InvalidArgument
+  );
+  expect(() => driver.rmdir("/a/b/c")).toThrow(InvalidArgument);
+  expect(driver.pwd()).toBe("/a/b/c");
+
+  driver.rm("/a/other", { recursive: true });
+  driver.cd("/a");
+  driver.rm("/a/b", { recursive: true });
+  expect(driver.readDirectory(".").map((d) => d.fileName)).toEqual([".", ".."]);
+  driver.cd("/");
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("cp copies tree with hard links and symlinks", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(30);
+  driver.mkdir("/src/dir", { recursive: true });
+  driver.create("/src/file");
+  const fd = driver.open("/src/file");
+  driver.write(fd, new Uint8Array([1, 2, 3]));
+  driver.close(fd);
+  driver.link("/src/file", "/src/dir/link");
+  driver.symlink("/src/dir/symlink", "../file");
+
+  expect(() => driver.cp("/src", "/copy")).toThrow(InvalidPath);
+  expect(() => driver.cp("/src", "/src/dir/copy", { recursive: true })).toThrow(
+    InvalidArgument
+  );
+  driver.cp("/src", "/copy", { recursive: true });
+  driver.cp("/src/file", "/single");
+
+  const copy = driver.lookUp("/copy/file");
+  expect(copy.ino).not.toBe(driver.lookUp("/src/file").ino);
+  expect(copy.refs).toBe(2);
+  expect(driver.lookUp("/copy/dir/link").ino).toBe(copy.ino);
+  expect(driver.lookUp("/copy/dir/symlink").type).toBe(FileType.SYMLINK);
+  expect(driver.lookUp("/copy/dir/symlink", true).ino).toBe(copy.ino);
+  expect(driver.lookUp("/copy/dir/..").ino).toBe(driver.lookUp("/copy").ino);
+  expect(driver.lookUp("/single").refs).toBe(1);
+
+  const copyFd = driver.open("/copy/dir/link");
+  expect(driver.read(copyFd, 10)).toEqual(new Uint8Array([1, 2, 3]));
+  driver.close(copyFd);
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("errors have errno code and path", () => {
+  const driver = new Driver(new Device(BLOCK_SIZE, BLOCK_COUNT), {
+    maxSymlinkDepth: 3,
+  });
+  driver.mkfs(8);
+  driver.mkdir("/dir/sub", { recursive: true });
+  driver.create("/file");
+  driver.symlink("/loop", "/loop");
+  const catchError = (operation) => {
+    try {
+      operation();
+    } catch (e) {
+      return { code: e.code, path: e.path };
+    }
+    return null;
+  };
+
+  expect(catchError(() => driver.stat("/dir/missing"))).toEqual({
+    code: "ENOENT",
+    path: "/dir/missing",
+  });
+  expect(catchError(() => driver.create("/file"))).toEqual({
+    code: "EEXIST",
+    path: "/file",
+  });
+  expect(catchError(() => driver.create("/file/a"))).toEqual({
+    code: "ENOTDIR",
+    path: "/file/a",
+  });
+  expect(catchError(() => driver.unlink("/dir"))).toEqual({
+    code: "EISDIR",
+    path: "/dir",
+  });
+  expect(catchError(() => driver.rmdir("/dir"))).toEqual({
+    code: "ENOTEMPTY",
+    path: "/dir",
+  });
+  expect(catchError(() => driver.stat("/loop"))).toEqual({
+    code: "ELOOP",
+    path: "/loop",
+  });
+  expect(catchError(() => driver.read(5, 1))).toEqual({
+    code: "EBADF",
+    path: null,
+  });
+  expect(catchError(() => driver.readlink("/file"))).toEqual({
+    code: "EINVAL",
+    path: "/file",
+  });
+  const longName = "/" + "a".repeat(MAX_FILENAME_LENGTH + 1);
+  expect(catchError(() => driver.create(longName))).toEqual({
+    code: "ENAMETOOLONG",
+    path: longName,
+  });
+
+  const file = driver.lookUp("/file");
+  file.refs = MAX_LINK_COUNT;
+  driver._updateDescriptor(file);
+  expect(catchError(() => driver.link("/file", "/link"))).toEqual({
+    code: "EMLINK",
+    path: "/link",
+  });
+
+  driver.create("/a");
+  driver.create("/b");
+  driver.create("/c"); // last unused inode
+  expect(catchError(() => driver.create("/d"))).toEqual({
+    code: "ENOSPC",
+    path: "/d",
+  });
+  expect(() => driver.rmdir("/dir")).toThrow(DirectoryNotEmpty);
+  expect(() => driver.unlink("/dir")).toThrow(InvalidPath);
+});
+
+test("stat describes files without exposing inode", () => {
+  const device = new Device(512, 512);
+  const driver = new Driver(device);
+  driver.mkfs({ blockSize: 512, inodeCount: 16 });
+  const addressesInBlock = driver.addressesInBlock;
+  driver.create("/file");
+  driver.link("/file", "/link");
+  driver.symlink("/symlink", "/file");
+  const file = driver.open("/file");
+  driver.pwrite(file, 0, new Uint8Array(512 * 2));
+  // one block behind double indirect block
+  driver.pwrite(
+    file,
+    (INODE_STRAIGHT_LINKS_COUNT + addressesInBlock) * 512,
+    new Uint8Array(1)
+  );
+
+  const stats = driver.stat("/file");
+  expect(stats.ino).toBe(driver.lookUp("/file").ino);
+  expect(stats.isFile()).toBe(true);
+  expect(stats.type).toBe("regular");
+  expect(stats.nlink).toBe(2);
+  expect(stats.size).toBe(
+    (INODE_STRAIGHT_LINKS_COUNT + addressesInBlock) * 512 + 1
+  );
+  expect(stats.blocks).toBe(2 + 1 + 2);
+  expect(stats.blockSize).toBe(512);
+  expect(driver.fstat(file)).toEqual(stats);
+  expect(driver.stat("/symlink")).toEqual(stats);
+
+  const symlinkStats = driver.lstat("/symlink");
+  expect(symlinkStats.isSymbolicLink()).toBe(true);
+  expect(symlinkStats.size).toBe("/file".length);
+  expect(driver.stat("/").isDirectory()).toBe(true);
+  expect(() => driver.stat("/missing")).toThrow(InvalidPath);
+  expect(() => driver.fstat(100)).toThrow(InvalidArgument);
+});
+
+describe("inode times", () => {
+  let now = 0;
+  const clock = () => now;
+  const start = 2 ** 40; // does not fit in 32 bits
+
+  test("operations update times", () => {
+    const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+    const driver = new Driver(device, { clock });
+    now = start;
+    driver.mkfs(10);
+    driver.create("/file");
+    expect(driver.stat("/file")).toMatchObject({
+      atimeMs: start,
+      mtimeMs: start,
+      ctimeMs: start,
+      birthtimeMs: start,
+    });
+
+    now = start + 1;
+    const file = driver.open("/file");
+    driver.write(file, new Uint8Array(10));
+    expect(driver.fstat(file)).toMatchObject({
+      atimeMs: start,
+      mtimeMs: start + 1,
+      ctimeMs: start + 1,
+    });
+
+    now = start + 2;
+    driver.pread(file, 0, 5);
+    expect(driver.fstat(file).atimeMs).toBe(start + 2);
+
+    now = start + 3;
+    driver.link("/file", "/link");
+    expect(driver.stat("/file")).toMatchObject({
+      mtimeMs: start + 1,
+      ctimeMs: start + 3,
+    });
+    expect(driver.stat("/").mtimeMs).toBe(start + 3);
+
+    now = start + 4;
+    driver.truncate("/file", 2);
+    driver.unlink("/link");
+    expect(driver.stat("/file")).toMatchObject({
+      mtimeMs: start + 4,
+      ctimeMs: start + 4,
+      birthtimeMs: start,
+    });
+
+    now = start + 5;
+    driver.utimes("/file", 10, 20);
+    driver.unmount();
+
+    const mountedDriver = new Driver(device, { clock });
+    mountedDriver.mount();
+    expect(mountedDriver.stat("/file")).toMatchObject({
+      atimeMs: 10,
+      mtimeMs: 20,
+      ctimeMs: start + 5,
+      birthtimeMs: start,
+    });
+    expect(() => mountedDriver.utimes("/file", -1, 0)).toThrow(InvalidArgument);
+  });
+
+  test("read updates only stale access time", () => {
+    const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+    const driver = new Driver(device, { clock });
+    now = start;
+    driver.mkfs(10);
+    driver.create("/file");
+    const file = driver.open("/file");
+    driver.write(file, new Uint8Array(10));
+
+    now = start + 1;
+    driver.pread(file, 0, 5);
+    expect(driver.fstat(file).atimeMs).toBe(start + 1);
+    const { sequence } = driver.journal;
+
+    now = start + 2;
+    driver.pread(file, 0, 5);
+    expect(driver.fstat(file).atimeMs).toBe(start + 1);
+    expect(driver.journal.sequence).toBe(sequence);
+
+    now = start + 1 + ATIME_UPDATE_INTERVAL;
+    driver.read(file, 5);
+    expect(driver.fstat(file).atimeMs).toBe(now);
+
+    now += 1;
+    driver.pwrite(file, 0, new Uint8Array(1));
+    now += 1;
+    driver.pread(file, 0, 5);
+    expect(driver.fstat(file).atimeMs).toBe(now);
+  });
+
+  test("64 bytes inode has no times", () => {
+    const device = new Device(512, 256);
+    const driver = new Driver(device, { clock });
+    now = start;
+    driver.mkfs({ blockSize: 512, inodeCount: 16, inodeSize: 64 });
+    driver.create("/file");
+
+    expect(driver.stat("/file").mtimeMs).toBe(0);
+  });
+
+  test("image of format 2 is upgraded on mount", () => {
+    const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+    const driver = new Driver(device, { clock });
+    driver.mkfs(10);
+    driver.create("/file");
+    // format 2 keeps dentries in fixed slots
+    const root = driver.getDescriptor(0);
+    const dentries = driver.readDirectory("/");
+    const legacyData = new Uint8Array(LEGACY_DENTRY_SIZE * dentries.length);
+    dentries.forEach(({ fileName, ino }, index) => {
+      const offset = index * LEGACY_DENTRY_SIZE;
+      legacyData.set(new TextEncoder().encode(fileName), offset);
+      legacyData.set(serializeInt32(ino), offset + LEGACY_DENTRY_SIZE - 4);
+    });
+    driver._truncate(root, legacyData.length);
+    driver._write(root, 0, legacyData);
+    driver.unmount();
+    const setVersion = (version) => {
+      const block = device.readBlock(0);
+      const superblock = deserializeSuperblock(block);
+      superblock.version = version;
+      block.set(serializeSuperblock(superblock), 0);
+      device.writeBlock(0, block);
+    };
+
+    setVersion(1);
+    expect(() => new Driver(device).mount()).toThrow(InvalidImage);
+
+    setVersion(2);
+    now = start + 100;
+    const mountedDriver = new Driver(device, { clock });
+    mountedDriver.mount();
+    expect(mountedDriver.superblock.version).toBe(FORMAT_VERSION);
+    expect(mountedDriver.stat("/file").birthtimeMs).toBe(start + 100);
+    expect(mountedDriver.stat("/file")).toMatchObject({ mode: 0o666, uid: 0 });
+    expect(mountedDriver.stat("/").mode).toBe(0o777);
+    expect(mountedDriver.readDirectory("/")).toEqual(dentries);
+    mountedDriver.unmount();
+    expect(deserializeSuperblock(device.readBlock(0)).version).toBe(
+      FORMAT_VERSION
+    );
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+});
+
+describe("permissions", () => {
+  const makeDriver = () => {
+    const driver = new Driver(new Device(BLOCK_SIZE, BLOCK_COUNT));
+    driver.mkfs(20);
+    driver.mkdir("/home");
+    driver.chmod("/home", 0o777);
+    return driver;
+  };
+  const user = (driver, uid, gids = [uid]) =>
+    driver.setProcess(driver.createProcess(new Credentials(uid, gids)));
+
+  test("created files get process owner and umask", () => {
+    const driver = makeDriver();
+    user(driver, 1000);
+    driver.create("/home/file");
+    driver.mkdir("/home/dir", { mode: 0o750 });
+
+    expect(driver.stat("/")).toMatchObject({ mode: 0o755, uid: 0, gid: 0 });
+    expect(driver.stat("/home/file")).toMatchObject({
+      mode: 0o644,
+      uid: 1000,
+      gid: 1000,
+    });
+    expect(driver.stat("/home/dir").mode).toBe(0o750);
+  });
+
+  test("operations check mode bits", () => {
+    const driver = makeDriver();
+    driver.create("/home/readonly", { mode: 0o444 });
+    driver.mkdir("/private", { mode: 0o700 });
+    driver.create("/private/file");
+
+    user(driver, 1000);
+    expect(() => driver.lookUp("/private/file")).toThrow(PermissionDenied);
+    expect(() => driver.readDirectory("/private")).toThrow(PermissionDenied);
+    expect(() => driver.create("/file")).toThrow(PermissionDenied);
+    expect(() => driver.mkdir("/dir")).toThrow(PermissionDenied);
+    expect(() => driver.rmdir("/private")).toThrow(PermissionDenied);
+    expect(() => driver.open("/home/readonly")).toThrow(PermissionDenied);
+    expect(() => driver.truncate("/home/readonly", 1)).toThrow(
+      PermissionDenied
+    );
+
+    const fd = driver.open("/home/readonly", OpenFlag.O_RDONLY);
+    expect(driver.read(fd, 1).length).toBe(0);
+    driver.close(fd);
+  });
+
+  test("group and other bits are used for not owners", () => {
+    const driver = makeDriver();
+    driver.create("/home/file", { mode: 0o640 });
+    driver.chown("/home/file", 1000, 50);
+
+    user(driver, 1001, [1001, 50]);
+    expect(() => driver.open("/home/file", OpenFlag.O_RDONLY)).not.toThrow();
+    expect(() => driver.open("/home/file", OpenFlag.O_WRONLY)).toThrow(
+      PermissionDenied
+    );
+    user(driver, 1002);
+    expect(() => driver.open("/home/file", OpenFlag.O_RDONLY)).toThrow(
+      PermissionDenied
+    );
+  });
+
+  test("only owners remove files from sticky directory", () => {
+    const driver = makeDriver();
+    driver.chmod("/home", 0o777 | FileMode.STICKY);
+
+    user(driver, 1000);
+    driver.create("/home/file");
+    user(driver, 1001);
+    expect(() => driver.unlink("/home/file")).toThrow(PermissionDenied);
+    user(driver, 1000);
+    driver.unlink("/home/file");
+    expect(driver.readDirectory("/home").length).toBe(2);
+  });
+
+  test("setgid directory passes group to new files", () => {
+    const driver = makeDriver();
+    driver.mkdir("/shared");
+    driver.chown("/shared", -1, 50);
+    driver.chmod("/shared", 0o777 | FileMode.SETGID);
+
+    user(driver, 1000);
+    driver.create("/shared/file");
+    driver.mkdir("/shared/dir");
+
+    expect(driver.stat("/shared/file").gid).toBe(50);
+    expect(driver.stat("/shared/dir").gid).toBe(50);
+    expect(driver.stat("/shared/dir").mode & FileMode.SETGID).toBeTruthy();
+  });
+
+  test("chmod and chown are limited for not superuser", () => {
+    const driver = makeDriver();
+    driver.create("/home/root");
+    user(driver, 1000, [1000, 50]);
+    driver.create("/home/file");
+
+    expect(() => driver.chmod("/home/root", 0o777)).toThrow(PermissionDenied);
+    expect(() => driver.chown("/home/file", 1001, -1)).toThrow(
+      PermissionDenied
+    );
+    expect(() => driver.chown("/home/file", -1, 60)).toThrow(PermissionDenied);
+    expect(() => driver.utimes("/home/root", 0, 0)).toThrow(PermissionDenied);
+
+    driver.chmod("/home/file", 0o600 | FileMode.SETGID);
+    driver.chown("/home/file", -1, 50);
+    expect(driver.stat("/home/file")).toMatchObject({ mode: 0o600, gid: 50 });
+  });
+
+  test("64 bytes inode allows everything", () => {
+    const driver = new Driver(new Device(512, 256));
+    driver.mkfs({ blockSize: 512, inodeCount: 16, inodeSize: 64 });
+    user(driver, 1000);
+    driver.create("/file");
+
+    expect(driver.stat("/file").mode).toBe(0o777);
+    expect(() => driver.chmod("/file", 0o600)).toThrow(InvalidArgument);
+  });
+});
+
+describe("indexed directories", () => {
+  const names = (count) =>
+    Array.from({ length: count }, (_, index) => `file${index}`);
+  const makeDriver = (device, inodeSize = 128) => {
+    const driver = new Driver(device);
+    driver.mkfs({ inodeCount: 16, inodeSize });
+    driver.mkdir("/dir");
+    driver.create("/file");
+    return driver;
+  };
+  const isIndexed = (driver, path) =>
+    (driver.lookUp(path).flags & INodeFlag.INDEXED) != 0;
+
+  test("big directory is indexed", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device);
+    const count = DIR_INDEX_THRESHOLD * 4;
+    const fileNames = names(count);
+    fileNames.slice(0, DIR_INDEX_THRESHOLD - 3).forEach((name) => {
+      driver.link("/file", `/dir/${name}`);
+    });
+    expect(isIndexed(driver, "/dir")).toBe(false);
+    fileNames.slice(DIR_INDEX_THRESHOLD - 3).forEach((name) => {
+      driver.link("/file", `/dir/${name}`);
+    });
+    expect(isIndexed(driver, "/dir")).toBe(true);
+
+    const dentries = driver.readDirectory("/dir");
+    expect(dentries.length).toBe(count + 2);
+    expect(dentries.slice(0, 2).map((d) => d.fileName)).toEqual([".", ".."]);
+    expect(dentries.map((d) => d.fileName).sort()).toEqual(
+      [".", "..", ...fileNames].sort()
+    );
+    const ino = driver.lookUp("/file").ino;
+    expect(driver.lookUp("/dir/file77").ino).toBe(ino);
+    expect(driver.lookUp("/dir/..").ino).toBe(0);
+    expect(() => driver.lookUp("/dir/missing")).toThrow(InvalidPath);
+    expect(() => driver.link("/file", "/dir/file5")).toThrow(FileAlreadyExist);
+
+    fileNames
+      .filter((_, index) => index % 2 == 0)
+      .forEach((name) => {
+        driver.unlink(`/dir/${name}`);
+      });
+    const size = driver.lookUp("/dir").size;
+    expect(() => driver.lookUp("/dir/file10")).toThrow(InvalidPath);
+    expect(driver.lookUp("/dir/file11").ino).toBe(ino);
+    fileNames
+      .filter((_, index) => index % 2 == 0)
+      .forEach((name) => {
+        driver.link("/file", `/dir/${name}`);
+      });
+    expect(driver.lookUp("/dir").size).toBe(size);
+    expect(driver.lookUp("/file").refs).toBe(count + 1);
+
+    driver.rename("/dir/file1", "/dir/renamed");
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+
+    const mountedDriver = new Driver(device);
+    mountedDriver.mount();
+    expect(mountedDriver.lookUp("/dir/renamed").ino).toBe(ino);
+    mountedDriver.rm("/dir", { recursive: true });
+    expect(mountedDriver.lookUp("/file").refs).toBe(1);
+    mountedDriver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("indexed directory keeps long names", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device);
+    const longNames = names(DIR_INDEX_THRESHOLD).map((name) =>
+      name.padEnd(MAX_FILENAME_LENGTH, "x")
+    );
+    longNames.forEach((name) => driver.link("/file", `/dir/${name}`));
+
+    expect(isIndexed(driver, "/dir")).toBe(true);
+    const ino = driver.lookUp("/file").ino;
+    longNames.forEach((name) => {
+      expect(driver.lookUp(`/dir/${name}`).ino).toBe(ino);
+    });
+    driver.unlink(`/dir/${longNames[0]}`);
+    expect(driver.readDirectory("/dir").length).toBe(DIR_INDEX_THRESHOLD + 1);
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("index takes few blocks just above threshold", () => {
+    for (const [blockSize, leafCount] of [
+      [512, 2],
+      [4096, 1],
+    ]) {
+      const device = new Device(blockSize, 256);
+      const driver = makeDriver(device);
+      names(DIR_INDEX_THRESHOLD + 1).forEach((name) => {
+        driver.link("/file", `/dir/${name}`);
+      });
+
+      expect(isIndexed(driver, "/dir")).toBe(true);
+      // index root and leaf blocks that are split by hashes
+      expect(driver.lookUp("/dir").size).toBe(blockSize * (leafCount + 1));
+      expect(driver.stat("/dir").blocks).toBe(leafCount + 1);
+    }
+  });
+
+  test("full index root gets one more level instead of block chains", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device);
+    const longNames = names(400).map((name) => name.padEnd(100, "x"));
+    longNames.forEach((name) => driver.link("/file", `/dir/${name}`));
+
+    const dir = driver.lookUp("/dir");
+    const root = driver._readIndexRoot(dir);
+    expect(root.depth).toBe(1);
+    // ranges of index nodes keep single dentry blocks
+    for (const { block } of root.ranges) {
+      for (const range of driver._readIndexNode(dir, block).ranges) {
+        expect(driver._readDentryBlock(dir, range.block).next).toBe(0);
+      }
+    }
+    const ino = driver.lookUp("/file").ino;
+    longNames.forEach((name) => {
+      expect(driver.lookUp(`/dir/${name}`).ino).toBe(ino);
+    });
+    expect(driver.readDirectory("/dir").length).toBe(longNames.length + 2);
+
+    longNames.slice(0, 350).forEach((name) => driver.unlink(`/dir/${name}`));
+    expect(() => driver.lookUp(`/dir/${longNames[0]}`)).toThrow(InvalidPath);
+    expect(driver.lookUp(`/dir/${longNames[399]}`).ino).toBe(ino);
+    expect(driver.readDirectory("/dir").length).toBe(52);
+    driver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("index of format 6 is rebuilt on mount", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device);
+    const fileNames = names(DIR_INDEX_THRESHOLD * 2);
+    fileNames.forEach((name) => driver.link("/file", `/dir/${name}`));
+    const dir = driver.lookUp("/dir");
+    const blockCount = dir.size / 512;
+    // format 6 root keeps free block, then count and blocks of buckets
+    const bucketRoot = new Uint8Array(512);
+    bucketRoot.set(serializeInt32(blockCount - 1), 4);
+    for (let block = 1; block < blockCount; block++) {
+      bucketRoot.set(serializeInt32(block), 4 + block * 4);
+    }
+    driver._write(dir, 0, bucketRoot);
+    driver.unmount();
+    const block = device.readBlock(0);
+    const superblock = deserializeSuperblock(block);
+    superblock.version = 6;
+    block.set(serializeSuperblock(superblock), 0);
+    device.writeBlock(0, block);
+
+    const mountedDriver = new Driver(device);
+    mountedDriver.mount();
+    expect(mountedDriver.superblock.version).toBe(FORMAT_VERSION);
+    expect(
+      mountedDriver
+        .readDirectory("/dir")
+        .map((d) => d.fileName)
+        .sort()
+    ).toEqual([".", "..", ...fileNames].sort());
+    const ino = mountedDriver.lookUp("/file").ino;
+    fileNames.forEach((name) => {
+      expect(mountedDriver.lookUp(`/dir/${name}`).ino).toBe(ino);
+    });
+    mountedDriver.link("/file", "/dir/new");
+    mountedDriver.unmount();
+    expect(new Fsck(device).check()).toEqual([]);
+  });
+
+  test("removing missing name keeps indexed directory", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device);
+    names(DIR_INDEX_THRESHOLD).forEach((name) => {
+      driver.link("/file", `/dir/${name}`);
+    });
+    const dir = driver.lookUp("/dir");
+
+    expect(driver._removeDentry(dir, "missing")).toBeUndefined();
+    expect(() => driver.unlink("/dir/missing")).toThrow(InvalidPath);
+    expect(driver.readDirectory("/dir").length).toBe(DIR_INDEX_THRESHOLD + 2);
+  });
+
+  test("directory of 64 bytes inodes stays linear", () => {
+    const device = new Device(512, 1024);
+    const driver = makeDriver(device, 64);
+    names(DIR_INDEX_THRESHOLD * 2).forEach((name) => {
+      driver.link("/file", `/dir/${name}`);
+    });
+
+    expect(isIndexed(driver, "/dir")).toBe(false);
+    expect(driver.readDirectory("/dir").length).toBe(
+      DIR_INDEX_THRESHOLD * 2 + 2
+    );
+  });
+});
+
+describe("dentry records", () => {
+  beforeEach(() => {
+    driver.mkfs(10);
+  });
+
+  test("multibyte names are kept by bytes length", () => {
+    const longName = "é".repeat((MAX_FILENAME_LENGTH - 1) / 2) + "a";
+    const sixtyBytesName = "b".repeat(60);
+    driver.create(`/${longName}`);
+    driver.create(`/${sixtyBytesName}`);
+
+    expect(new TextEncoder().encode(longName).length).toBe(MAX_FILENAME_LENGTH);
+    expect(() => driver.create(`/${longName}é`)).toThrow(NameTooLong);
+    expect(() => driver.lookUp(`/${longName}é/file`)).toThrow(NameTooLong);
+    expect(driver.lookUp(`/${longName}`).ino).toBe(1);
+    driver.unmount();
+
+    const mountedDriver = new Driver(device);
+    mountedDriver.mount();
+    expect(mountedDriver.readDirectory("/").map((d) => d.fileName)).toEqual([
+      ".",
+      "..",
+      longName,
+      sixtyBytesName,
+    ]);
+    expect(mountedDriver.lookUp(`/${sixtyBytesName}`).ino).toBe(2);
+  });
+
+  test("records are packed and removed", () => {
+    driver.create("/a");
+    driver.create("/long-file-name");
+    driver.create("/b");
+    driver.unlink("/long-file-name");
+
+    expect(driver.getDescriptor(0).size).toBe(
+      getDentrySize(".") +
+        getDentrySize("..") +
+        getDentrySize("a") +
+        getDentrySize("b")
+    );
+    expect(driver.readDirectory("/").map((d) => d.fileName)).toEqual([
+      ".",
+      "..",
+      "a",
+      "b",
+    ]);
+  });
+
+  test("readDirectory returns file types", () => {
+    driver.create("/file");
+    driver.mkdir("/dir");
+    driver.symlink("/link", "/file");
+
+    expect(driver.readDirectory("/").map((d) => d.type)).toEqual([
+      FileType.DIRECTORY,
+      FileType.DIRECTORY,
+      FileType.REGULAR,
+      FileType.DIRECTORY,
+      FileType.SYMLINK,
+    ]);
+  });
+});
@@ -0,0 +1,203 @@
+"use strict";
+
+import { NAN_BLOCK_ADDRESS } from "../src/constants.js";
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import { InvalidArgument } from "../src/exceptions.js";
+import Extent from "../src/extent.js";
+import { insertExtent, removeExtentRange } from "../src/extentTree.js";
+import Fsck, { ProblemType } from "../src/fsck.js";
+import { INodeFlag } from "../src/inode.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+let device;
+let driver;
+
+beforeEach(() => {
+  device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  driver = new Driver(device);
+  driver.mkfs(16);
+});
+
+const testData = (size) =>
+  new Uint8Array(size).map((_, index) => (index * 7) % 251);
+
+const createFile = (filePath, data) => {
+  driver.create(filePath, { extents: true });
+  driver.truncate(filePath, data.length);
+  const file = driver.open(filePath);
+  driver.pwrite(file, 0, data);
+  return file;
+};
+
+test("remove range splits extents", () => {
+  const extents = [new Extent(0, 100, 10), new Extent(10, 200, 5)];
+
+  const [kept, removed] = removeExtentRange(extents, 4, 12);
+
+  expect(kept).toEqual([new Extent(0, 100, 4), new Extent(12, 202, 3)]);
+  expect(removed).toEqual([new Extent(4, 104, 6), new Extent(10, 200, 2)]);
+});
+
+test("insert merges contiguous extents", () => {
+  const extents = [new Extent(0, 100, 2), new Extent(3, 103, 2)];
+
+  expect(insertExtent(extents, new Extent(2, 102, 1))).toEqual([
+    new Extent(0, 100, 5),
+  ]);
+  expect(insertExtent(extents, new Extent(2, 50, 1))).toEqual([
+    new Extent(0, 100, 2),
+    new Extent(2, 50, 1),
+    new Extent(3, 103, 2),
+  ]);
+});
+
+test("sequential file is mapped by one extent", () => {
+  const data = testData(BLOCK_SIZE * 40);
+
+  const file = createFile("/file", data);
+
+  const inode = driver.lookUp("/file");
+  expect(inode.flags & INodeFlag.EXTENTS).toBe(INodeFlag.EXTENTS);
+  expect(inode.extentRoot.depth).toBe(0);
+  expect(inode.extentRoot.entries).toEqual([
+    new Extent(0, inode.extentRoot.entries[0].physicalBlock, 40),
+  ]);
+  expect(driver.pread(file, 0, data.length)).toEqual(data);
+  expect([...driver._getBlockRanges(inode)]).toEqual([
+    {
+      blockIndex: 0,
+      blockAddress: inode.extentRoot.entries[0].physicalBlock,
+      length: 40,
+    },
+  ]);
+});
+
+test("fragmented file grows extent tree", () => {
+  const blockCount = 60;
+  const freeCount = driver.allocator.freeCount;
+  driver.create("/file", { extents: true });
+  driver.create("/other");
+  driver.truncate("/file", BLOCK_SIZE * blockCount);
+  driver.truncate("/other", BLOCK_SIZE * blockCount);
+  const file = driver.open("/file");
+  const other = driver.open("/other");
+
+  const data = testData(BLOCK_SIZE * blockCount);
+  for (let blockIndex = 0; blockIndex < blockCount; blockIndex++) {
+    const offset = blockIndex * BLOCK_SIZE;
+    driver.pwrite(file, offset, data.subarray(offset, offset + BLOCK_SIZE));
+    driver.pwrite(other, offset, new Uint8Array(BLOCK_SIZE));
+  }
+  driver.unmount();
+
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+  const inode = mountedDriver.lookUp("/file");
+  expect(inode.extentRoot.depth).toBeGreaterThan(0);
+  const mountedFile = mountedDriver.open("/file");
+  expect(mountedDriver.pread(mountedFile, 0, data.length)).toEqual(data);
+  expect(new Fsck(device).check()).toEqual([]);
+
+  mountedDriver.close(mountedFile);
+  mountedDriver.unlink("/file");
+  mountedDriver.unlink("/other");
+  expect(mountedDriver.allocator.freeCount).toBe(freeCount);
+});
+
+test("truncate file with extents", () => {
+  const data = testData(BLOCK_SIZE * 20);
+  const file = createFile("/file", data);
+
+  driver.truncate("/file", BLOCK_SIZE * 5 + 10);
+  driver.truncate("/file", BLOCK_SIZE * 8);
+
+  const expected = new Uint8Array(BLOCK_SIZE * 8);
+  expected.set(data.subarray(0, BLOCK_SIZE * 5 + 10));
+  expect(driver.pread(file, 0, BLOCK_SIZE * 8)).toEqual(expected);
+  expect(driver.lookUp("/file").extentRoot.entries).toEqual([
+    expect.objectContaining({ logicalBlock: 0, length: 6 }),
+  ]);
+});
+
+test("extents need extended inode", () => {
+  driver.mkfs({ inodeCount: 16, inodeSize: 64 });
+
+  const c = () => driver.create("/file", { extents: true });
+
+  expect(c).toThrow(InvalidArgument);
+});
+
+test("fsck repairs doubly used block of extent", () => {
+  createFile("/file1", testData(BLOCK_SIZE * 4));
+  createFile("/file2", testData(BLOCK_SIZE * 4));
+  const file2 = driver.lookUp("/file2");
+  const [extent] = driver.lookUp("/file1").extentRoot.entries;
+  file2.extentRoot.entries = [new Extent(0, extent.physicalBlock, 4)];
+  driver._updateDescriptor(file2);
+  driver.sync();
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problems.map((problem) => problem.type)).toEqual([
+    ProblemType.DUPLICATE_BLOCK,
+    ProblemType.DUPLICATE_BLOCK,
+    ProblemType.DUPLICATE_BLOCK,
+    ProblemType.DUPLICATE_BLOCK,
+    ProblemType.LEAKED_BLOCK,
+    ProblemType.LEAKED_BLOCK,
+    ProblemType.LEAKED_BLOCK,
+    ProblemType.LEAKED_BLOCK,
+  ]);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("new blocks of fragmented file are mapped by one tree write", () => {
+  const blockCount = 60;
+  driver.create("/file", { extents: true });
+  driver.create("/other");
+  const file = driver.open("/file");
+  const other = driver.open("/other");
+  for (let blockIndex = 0; blockIndex < blockCount; blockIndex++) {
+    const offset = blockIndex * BLOCK_SIZE;
+    driver.pwrite(file, offset, new Uint8Array(BLOCK_SIZE).fill(1));
+    driver.pwrite(other, offset, new Uint8Array(BLOCK_SIZE));
+  }
+  expect(driver.lookUp("/file").extentRoot.depth).toBeGreaterThan(0);
+  let treeWrites = 0;
+  const write = driver.extentTree.write.bind(driver.extentTree);
+  driver.extentTree.write = (...args) => {
+    treeWrites++;
+    return write(...args);
+  };
+
+  const data = testData(BLOCK_SIZE * 20);
+  driver.pwrite(file, BLOCK_SIZE * blockCount, data);
+  expect(treeWrites).toBe(1);
+  driver.fallocate(file, BLOCK_SIZE * (blockCount + 30), BLOCK_SIZE * 10);
+  expect(treeWrites).toBe(2);
+
+  // written run, hole and allocated run
+  const blockRanges = [...driver._getBlockRanges(driver.lookUp("/file"))];
+  expect(blockRanges.slice(-3).map(({ length }) => length)).toEqual([
+    20, 10, 10,
+  ]);
+  expect(driver.pread(file, BLOCK_SIZE * blockCount, data.length)).toEqual(
+    data
+  );
+  driver.unmount();
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("hole of extent file has address of not mapped block", () => {
+  for (const extents of [true, false]) {
+    const filePath = extents ? "/extents" : "/indirect";
+    driver.create(filePath, { extents });
+    const file = driver.open(filePath);
+    driver.pwrite(file, BLOCK_SIZE * 4, testData(BLOCK_SIZE));
+    const inode = driver.lookUp(filePath);
+
+    expect(driver._getBlockAddress(inode, 1)).toBe(NAN_BLOCK_ADDRESS);
+    expect(driver._getBlockAddress(inode, 4)).not.toBe(NAN_BLOCK_ADDRESS);
+  }
+});
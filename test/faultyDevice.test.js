@@ -0,0 +1,164 @@
+"use strict";
+
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import FaultyDevice from "../src/faultyDevice.js";
+import { DeviceFault } from "../src/exceptions.js";
+import Fsck from "../src/fsck.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+const prepareImage = () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(16);
+  driver.mkdir("/dir");
+  driver.mkdir("/empty");
+  driver.create("/dir/file");
+  driver.truncate("/dir/file", BLOCK_SIZE * 2);
+  const file = driver.open("/dir/file");
+  driver.pwrite(file, 0, new Uint8Array(BLOCK_SIZE * 2).fill(1));
+  driver.unmount();
+  return device;
+};
+
+const mountFaulty = (device) => {
+  const faultyDevice = new FaultyDevice(device);
+  const driver = new Driver(faultyDevice);
+  driver.mount();
+  return [faultyDevice, driver];
+};
+
+const operations = [
+  ["mkdir", (driver) => driver.mkdir("/dir/sub")],
+  ["create", (driver) => driver.create("/dir/new")],
+  ["link", (driver) => driver.link("/dir/file", "/dir/link")],
+  ["unlink", (driver) => driver.unlink("/dir/file")],
+  ["rmdir", (driver) => driver.rmdir("/empty")],
+  ["symlink", (driver) => driver.symlink("/symlink", "/dir")],
+  ["truncate", (driver) => driver.truncate("/dir/file", BLOCK_SIZE * 20)],
+  [
+    "write with extents",
+    (driver) => {
+      driver.create("/dir/extents", { extents: true });
+      driver.truncate("/dir/extents", BLOCK_SIZE * 30);
+      const file = driver.open("/dir/extents");
+      driver.pwrite(file, 0, new Uint8Array(BLOCK_SIZE * 30).fill(1));
+    },
+  ],
+  [
+    "unlink opened file",
+    (driver) => {
+      const file = driver.open("/dir/file");
+      driver.unlink("/dir/file");
+      driver.close(file);
+    },
+  ],
+  [
+    "several operations",
+    (driver) => {
+      driver.mkdir("/dir/sub");
+      driver.link("/dir/file", "/dir/sub/link");
+      driver.unlink("/dir/file");
+      driver.rmdir("/empty");
+    },
+  ],
+];
+
+test("failed write and crashed device", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const faultyDevice = new FaultyDevice(device);
+  const block = new Uint8Array(BLOCK_SIZE).fill(1);
+  faultyDevice.failWriteAt(2);
+
+  faultyDevice.writeBlock(1, block);
+  expect(() => faultyDevice.writeBlock(2, block)).toThrow(DeviceFault);
+  expect(() => faultyDevice.writeBlock(3, block)).toThrow(DeviceFault);
+  expect(() => faultyDevice.flush()).toThrow(DeviceFault);
+
+  expect(device.readBlock(1)).toEqual(block);
+  expect(device.readBlock(2)).toEqual(new Uint8Array(BLOCK_SIZE));
+  expect(device.readBlock(3)).toEqual(new Uint8Array(BLOCK_SIZE));
+});
+
+test("torn write", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const faultyDevice = new FaultyDevice(device);
+  faultyDevice.failWriteAt(1, 10);
+
+  const w = () =>
+    faultyDevice.writeBlock(0, new Uint8Array(BLOCK_SIZE).fill(1));
+
+  expect(w).toThrow(DeviceFault);
+  const expectedBlock = new Uint8Array(BLOCK_SIZE);
+  expectedBlock.fill(1, 0, 10);
+  expect(device.readBlock(0)).toEqual(expectedBlock);
+});
+
+test("bit flip on read", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const faultyDevice = new FaultyDevice(device);
+  faultyDevice.flipBitOnRead(4, 9);
+
+  const block = faultyDevice.readBlock(4);
+
+  expect(block[1]).toBe(2);
+  expect(device.readBlock(4)[1]).toBe(0);
+});
+
+test("frozen image", () => {
+  const device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  const faultyDevice = new FaultyDevice(device);
+  faultyDevice.freezeAt(2);
+
+  faultyDevice.writeBlock(1, new Uint8Array(BLOCK_SIZE).fill(1));
+  faultyDevice.writeBlock(2, new Uint8Array(BLOCK_SIZE).fill(2));
+
+  const image = faultyDevice.getFrozenImage();
+  expect(image.readBlock(1)).toEqual(new Uint8Array(BLOCK_SIZE).fill(1));
+  expect(image.readBlock(2)).toEqual(new Uint8Array(BLOCK_SIZE));
+  expect(device.readBlock(2)).toEqual(new Uint8Array(BLOCK_SIZE).fill(2));
+});
+
+test.each(operations)(
+  "%s leaves recoverable image on crash at any write",
+  (name, operation) => {
+    const [countingDevice, countingDriver] = mountFaulty(prepareImage());
+    const mountWrites = countingDevice.writeCount;
+    operation(countingDriver);
+    countingDriver.sync();
+    const operationWrites = countingDevice.writeCount - mountWrites;
+
+    for (let write = 1; write <= operationWrites; write++) {
+      const device = prepareImage();
+      const [faultyDevice, driver] = mountFaulty(device);
+      faultyDevice.failWriteAt(mountWrites + write, write % 2 ? 0 : 10);
+
+      expect(() => {
+        operation(driver);
+        driver.sync();
+      }).toThrow(DeviceFault);
+
+      new Driver(device).mount();
+      expect(new Fsck(device).check()).toEqual([]);
+    }
+  }
+);
+
+test("frozen images of operation are recoverable", () => {
+  const [countingDevice, countingDriver] = mountFaulty(prepareImage());
+  const mountWrites = countingDevice.writeCount;
+  countingDriver.mkdir("/dir/sub");
+  countingDriver.sync();
+  const operationWrites = countingDevice.writeCount - mountWrites;
+
+  for (let write = 1; write <= operationWrites; write++) {
+    const [faultyDevice, driver] = mountFaulty(prepareImage());
+    faultyDevice.freezeAt(mountWrites + write);
+    driver.mkdir("/dir/sub");
+    driver.sync();
+
+    const image = faultyDevice.getFrozenImage();
+    new Driver(image).mount();
+    expect(new Fsck(image).check()).toEqual([]);
+  }
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Dentry from "../src/dentry.js";
+import Driver from "../src/driver.js";
+import FileDevice from "../src/fileDevice.js";
+import { FileType } from "../src/inode.js";
+import { InvalidArgument, OutOfBounds } from "../src/exceptions.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+let imageDir;
+let imagePath;
+
+beforeEach(() => {
+  imageDir = fs.mkdtempSync(path.join(os.tmpdir(), "super-driver-"));
+  imagePath = path.join(imageDir, "image.img");
+});
+
+afterEach(() => {
+  fs.rmSync(imageDir, { recursive: true, force: true });
+});
+
+test("new image is created with device size", () => {
+  const device = new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT);
+  device.close();
+
+  expect(fs.statSync(imagePath).size).toBe(BLOCK_SIZE * BLOCK_COUNT);
+});
+
+test("written block can be read after reopen", () => {
+  const block = new Uint8Array(BLOCK_SIZE).fill(7);
+  const device = new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT);
+  device.writeBlock(5, block);
+  device.close();
+
+  const reopenedDevice = new FileDevice(imagePath, BLOCK_SIZE);
+  expect(reopenedDevice.blockCount).toBe(BLOCK_COUNT);
+  expect(reopenedDevice.readBlock(5)).toEqual(block);
+  expect(reopenedDevice.readBlock(4)).toEqual(new Uint8Array(BLOCK_SIZE));
+  reopenedDevice.close();
+});
+
+test("read block out of device", () => {
+  const device = new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT);
+  const r = () => device.readBlock(BLOCK_COUNT);
+  expect(r).toThrow(OutOfBounds);
+  device.close();
+});
+
+test("closed device cannot be used", () => {
+  const device = new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT);
+  device.close();
+  const r = () => device.readBlock(0);
+  expect(r).toThrow(InvalidArgument);
+});
+
+test("new image without blocks count", () => {
+  const c = () => new FileDevice(imagePath, BLOCK_SIZE);
+  expect(c).toThrow(InvalidArgument);
+});
+
+test("file system survives reopen", () => {
+  const n = 10;
+  const device = new FileDevice(imagePath, BLOCK_SIZE, BLOCK_COUNT);
+  const driver = new Driver(device);
+  driver.mkfs(n);
+  driver.mkdir("/dir");
+  driver.create("/dir/file");
+  driver.unmount();
+  device.close();
+
+  const reopenedDevice = new FileDevice(imagePath, BLOCK_SIZE);
+  const reopenedDriver = new Driver(reopenedDevice);
+  reopenedDriver.mount();
+  const dentries = reopenedDriver.readDirectory("/dir");
+  expect(dentries).toEqual([
+    new Dentry(".", 1, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+    new Dentry("file", 2, FileType.REGULAR),
+  ]);
+  reopenedDevice.close();
+});
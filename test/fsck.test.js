@@ -0,0 +1,172 @@
+"use strict";
+
+import { ZERO_BLOCK_ADDRESS } from "../src/constants.js";
+import Dentry from "../src/dentry.js";
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import Fsck, { LOST_AND_FOUND, ProblemType } from "../src/fsck.js";
+import { FileType } from "../src/inode.js";
+import { serializeDentries } from "../src/serializer.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+let device;
+let driver;
+
+beforeEach(() => {
+  device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  driver = new Driver(device, { cacheBlocks: 0 });
+  driver.mkfs(16);
+  driver.mkdir("/dir");
+  driver.create("/dir/file");
+  driver.truncate("/dir/file", BLOCK_SIZE * 3);
+  const file = driver.open("/dir/file");
+  driver.pwrite(file, 0, new Uint8Array(BLOCK_SIZE * 3).fill(1));
+  driver.symlink("/link", "/dir/file");
+  driver.sync();
+});
+
+const problemTypes = (problems) => problems.map((problem) => problem.type);
+
+const writeDentries = (dir, dentries) => {
+  const dirData = serializeDentries(dentries);
+  driver._write(dir, 0, dirData);
+  driver._truncate(dir, dirData.length);
+};
+
+const removeDentry = (dirPath, fileName) => {
+  const dir = driver.lookUp(dirPath);
+  const dentries = driver
+    ._readDirectory(dir)
+    .filter((dentry) => dentry.fileName != fileName);
+  writeDentries(dir, dentries);
+};
+
+test("consistent file system has no problems", () => {
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("check without repair does not change device", () => {
+  driver._setBlockFree(driver.lookUp("/dir/file").straightLinks[0]);
+  const image = device.memory.slice();
+
+  const problems = new Fsck(device).check();
+
+  expect(problemTypes(problems)).toEqual([ProblemType.UNMARKED_BLOCK]);
+  expect(problems[0].repaired).toBe(false);
+  expect(device.memory).toEqual(image);
+});
+
+test("repair used block marked free", () => {
+  driver._setBlockFree(driver.lookUp("/dir/file").straightLinks[1]);
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([ProblemType.UNMARKED_BLOCK]);
+  expect(problems[0].repaired).toBe(true);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair leaked block", () => {
+  const leakedBlock = driver._allocateBlock();
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([ProblemType.LEAKED_BLOCK]);
+  expect(problems[0].details.blockAddress).toBe(leakedBlock);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair doubly allocated block", () => {
+  driver.create("/file2");
+  driver.truncate("/file2", BLOCK_SIZE);
+  const file1 = driver.lookUp("/dir/file");
+  const file2 = driver.lookUp("/file2");
+  file2.straightLinks[0] = file1.straightLinks[0];
+  driver._updateDescriptor(file2);
+  driver.sync();
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([ProblemType.DUPLICATE_BLOCK]);
+  expect(driver.lookUp("/file2").straightLinks[0]).toBe(ZERO_BLOCK_ADDRESS);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair wrong link count", () => {
+  const file = driver.lookUp("/dir/file");
+  file.refs = 5;
+  driver._updateDescriptor(file);
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([ProblemType.WRONG_LINK_COUNT]);
+  expect(driver.lookUp("/dir/file").refs).toBe(1);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair dangling dentry", () => {
+  const file = driver.lookUp("/dir/file");
+  driver._truncate(file, 0);
+  file.type = FileType.UNUSED;
+  driver._updateDescriptor(file);
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([ProblemType.DANGLING_DENTRY]);
+  expect(driver.readDirectory("/dir").map((d) => d.fileName)).toEqual([
+    ".",
+    "..",
+  ]);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair wrong dentry type", () => {
+  const dir = driver.lookUp("/dir");
+  const dentries = driver._readDirectory(dir);
+  dentries.find((dentry) => dentry.fileName == "file").type =
+    FileType.DIRECTORY;
+  writeDentries(dir, dentries);
+
+  expect(problemTypes(new Fsck(device).check({ repair: true }))).toEqual([
+    ProblemType.WRONG_DENTRY_TYPE,
+  ]);
+  expect(driver.readDirectory("/dir")[2].type).toBe(FileType.REGULAR);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair missing dot entries", () => {
+  removeDentry("/dir", ".");
+  removeDentry("/dir", "..");
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toEqual([
+    ProblemType.MISSING_DOT,
+    ProblemType.MISSING_DOTDOT,
+  ]);
+  const dir = driver.lookUp("/dir");
+  expect(driver.readDirectory("/dir").slice(0, 2)).toEqual([
+    new Dentry(".", dir.ino, FileType.DIRECTORY),
+    new Dentry("..", 0, FileType.DIRECTORY),
+  ]);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("repair orphan inodes to lost+found", () => {
+  const dir = driver.lookUp("/dir");
+  removeDentry("/", "dir");
+
+  const problems = new Fsck(device).check({ repair: true });
+
+  expect(problemTypes(problems)).toContain(ProblemType.ORPHAN_INODE);
+  expect(problems.filter((p) => p.type == ProblemType.ORPHAN_INODE)).toEqual([
+    expect.objectContaining({ details: { ino: dir.ino } }),
+  ]);
+  expect(driver.readDirectory(`/${LOST_AND_FOUND}`)).toContainEqual(
+    new Dentry(`#${dir.ino}`, dir.ino, FileType.DIRECTORY)
+  );
+  expect(driver.lookUp(`/${LOST_AND_FOUND}/#${dir.ino}/..`).ino).toBe(
+    driver.lookUp(`/${LOST_AND_FOUND}`).ino
+  );
+  expect(new Fsck(device).check()).toEqual([]);
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import { FileAlreadyExist, InvalidPath } from "../src/exceptions.js";
+import Fsck, { ProblemType } from "../src/fsck.js";
+import { FileType } from "../src/inode.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+let device;
+let driver;
+
+beforeEach(() => {
+  device = new Device(BLOCK_SIZE, BLOCK_COUNT);
+  driver = new Driver(device);
+  driver.mkfs(16);
+  driver.mkdir("/dir");
+  driver.sync();
+});
+
+/**
+ * Make next journal commit stop process right after transaction is logged
+ * and written to device
+ */
+const crashAfterCommit = () => {
+  const commit = driver.journal.commit.bind(driver.journal);
+  driver.journal.commit = (transaction) => {
+    commit(transaction);
+    driver.cache.flush();
+    throw new Error("crash");
+  };
+};
+
+const problemTypes = (problems) => problems.map((problem) => problem.type);
+
+const remount = () => {
+  const mountedDriver = new Driver(device);
+  mountedDriver.mount();
+  return mountedDriver;
+};
+
+test("committed transaction is replayed on mount", () => {
+  crashAfterCommit();
+  expect(() => driver.mkdir("/dir/sub")).toThrow("crash");
+
+  const mountedDriver = remount();
+
+  expect(mountedDriver.replayedTransactions).toBe(1);
+  expect(mountedDriver.lookUp("/dir/sub").type).toBe(FileType.DIRECTORY);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("transaction with corrupted commit is discarded", () => {
+  const { journalStart } = driver.superblock;
+  crashAfterCommit();
+  expect(() => driver.create("/dir/file")).toThrow("crash");
+  const loggedBlock = device.readBlock(journalStart + 2);
+  loggedBlock[0] ^= 0xff;
+  device.writeBlock(journalStart + 2, loggedBlock);
+
+  const mountedDriver = remount();
+
+  expect(mountedDriver.replayedTransactions).toBe(0);
+  expect(() => mountedDriver.lookUp("/dir/file")).toThrow(InvalidPath);
+  expect(new Fsck(device).check()).toEqual([]);
+});
+
+test("replayed transaction is not replayed twice", () => {
+  crashAfterCommit();
+  expect(() => driver.create("/dir/file")).toThrow("crash");
+
+  remount().unmount();
+  const mountedDriver = remount();
+
+  expect(mountedDriver.replayedTransactions).toBe(0);
+  expect(mountedDriver.lookUp("/dir/file").type).toBe(FileType.REGULAR);
+});
+
+test("fsck replays journal in repair mode", () => {
+  driver.create("/file");
+  crashAfterCommit();
+  expect(() => driver.unlink("/file")).toThrow("crash");
+
+  expect(problemTypes(new Fsck(device).check())).toContain(
+    ProblemType.UNRECOVERED_JOURNAL
+  );
+  new Fsck(device).check({ repair: true });
+
+  expect(new Fsck(device).check()).toEqual([]);
+  expect(() => remount().lookUp("/file")).toThrow(InvalidPath);
+});
+
+test("failed operation does not change metadata", () => {
+  const image = device.memory.slice();
+
+  expect(() => driver.mkdir("/dir")).toThrow(FileAlreadyExist);
+
+  expect(device.memory).toEqual(image);
+});
+
+test("file system without journal", () => {
+  driver.mkfs({ inodeCount: 16, journalBlocks: 0 });
+  driver.mkdir("/dir");
+  driver.create("/dir/file");
+  driver.sync();
+
+  const mountedDriver = remount();
+
+  expect(mountedDriver.journal).toBe(null);
+  expect(mountedDriver.lookUp("/dir/file").type).toBe(FileType.REGULAR);
+});
+
+test("transaction bigger than journal", () => {
+  driver.mkfs({ inodeCount: 16, journalBlocks: 4 });
+  driver.create("/file");
+  driver.truncate("/file", BLOCK_SIZE * 200);
+  driver.sync();
+
+  expect(remount().lookUp("/file").size).toBe(BLOCK_SIZE * 200);
+  expect(new Fsck(device).check()).toEqual([]);
+});
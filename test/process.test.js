@@ -0,0 +1,169 @@
+"use strict";
+
+import Credentials from "../src/credentials.js";
+import Device from "../src/device.js";
+import Driver from "../src/driver.js";
+import {
+  InvalidArgument,
+  PermissionDenied,
+  TooManyOpenFiles,
+} from "../src/exceptions.js";
+import OpenFile, { OpenFlag } from "../src/openFile.js";
+import Process from "../src/process.js";
+import { BLOCK_SIZE, BLOCK_COUNT } from "../src/settings.js";
+
+const makeDriver = (options = {}) => {
+  const driver = new Driver(new Device(BLOCK_SIZE, BLOCK_COUNT), options);
+  driver.mkfs(10);
+  driver.create("/file");
+  return driver;
+};
+
+test("lowest unused descriptor is allocated", () => {
+  const process = new Process(3);
+  const [a, b, c, d] = [1, 2, 3, 4].map((ino) => new OpenFile(ino));
+
+  expect(process.allocateDescriptor(a)).toBe(0);
+  expect(process.allocateDescriptor(b)).toBe(1);
+  expect(process.releaseDescriptor(0)).toBe(a);
+  expect(process.allocateDescriptor(c)).toBe(0);
+  expect(process.allocateDescriptor(d)).toBe(2);
+  expect(() => process.allocateDescriptor(a)).toThrow(TooManyOpenFiles);
+  expect(process.getOpenFile(1)).toBe(b);
+  expect(process.getOpenFile(5)).toBeNull();
+});
+
+test("opened file is released with its last descriptor", () => {
+  const process = new Process(4);
+  const openFile = new OpenFile(1);
+  process.allocateDescriptor(openFile);
+  process.setOpenFile(2, openFile);
+  const child = process.fork();
+
+  expect(openFile.refs).toBe(4);
+  expect(process.releaseDescriptor(0)).toBeNull();
+  expect(process.setOpenFile(2, new OpenFile(2))).toBeNull();
+  expect(child.releaseDescriptor(0)).toBeNull();
+  expect(child.releaseDescriptor(2)).toBe(openFile);
+  expect(child.releaseDescriptor(2)).toBeNull();
+});
+
+test("open returns small integers and respects limit", () => {
+  const driver = makeDriver({ maxOpenFiles: 2 });
+
+  const first = driver.open("/file");
+  const second = driver.open("/file");
+  expect([first, second]).toEqual([0, 1]);
+  expect(() => driver.open("/file")).toThrow(TooManyOpenFiles);
+
+  driver.close(first);
+  expect(driver.open("/file")).toBe(0);
+});
+
+test("close rejects unknown descriptor", () => {
+  const driver = makeDriver();
+  const fd = driver.open("/file");
+
+  driver.close(fd);
+  expect(() => driver.close(fd)).toThrow(InvalidArgument);
+  expect(() => driver.close(42)).toThrow(InvalidArgument);
+  expect(() => driver.read(fd, 1)).toThrow(InvalidArgument);
+});
+
+test("dup shares position with original descriptor", () => {
+  const driver = makeDriver();
+  const fd = driver.open("/file");
+  driver.write(fd, new Uint8Array([1, 2, 3, 4]));
+  driver.lseek(fd, 1);
+
+  const copy = driver.dup(fd);
+  expect(copy).toBe(fd + 1);
+  expect(driver.read(copy, 2)).toEqual(new Uint8Array([2, 3]));
+  expect(driver.tell(fd)).toBe(3);
+
+  driver.close(fd);
+  expect(driver.read(copy, 1)).toEqual(new Uint8Array([4]));
+  expect(() => driver.dup(fd)).toThrow(InvalidArgument);
+});
+
+test("dup2 replaces target descriptor", () => {
+  const driver = makeDriver({ maxOpenFiles: 8 });
+  driver.create("/other");
+  const file = driver.open("/file", OpenFlag.O_RDONLY);
+  const other = driver.open("/other");
+
+  expect(driver.dup2(other, file)).toBe(file);
+  driver.write(file, new Uint8Array([7]));
+  expect(driver.lookUp("/other").size).toBe(1);
+  expect(driver.lookUp("/file").size).toBe(0);
+
+  expect(driver.dup2(other, 5)).toBe(5);
+  expect(driver.tell(5)).toBe(1);
+  expect(driver.dup2(other, other)).toBe(other);
+  expect(() => driver.dup2(other, 8)).toThrow(InvalidArgument);
+  expect(() => driver.dup2(3, 4)).toThrow(InvalidArgument);
+});
+
+test("processes have own descriptor tables", () => {
+  const driver = makeDriver();
+  const parent = driver.process;
+  const fd = driver.open("/file");
+
+  const child = parent.fork();
+  const other = driver.createProcess();
+
+  driver.setProcess(other);
+  expect(() => driver.read(fd, 1)).toThrow(InvalidArgument);
+  expect(driver.open("/file")).toBe(0);
+
+  driver.setProcess(child);
+  driver.write(fd, new Uint8Array([1, 2]));
+  driver.close(fd);
+
+  driver.setProcess(parent);
+  expect(driver.tell(fd)).toBe(2);
+});
+
+test("remount drops descriptors and keeps credentials", () => {
+  const driver = makeDriver();
+  const credentials = new Credentials(1000, [1000]);
+  const process = driver.createProcess(credentials);
+  driver.setProcess(process);
+  const fd = driver.open("/file", OpenFlag.O_RDONLY);
+
+  driver.unmount();
+  driver.mount();
+  expect(driver.process).toBe(process);
+  expect(driver.process.credentials).toBe(credentials);
+  expect(() => driver.read(fd, 1)).toThrow(InvalidArgument);
+  expect(() => driver.create("/new")).toThrow(PermissionDenied);
+  expect(driver.open("/file", OpenFlag.O_RDONLY)).toBe(0);
+});
+
+test("remount drops descriptors of all processes", () => {
+  const driver = makeDriver();
+  const parent = driver.process;
+  const other = driver.createProcess();
+  driver.setProcess(other);
+  const fd = driver.open("/file");
+  const openFile = other.getOpenFile(fd);
+  const child = other.fork();
+  const ino = driver.lookUp("/file").ino;
+
+  driver.setProcess(parent);
+  driver.unmount();
+  driver.mkfs(10);
+  driver.create("/new");
+  expect(driver.lookUp("/new").ino).toBe(ino);
+  expect(openFile.refs).toBe(0);
+
+  for (const process of [other, child]) {
+    driver.setProcess(process);
+    expect(() => driver.write(fd, new Uint8Array([1]))).toThrow(
+      InvalidArgument
+    );
+    expect(() => driver.close(fd)).toThrow(InvalidArgument);
+  }
+  expect(driver.stat("/new").size).toBe(0);
+  expect(driver.open("/new")).toBe(0);
+});